@@ -0,0 +1,68 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Déplace les fichiers uploadés (multer, temporaires) dans `dir` pour qu'ils
+ * survivent jusqu'à l'envoi, même après un redémarrage
+ * @param {string} dir - Dossier de destination (créé si besoin)
+ * @param {Array} files - [{ kind: 'image'|'document', path, mimetype, originalname }]
+ * @returns {Array<{ kind, file, mimetype, filename, caption }>}
+ */
+function storeUploads(dir, files) {
+  if (!files.length) return [];
+  fs.mkdirSync(dir, { recursive: true });
+  return files.map((f) => {
+    const dest = path.join(dir, `${f.kind}-${path.basename(f.path)}`);
+    fs.renameSync(f.path, dest);
+    return {
+      kind: f.kind,
+      file: dest,
+      mimetype: f.mimetype,
+      filename: f.originalname,
+      caption: f.kind === 'document' ? 'Document joint' : undefined,
+    };
+  });
+}
+
+/**
+ * Copie des pièces jointes stockées dans `dir`: la copie appartient à un envoi
+ * et ne bouge pas si l'original est remplacé ou supprimé
+ * @param {string} dir - Dossier de destination (créé si besoin)
+ * @param {Array} attachments - Résultat de storeUploads
+ * @returns {Array<{ kind, file, mimetype, filename, caption }>}
+ */
+function copyUploads(dir, attachments) {
+  if (!attachments.length) return [];
+  fs.mkdirSync(dir, { recursive: true });
+  return attachments.map((a) => {
+    const dest = path.join(dir, path.basename(a.file));
+    fs.copyFileSync(a.file, dest);
+    return { ...a, file: dest };
+  });
+}
+
+/**
+ * Parties "media" de la file d'envoi pour des pièces jointes stockées
+ * @param {Array} attachments - Résultat de storeUploads
+ * @returns {Array}
+ */
+function mediaParts(attachments) {
+  return attachments.map((a) => ({ type: 'media', file: a.file, mimetype: a.mimetype, filename: a.filename, caption: a.caption }));
+}
+
+/**
+ * Supprime un dossier de pièces jointes (sans erreur s'il n'existe pas)
+ * @param {string} dir
+ * @param {Object} [logger]
+ */
+function removeUploads(dir, logger = console) {
+  try {
+    fs.rmSync(dir, { recursive: true, force: true });
+  } catch (e) {
+    logger.warn(`[attachments] Nettoyage impossible (${path.basename(dir)}):`, e.message);
+  }
+}
+
+module.exports = { storeUploads, copyUploads, mediaParts, removeUploads };
@@ -0,0 +1,459 @@
+'use strict';
+
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { DATA_DIR } = require('./jsonStore');
+const { openDocumentTable, STATE_DB_FILE } = require('./stateStore');
+const { storeUploads, mediaParts, removeUploads } = require('./attachments');
+const { parseCsv, findPhoneColumn } = require('./csv');
+const { renderTemplate, extractVariables } = require('./templates');
+
+const ATTACHMENTS_DIR = path.join(DATA_DIR, 'attachments');
+const KEEP_FINISHED = process.env.BULK_KEEP_FINISHED ? Number(process.env.BULK_KEEP_FINISHED) : 200;
+
+const FINAL_STATUSES = ['completed', 'cancelled'];
+const QUEUE_FINAL_STATUSES = ['sent', 'failed', 'cancelled', 'skipped'];
+const PERSIST_DELAY_MS = 1000;
+
+function bulkError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// "Prénom" → "prenom", "Date échéance" → "date_echeance": nom utilisable dans {{...}}
+function variableName(key) {
+  return String(key || '')
+    .trim()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\W+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Variables d'un destinataire (colonnes CSV, champs d'un contact), sous des
+ * noms utilisables dans le message ; une valeur vide est retirée et compte
+ * donc comme manquante
+ * @param {Object} value
+ * @returns {Object}
+ */
+function normalizeVariables(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    const key = variableName(k);
+    const val = typeof v === 'string' ? v.trim() : v;
+    if (key && val !== '' && val !== null && val !== undefined) out[key] = val;
+  }
+  return out;
+}
+
+/**
+ * Destinataires d'un CSV: colonne du numéro (phone, telephone, numero...) et
+ * autres colonnes comme variables du message
+ * @param {string} text
+ * @returns {{ columns: string[], recipients: Array<{ line, phone, variables }> }}
+ *   columns: noms des variables ({{prenom}}...) ; lignes sans numéro ignorées
+ * @throws {Error} csv_phone_column_required
+ */
+function recipientsFromCsv(text) {
+  const { header, records } = parseCsv(text);
+  const phoneColumn = findPhoneColumn(header);
+  if (!phoneColumn) throw bulkError('Le fichier CSV doit contenir une colonne "phone"', 'csv_phone_column_required');
+  const others = header.filter((c) => c && c !== phoneColumn);
+  const recipients = records
+    .filter(({ values }) => values[phoneColumn])
+    .map(({ line, values }) => ({
+      line,
+      phone: values[phoneColumn],
+      variables: normalizeVariables(Object.fromEntries(others.map((c) => [c, values[c]]))),
+    }));
+  return { columns: [...new Set(others.map(variableName).filter(Boolean))], recipients };
+}
+
+/**
+ * Le message utilise-t-il des balises {{...}} ? Un message qui ne se lit pas
+ * comme un template (un « {{ » littéral) est du texte brut.
+ * @param {string} message
+ * @returns {boolean}
+ */
+function usesTemplate(message) {
+  try {
+    return extractVariables(message).length > 0;
+  } catch (e) {
+    if (e?.code === 'template_invalid') return false;
+    throw e;
+  }
+}
+
+/**
+ * Rend le message pour chaque destinataire (syntaxe de lib/templates:
+ * {{prenom}}, {{date echeance "dd/MM"}}, {{#if montant}}...{{/if}}).
+ * Sans variables ni balise, le message part tel quel.
+ * @param {string} message
+ * @param {Array<{ phone: string, variables?: Object }>} recipients - Variables normalisées
+ * @returns {{ texts: string[], missing: Array<{ phone, missing: string[] }> }}
+ * @throws {Error} template_invalid si des variables sont fournies et que le message est mal formé
+ */
+function personalize(message, recipients) {
+  const withVariables = recipients.some(({ variables }) => variables && Object.keys(variables).length > 0);
+  if (!withVariables && !usesTemplate(message)) return { texts: recipients.map(() => message), missing: [] };
+  const texts = [];
+  const missing = [];
+  for (const { phone, variables } of recipients) {
+    const out = renderTemplate(message, variables || {});
+    texts.push(out.text);
+    if (out.missing.length) missing.push({ phone, missing: out.missing });
+  }
+  return { texts, missing };
+}
+
+/**
+ * Résumé d'un job (sans la liste complète des destinataires)
+ * @param {Object} job
+ * @returns {Object}
+ */
+function summarize(job) {
+  const total = job.recipients.length;
+  const skipped = job.skipped || 0;
+  return {
+    id: job.id,
+    status: job.status,
+    source: job.source,
+    session: job.session || null,
+    urgent: !!job.urgent,
+    total,
+    sent: job.sent,
+    failed: job.failed,
+    skipped,
+    remaining: total - job.sent - job.failed - skipped,
+    queued: Object.keys(job.inFlight || {}).length,
+    lastPhone: job.lastPhone || null,
+    personalized: !!job.variables,
+    hasImage: job.attachments.some((a) => a.kind === 'image'),
+    hasDocument: job.attachments.some((a) => a.kind === 'document'),
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+/**
+ * Gestionnaire des envois en masse en arrière-plan.
+ * Un job met tous ses destinataires dans la file d'envoi, qui les envoie à son
+ * rythme (limiteur, plage d'envoi, reprises) ; la progression suit les
+ * événements 'final' de la file. Un destinataire retenu ou en reprise ne
+ * bloque donc pas les suivants.
+ *
+ * Pause: les envois encore en file sont annulés et remis en file à la reprise.
+ * Après un redémarrage PM2, les envois en cours sont rapprochés de la file.
+ *
+ * Événements émis: 'progress' (résumé du job)
+ *
+ * @param {Object} params
+ * @param {Object} params.sendQueue - file d'envoi (lib/sendQueue)
+ * @param {Function} params.normalizeToJid - (phone) => jid
+ * @param {string} [params.file] - base SQLite de persistance (défaut: data/state.db)
+ * @param {Object} [params.logger] - logger
+ */
+function createBulkJobManager({ sendQueue, normalizeToJid, file = STATE_DB_FILE, logger = console }) {
+  const manager = new EventEmitter();
+
+  // Un job par ligne ; ses destinataires et leurs variables, qui ne changent plus, dans une table à part
+  const store = openDocumentTable('bulk_jobs', { file });
+  const recipientStore = openDocumentTable('bulk_job_recipients', { file });
+  const recipientsById = new Map(recipientStore.load().map((r) => [r.id, r]));
+  let jobs = store.load().map((job) => ({
+    ...job,
+    recipients: recipientsById.get(job.id)?.phones || [],
+    variables: recipientsById.get(job.id)?.variables || null,
+  }));
+
+  // Jobs modifiés en attente d'écriture groupée
+  const dirty = new Set();
+  let persistTimer = null;
+
+  function stateOf(job) {
+    const { recipients, variables, ...state } = job;
+    return state;
+  }
+
+  // Écrit le job (sans ses destinataires) et ceux en attente d'écriture groupée
+  function persist(job) {
+    if (job) dirty.add(job);
+    if (persistTimer) {
+      clearTimeout(persistTimer);
+      persistTimer = null;
+    }
+    try {
+      store.putMany([...dirty].map(stateOf));
+    } catch (e) {
+      logger.error('[bulk] Erreur écriture jobs:', e.message);
+    }
+    dirty.clear();
+  }
+
+  // Progression d'un destinataire: écriture groupée (au plus une par PERSIST_DELAY_MS)
+  function schedulePersist(job) {
+    dirty.add(job);
+    if (!persistTimer) persistTimer = setTimeout(() => persist(), PERSIST_DELAY_MS);
+  }
+
+  function touch(job, changes, { deferWrite = false } = {}) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    if (deferWrite) schedulePersist(job);
+    else persist(job);
+    manager.emit('progress', summarize(job));
+  }
+
+  // Ne garde que les KEEP_FINISHED derniers jobs terminés (vérifié à la création d'un job)
+  function pruneFinished() {
+    const finished = jobs.filter((j) => FINAL_STATUSES.includes(j.status));
+    if (finished.length <= KEEP_FINISHED) return;
+    const drop = new Set(finished.slice(0, finished.length - KEEP_FINISHED).map((j) => j.id));
+    jobs = jobs.filter((j) => !drop.has(j.id));
+    for (const job of dirty) if (drop.has(job.id)) dirty.delete(job);
+    try {
+      store.removeMany([...drop]);
+      recipientStore.removeMany([...drop]);
+    } catch (e) {
+      logger.error('[bulk] Erreur purge jobs:', e.message);
+    }
+  }
+
+  function removeAttachments(job) {
+    removeUploads(path.join(ATTACHMENTS_DIR, job.id), logger);
+  }
+
+  function find(id) {
+    return jobs.find((j) => j.id === id) || null;
+  }
+
+  /**
+   * Crée un job et met ses destinataires en file
+   * @param {Object} params
+   * @param {string} params.message - Texte envoyé à chaque destinataire, rendu avec ses variables
+   * @param {string[]} params.phones - Destinataires
+   * @param {Object[]} [params.variables] - Variables de chaque destinataire (même ordre que phones)
+   * @param {Array} [params.files] - Fichiers uploadés [{ kind: 'image'|'document', path, mimetype, originalname }]
+   * @param {string} [params.source] - Source reprise dans les logs
+   * @param {string} [params.session] - Session WhatsApp d'envoi (défaut: session par défaut)
+   * @param {boolean} [params.urgent] - Envoyer même hors de la plage d'envoi
+   * @returns {Object} Résumé du job
+   * @throws {Error} template_invalid ; missing_variables (err.missing: [{ phone, missing }])
+   */
+  function create({ message, phones, variables = null, files = [], source = 'bulk_send', session = null, urgent = false }) {
+    // Variables vérifiées avant de créer le job: aucun message ne part avec un {{...}} vide
+    const vars = Array.isArray(variables) ? phones.map((_, i) => normalizeVariables(variables[i])) : [];
+    const personalized = vars.some((v) => Object.keys(v).length > 0) ? vars : null;
+    const { missing } = personalize(message, phones.map((phone, i) => ({ phone, variables: personalized?.[i] })));
+    if (missing.length) throw Object.assign(bulkError('missing_variables', 'missing_variables'), { missing });
+    const templated = !!personalized || usesTemplate(message);
+
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+
+    // Les fichiers multer sont temporaires: on les déplace avec le job pour survivre à un redémarrage
+    const attachments = storeUploads(path.join(ATTACHMENTS_DIR, id), files);
+
+    const job = {
+      id,
+      status: 'running',
+      source,
+      session,
+      urgent: !!urgent,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      message,
+      attachments,
+      recipients: phones,
+      variables: personalized,
+      // templated: message rendu par destinataire ; sinon envoyé tel quel
+      templated,
+      // cursor: destinataires déjà mis en file ; inFlight: { jobId de la file: index } en attente de leur statut final ;
+      // requeue: index à remettre en file (envois annulés par une pause)
+      cursor: 0,
+      inFlight: {},
+      requeue: [],
+      lastPhone: null,
+      sent: 0,
+      failed: 0,
+      skipped: 0,
+      errors: [],
+    };
+    try {
+      recipientStore.put({ id, phones, variables: personalized });
+    } catch (e) {
+      logger.error('[bulk] Erreur écriture destinataires:', e.message);
+    }
+    jobs.push(job);
+    persist(job);
+    pruneFinished();
+    logger.log(`[bulk-send] job ${id} created (${phones.length} numbers)`);
+    dispatch(job);
+    return summarize(job);
+  }
+
+  function get(id) {
+    const job = find(id);
+    if (!job) return null;
+    return { ...summarize(job), errors: job.errors };
+  }
+
+  function list({ status } = {}) {
+    const out = status ? jobs.filter((j) => j.status === status) : jobs;
+    return out.map(summarize).reverse();
+  }
+
+  function enqueueRecipient(job, index) {
+    const phone = job.recipients[index];
+    try {
+      const queued = sendQueue.enqueue({
+        phone,
+        jid: normalizeToJid(phone),
+        parts: [
+          { type: 'text', body: job.templated ? renderTemplate(job.message, job.variables?.[index] || {}).text : job.message },
+          ...mediaParts(job.attachments),
+        ],
+        checkNumber: true,
+        session: job.session || null,
+        urgent: !!job.urgent,
+        meta: {
+          source: job.source,
+          bulkJobId: job.id,
+          bulkIndex: index,
+          personalized: !!job.variables || undefined,
+          hasImage: job.attachments.some((a) => a.kind === 'image'),
+          hasDocument: job.attachments.some((a) => a.kind === 'document'),
+        },
+      });
+      // Désinscrit: job de file déjà final (compté par settle), rien en attente
+      if (queued.status === 'skipped') settle(job, index, queued);
+      else job.inFlight[queued.id] = index;
+    } catch (e) {
+      // Refus de la file (limiteur en mode reject, session supprimée...)
+      job.failed++;
+      job.errors.push({ phone, error: e?.message || 'unknown', jobId: null });
+    }
+  }
+
+  // Met en file les destinataires restants (et ceux annulés par une pause)
+  function dispatch(job) {
+    if (job.status !== 'running') return;
+    const requeue = job.requeue.splice(0);
+    for (const index of requeue) enqueueRecipient(job, index);
+    while (job.status === 'running' && job.cursor < job.recipients.length) {
+      enqueueRecipient(job, job.cursor);
+      job.cursor++;
+    }
+    touch(job, {});
+    finishIfDone(job);
+  }
+
+  // Compte le statut final d'un destinataire
+  function settle(job, index, queueJob) {
+    const phone = job.recipients[index];
+    if (queueJob.status === 'sent') {
+      job.sent++;
+      if ((process.env.BULK_VERBOSE_LOGS || 'false').toLowerCase() === 'true') {
+        logger.log(`[bulk-send] Sent to ${phone}`);
+      }
+    } else if (queueJob.status === 'skipped') {
+      // Désinscrit: pas un échec
+      job.skipped = (job.skipped || 0) + 1;
+    } else if (queueJob.status === 'cancelled') {
+      // Annulé par une pause: remis en file à la reprise ; par une annulation du job: reste non envoyé
+      if (job.status === 'paused') job.requeue.push(index);
+      else if (job.status !== 'cancelled') {
+        job.failed++;
+        job.errors.push({ phone, error: 'cancelled', jobId: queueJob.id });
+      }
+      return;
+    } else {
+      job.failed++;
+      job.errors.push({ phone, error: queueJob.lastError || 'unknown', jobId: queueJob.id });
+    }
+    job.lastPhone = phone;
+  }
+
+  function finishIfDone(job) {
+    if (Object.keys(job.inFlight).length) return;
+    if (job.status === 'running' && job.cursor >= job.recipients.length && !job.requeue.length) {
+      touch(job, { status: 'completed', finishedAt: new Date().toISOString() });
+      logger.log(`[bulk-send] job ${job.id} completed: ${job.sent} sent, ${job.failed} failed, ${job.skipped || 0} opted out`);
+    }
+    if (FINAL_STATUSES.includes(job.status)) removeAttachments(job);
+  }
+
+  sendQueue.on('final', (queueJob) => {
+    const job = queueJob.meta?.bulkJobId ? find(queueJob.meta.bulkJobId) : null;
+    const index = job?.inFlight?.[queueJob.id];
+    if (index === undefined) return;
+    delete job.inFlight[queueJob.id];
+    settle(job, index, queueJob);
+    touch(job, {}, { deferWrite: true });
+    finishIfDone(job);
+  });
+
+  function pause(id) {
+    const job = find(id);
+    if (!job) return { ok: false, error: 'job_not_found' };
+    if (job.status !== 'running') return { ok: false, error: `job_${job.status}` };
+    touch(job, { status: 'paused' });
+    // Les envois encore en file sont retirés (un envoi déjà parti se termine normalement)
+    for (const queueJobId of Object.keys(job.inFlight)) sendQueue.cancel(queueJobId);
+    touch(job, {});
+    return { ok: true, job: summarize(job) };
+  }
+
+  function resume(id) {
+    const job = find(id);
+    if (!job) return { ok: false, error: 'job_not_found' };
+    if (job.status !== 'paused') return { ok: false, error: `job_${job.status}` };
+    touch(job, { status: 'running' });
+    dispatch(job);
+    return { ok: true, job: summarize(job) };
+  }
+
+  function cancel(id) {
+    const job = find(id);
+    if (!job) return { ok: false, error: 'job_not_found' };
+    if (FINAL_STATUSES.includes(job.status)) return { ok: false, error: `job_${job.status}` };
+    touch(job, { status: 'cancelled', finishedAt: new Date().toISOString(), requeue: [] });
+    for (const queueJobId of Object.keys(job.inFlight)) sendQueue.cancel(queueJobId);
+    touch(job, {});
+    finishIfDone(job);
+    return { ok: true, job: summarize(job) };
+  }
+
+  /**
+   * Rapproche les jobs de la file après un redémarrage: statuts finaux
+   * manqués, puis mise en file des destinataires restants
+   */
+  function start() {
+    for (const job of jobs.filter((j) => !FINAL_STATUSES.includes(j.status) || Object.keys(j.inFlight).length)) {
+      for (const [queueJobId, index] of Object.entries(job.inFlight)) {
+        const queueJob = sendQueue.get(queueJobId);
+        if (queueJob && !QUEUE_FINAL_STATUSES.includes(queueJob.status)) continue;
+        delete job.inFlight[queueJobId];
+        // Job de file purgé: son résultat est perdu, le destinataire n'est pas relancé
+        settle(job, index, queueJob || { id: queueJobId, status: 'failed', lastError: 'queue_job_lost' });
+      }
+      if (job.status === 'running') {
+        logger.log(`[bulk-send] resuming job ${job.id} at ${job.cursor}/${job.recipients.length}`);
+        dispatch(job);
+      } else {
+        touch(job, {});
+        finishIfDone(job);
+      }
+    }
+  }
+
+  return Object.assign(manager, { create, get, list, pause, resume, cancel, start });
+}
+
+module.exports = { createBulkJobManager, recipientsFromCsv, normalizeVariables, personalize };
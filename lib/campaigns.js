@@ -0,0 +1,518 @@
+'use strict';
+
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const cron = require('node-cron');
+const { DateTime } = require('luxon');
+const { cronFromTime, nextCronRun } = require('./cron');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./jsonStore');
+const { storeUploads, copyUploads, mediaParts, removeUploads } = require('./attachments');
+const { normalizeTags } = require('./contacts');
+const { parsePhone } = require('./phone');
+
+const CAMPAIGNS_FILE = path.join(DATA_DIR, 'campaigns.json');
+const ATTACHMENTS_DIR = path.join(DATA_DIR, 'campaign-attachments');
+const RUN_ATTACHMENTS_DIR = path.join(DATA_DIR, 'campaign-run-attachments');
+const KEEP_RUNS = process.env.CAMPAIGN_KEEP_RUNS ? Number(process.env.CAMPAIGN_KEEP_RUNS) : 50;
+const PERSIST_DELAY_MS = 1000;
+
+const QUEUE_FINAL_STATUSES = ['sent', 'failed', 'cancelled', 'skipped'];
+
+function campaignError(message, code = 'campaign_invalid') {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function runSummary(run) {
+  const { inFlight, ...summary } = run;
+  return summary;
+}
+
+/**
+ * Campagnes récurrentes (rappel hebdomadaire des feuilles de temps, avis de
+ * paie mensuel...): un message (texte ou template, pièces jointes) envoyé à
+ * une liste de destinataires selon une expression cron.
+ * Chaque exécution met un job par destinataire dans la file d'envoi et garde
+ * son bilan dans l'historique de la campagne ; une campagne peut être mise en
+ * pause. Une exécution est sautée si la précédente a encore des envois en file.
+ * Chaque exécution envoie sa propre copie des pièces jointes, supprimée à la
+ * fin de l'exécution: modifier ou supprimer la campagne ne touche pas les
+ * envois déjà en file.
+ *
+ * Événements émis: 'run' (id de campagne, résumé de l'exécution)
+ *
+ * @param {Object} params
+ * @param {Object} params.sendQueue - file d'envoi (lib/sendQueue)
+ * @param {Function} params.normalizeToJid - (phone) => jid
+ * @param {Function} params.renderTemplate - async (templateKey, params) => { text, templateSource }
+ * @param {Function} [params.hasSession] - (name) => boolean
+ * @param {Function} [params.resolveContacts] - ({ groupId, tags }) => contacts du carnet (lib/contacts)
+ * @param {string} [params.tz] - Fuseau par défaut des campagnes
+ * @param {string} [params.file] - fichier de persistance
+ * @param {Object} [params.logger] - logger
+ */
+function createCampaignManager({
+  sendQueue,
+  normalizeToJid,
+  renderTemplate,
+  hasSession = () => true,
+  resolveContacts = null,
+  tz = 'Africa/Casablanca',
+  file = CAMPAIGNS_FILE,
+  logger = console,
+}) {
+  const manager = new EventEmitter();
+  const tasks = new Map();
+  let started = false;
+  let persistTimer = null;
+
+  let campaigns = readJsonFile(file, []);
+  if (!Array.isArray(campaigns)) campaigns = [];
+
+  function persist() {
+    if (persistTimer) {
+      clearTimeout(persistTimer);
+      persistTimer = null;
+    }
+    try {
+      writeJsonFile(file, campaigns);
+    } catch (e) {
+      logger.error('[campaigns] Erreur écriture campagnes:', e.message);
+    }
+  }
+
+  // Progression d'une exécution: écriture groupée (au plus une par PERSIST_DELAY_MS)
+  function schedulePersist() {
+    if (!persistTimer) persistTimer = setTimeout(persist, PERSIST_DELAY_MS);
+  }
+
+  function touch(campaign, changes, { deferWrite = false } = {}) {
+    Object.assign(campaign, changes, { updatedAt: new Date().toISOString() });
+    if (deferWrite) schedulePersist();
+    else persist();
+  }
+
+  // Une campagne supprimée pendant une exécution reste en mémoire (status
+  // 'deleted') jusqu'à la fin de celle-ci, invisible pour l'API
+  function find(id) {
+    return campaigns.find((c) => c.id === id && c.status !== 'deleted') || null;
+  }
+
+  function describe(c, { withRuns = false } = {}) {
+    let nextRunAt = null;
+    if (c.status === 'active') {
+      try {
+        nextRunAt = nextCronRun(c.cron, c.tz)?.toISO() || null;
+      } catch (_) {
+        // expression acceptée par node-cron mais pas par notre parseur: pas de date
+      }
+    }
+    const out = {
+      id: c.id,
+      name: c.name,
+      description: c.description,
+      cron: c.cron,
+      tz: c.tz,
+      status: c.status,
+      session: c.session,
+      urgent: c.urgent,
+      content: c.content,
+      attachments: c.attachments.map((a) => ({ kind: a.kind, filename: a.filename, mimetype: a.mimetype })),
+      recipients: c.recipients,
+      groupId: c.groupId,
+      tags: c.tags,
+      nextRunAt,
+      lastRun: c.runs.length ? runSummary(c.runs[c.runs.length - 1]) : null,
+      createdAt: c.createdAt,
+      updatedAt: c.updatedAt,
+    };
+    if (withRuns) out.runs = c.runs.map(runSummary).reverse();
+    return out;
+  }
+
+  // Valide et normalise les champs modifiables (création ou mise à jour partielle)
+  function validate(data, current = null) {
+    const out = {};
+    if (data.name !== undefined || !current) {
+      const name = String(data.name || '').trim();
+      if (!name) throw campaignError('name requis');
+      out.name = name;
+    }
+    if (data.description !== undefined) out.description = data.description ? String(data.description) : null;
+    if (data.tz !== undefined || !current) {
+      out.tz = data.tz || tz;
+      if (!DateTime.now().setZone(out.tz).isValid) throw campaignError(`fuseau invalide: ${data.tz}`);
+    }
+    if (data.cron !== undefined || !current) {
+      const expression = cronFromTime(String(data.cron || '')) || String(data.cron || '').trim();
+      if (!expression || !cron.validate(expression)) throw campaignError(`cron invalide: "${data.cron || ''}"`);
+      out.cron = expression;
+    }
+    if (data.phones !== undefined) {
+      const recipients = (Array.isArray(data.phones) ? data.phones : [data.phones])
+        .map((p) => String(p || '').trim())
+        .filter(Boolean);
+      for (const phone of recipients) {
+        const parsed = parsePhone(phone);
+        if (!parsed.valid) throw campaignError(`numéro invalide: ${phone} (${parsed.message})`);
+      }
+      out.recipients = [...new Set(recipients)];
+    }
+    // Groupe / tags du carnet de contacts: résolus à chaque exécution
+    if (data.groupId !== undefined || data.tags !== undefined) {
+      if (!resolveContacts) throw campaignError('carnet de contacts indisponible');
+      const groupId = data.groupId !== undefined ? data.groupId || null : current?.groupId || null;
+      const tags = data.tags !== undefined ? normalizeTags(data.tags) : current?.tags || [];
+      if (groupId || tags.length) resolveContacts({ groupId, tags });
+      Object.assign(out, { groupId, tags });
+    }
+    const recipients = out.recipients || current?.recipients || [];
+    const groupId = out.groupId !== undefined ? out.groupId : current?.groupId;
+    const tags = out.tags || current?.tags || [];
+    if (!recipients.length && !groupId && !tags.length) throw campaignError('phones, groupId ou tags requis');
+    if (data.text !== undefined || data.templateKey !== undefined) {
+      if (data.text && data.templateKey) throw campaignError('text et templateKey sont exclusifs');
+      out.content = data.templateKey
+        ? { type: 'template', templateKey: data.templateKey, params: data.params || {} }
+        : { type: 'text', text: data.text || null };
+    } else if (data.params !== undefined && current?.content.type === 'template') {
+      out.content = { ...current.content, params: data.params || {} };
+    }
+    if (data.session !== undefined) {
+      if (data.session && !hasSession(data.session)) throw campaignError('session_not_found', 'session_not_found');
+      out.session = data.session || null;
+    }
+    if (data.urgent !== undefined) out.urgent = !!data.urgent;
+    return out;
+  }
+
+  function schedule(c) {
+    unschedule(c.id);
+    if (!started || c.status !== 'active') return;
+    const task = cron.schedule(c.cron, () => execute(c.id, 'cron'), { timezone: c.tz });
+    tasks.set(c.id, task);
+  }
+
+  function unschedule(id) {
+    const task = tasks.get(id);
+    if (task) task.stop();
+    tasks.delete(id);
+  }
+
+  /**
+   * Crée une campagne (active)
+   * @param {Object} data
+   * @param {string} data.name
+   * @param {string} data.cron - Expression cron, ou "HH:mm" (tous les jours)
+   * @param {string|string[]} [data.phones] - Destinataires
+   * @param {string} [data.groupId] - Groupe du carnet de contacts
+   * @param {string|string[]} [data.tags] - Contacts ayant un de ces tags
+   * @param {string} [data.text] - Texte
+   * @param {string} [data.templateKey] - Template rendu à chaque exécution
+   * @param {Object} [data.params] - Paramètres du template
+   * @param {Array} [data.files] - Fichiers uploadés [{ kind: 'image'|'document', path, mimetype, originalname }]
+   * @param {string} [data.tz] - Fuseau du cron (défaut: celui du service)
+   * @param {string} [data.session] - Session WhatsApp d'envoi
+   * @param {boolean} [data.urgent] - Envoyer même hors de la plage d'envoi
+   * @param {string} [data.description]
+   * @param {boolean} [data.paused] - Créer la campagne en pause
+   * @returns {Promise<Object>} La campagne
+   */
+  async function create(data) {
+    const fields = validate(data);
+    const files = data.files || [];
+    if (!fields.content?.text && !fields.content?.templateKey && !files.length) {
+      throw campaignError('text, templateKey ou fichier requis');
+    }
+    // Template inconnu: refusé tout de suite plutôt qu'à la première exécution
+    if (fields.content?.templateKey) await renderTemplate(fields.content.templateKey, fields.content.params);
+
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+    const campaign = {
+      id,
+      description: null,
+      session: null,
+      urgent: false,
+      content: { type: 'text', text: null },
+      recipients: [],
+      groupId: null,
+      tags: [],
+      ...fields,
+      status: data.paused ? 'paused' : 'active',
+      attachments: storeUploads(path.join(ATTACHMENTS_DIR, id), files),
+      runs: [],
+      createdAt: now,
+      updatedAt: now,
+    };
+    campaigns.push(campaign);
+    persist();
+    schedule(campaign);
+    logger.log(`[campaigns] "${campaign.name}" créée (cron="${campaign.cron}" tz=${campaign.tz})`);
+    return describe(campaign);
+  }
+
+  /**
+   * Modifie une campagne (champs fournis seulement). Des fichiers fournis
+   * remplacent les pièces jointes ; removeAttachments les supprime.
+   * @param {string} id
+   * @param {Object} data - Mêmes champs que create, plus removeAttachments
+   * @returns {Promise<Object>} La campagne
+   */
+  async function update(id, data) {
+    const campaign = find(id);
+    if (!campaign) throw campaignError('campaign_not_found', 'campaign_not_found');
+    const fields = validate(data, campaign);
+    if (fields.content?.templateKey) await renderTemplate(fields.content.templateKey, fields.content.params);
+
+    const files = data.files || [];
+    if (files.length || data.removeAttachments) {
+      const dir = path.join(ATTACHMENTS_DIR, id);
+      removeUploads(dir, logger);
+      fields.attachments = storeUploads(dir, files);
+    }
+    const attachments = fields.attachments || campaign.attachments;
+    const content = fields.content || campaign.content;
+    if (!content.text && !content.templateKey && !attachments.length) throw campaignError('text, templateKey ou fichier requis');
+
+    touch(campaign, fields);
+    schedule(campaign);
+    return describe(campaign);
+  }
+
+  /**
+   * Supprime une campagne et ses pièces jointes (les envois déjà en file partent)
+   * @param {string} id
+   * @returns {boolean} false si la campagne n'existe pas
+   */
+  function remove(id) {
+    const campaign = find(id);
+    if (!campaign) return false;
+    unschedule(id);
+    if (campaign.runs.some((r) => r.status === 'running')) touch(campaign, { status: 'deleted' });
+    else {
+      campaigns = campaigns.filter((c) => c.id !== id);
+      persist();
+    }
+    removeUploads(path.join(ATTACHMENTS_DIR, id), logger);
+    logger.log(`[campaigns] "${campaign.name}" supprimée`);
+    return true;
+  }
+
+  /**
+   * Met en pause ou réactive une campagne
+   * @param {string} id
+   * @param {boolean} paused
+   * @returns {Object|null} La campagne, null si elle n'existe pas
+   */
+  function setPaused(id, paused) {
+    const campaign = find(id);
+    if (!campaign) return null;
+    touch(campaign, { status: paused ? 'paused' : 'active' });
+    schedule(campaign);
+    logger.log(`[campaigns] "${campaign.name}" ${paused ? 'en pause' : 'réactivée'}`);
+    return describe(campaign);
+  }
+
+  function list({ status } = {}) {
+    return campaigns
+      .filter((c) => c.status !== 'deleted' && (!status || c.status === status))
+      .map((c) => describe(c));
+  }
+
+  function get(id) {
+    const campaign = find(id);
+    return campaign ? describe(campaign, { withRuns: true }) : null;
+  }
+
+  function addRun(campaign, run) {
+    campaign.runs.push(run);
+    if (campaign.runs.length > KEEP_RUNS) campaign.runs = campaign.runs.slice(-KEEP_RUNS);
+    touch(campaign, {});
+    manager.emit('run', campaign.id, runSummary(run));
+  }
+
+  // Numéros de la campagne, plus les contacts du groupe / des tags au moment de l'exécution
+  function resolveRecipients(campaign) {
+    const phones = [...(campaign.recipients || [])];
+    if (campaign.groupId || campaign.tags?.length) {
+      if (!resolveContacts) throw new Error('carnet de contacts indisponible');
+      for (const contact of resolveContacts({ groupId: campaign.groupId, tags: campaign.tags })) phones.push(contact.phone);
+    }
+    const seen = new Set();
+    return phones.filter((p) => {
+      const jid = normalizeToJid(p);
+      if (seen.has(jid)) return false;
+      seen.add(jid);
+      return true;
+    });
+  }
+
+  async function buildParts(campaign, attachments) {
+    const parts = [];
+    if (campaign.content.type === 'template') {
+      const { text } = await renderTemplate(campaign.content.templateKey, campaign.content.params);
+      if (!String(text || '').trim()) throw new Error('Rendered text empty');
+      parts.push({ type: 'text', body: text });
+    } else if (campaign.content.text) {
+      parts.push({ type: 'text', body: campaign.content.text });
+    }
+    return [...parts, ...mediaParts(attachments)];
+  }
+
+  /**
+   * Exécute une campagne: un job de la file par destinataire
+   * @param {string} id
+   * @param {string} trigger - 'cron' | 'manual'
+   * @returns {Promise<Object|null>} Résumé de l'exécution, null si la campagne n'existe pas
+   */
+  async function execute(id, trigger) {
+    const campaign = find(id);
+    if (!campaign) return null;
+    const run = {
+      id: crypto.randomUUID(),
+      trigger,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      total: 0,
+      // queued: jobs mis en file ; inFlight: { jobId de la file: numéro } en attente de leur statut final
+      queued: 0,
+      sent: 0,
+      failed: 0,
+      skipped: 0,
+      errors: [],
+      inFlight: {},
+    };
+
+    if (campaign.runs.some((r) => r.status === 'running')) {
+      logger.warn(`[campaigns] "${campaign.name}" sautée: l'exécution précédente a encore des envois en file`);
+      Object.assign(run, { status: 'skipped', error: 'previous_run_pending', finishedAt: run.startedAt });
+      addRun(campaign, run);
+      return runSummary(run);
+    }
+
+    let parts;
+    let recipients;
+    try {
+      recipients = resolveRecipients(campaign);
+      run.total = recipients.length;
+      parts = await buildParts(campaign, copyUploads(path.join(RUN_ATTACHMENTS_DIR, run.id), campaign.attachments));
+    } catch (e) {
+      removeUploads(path.join(RUN_ATTACHMENTS_DIR, run.id), logger);
+      logger.error(`[campaigns] "${campaign.name}" non envoyée:`, e?.message || e);
+      Object.assign(run, { status: 'failed', error: e?.message || 'unknown', finishedAt: new Date().toISOString() });
+      addRun(campaign, run);
+      return runSummary(run);
+    }
+
+    for (const phone of recipients) {
+      try {
+        const job = sendQueue.enqueue({
+          phone,
+          jid: normalizeToJid(phone),
+          parts,
+          checkNumber: true,
+          session: campaign.session,
+          urgent: campaign.urgent,
+          meta: {
+            source: 'campaign',
+            campaignId: campaign.id,
+            campaignRunId: run.id,
+            templateKey: campaign.content.templateKey || undefined,
+            hasImage: campaign.attachments.some((a) => a.kind === 'image'),
+            hasDocument: campaign.attachments.some((a) => a.kind === 'document'),
+          },
+        });
+        run.queued++;
+        // Désinscrit: job de file déjà final, compté tout de suite
+        if (QUEUE_FINAL_STATUSES.includes(job.status)) settle(run, job);
+        else run.inFlight[job.id] = phone;
+      } catch (e) {
+        run.failed++;
+        run.errors.push({ phone, error: e?.message || 'unknown' });
+      }
+    }
+    logger.log(`[campaigns] "${campaign.name}" exécutée (${trigger}): ${run.queued}/${run.total} en file`);
+    addRun(campaign, run);
+    finishIfDone(campaign, run);
+    return runSummary(run);
+  }
+
+  // Compte le statut final d'un job de la file
+  function settle(run, queueJob) {
+    if (queueJob.status === 'sent') run.sent++;
+    else if (queueJob.status === 'skipped') run.skipped++;
+    else {
+      run.failed++;
+      run.errors.push({ phone: queueJob.to?.phone || null, error: queueJob.lastError || queueJob.status, jobId: queueJob.id });
+    }
+  }
+
+  // L'exécution est terminée quand tous ses jobs le sont
+  function finishIfDone(campaign, run) {
+    if (run.status !== 'running' || Object.keys(run.inFlight).length) return;
+    Object.assign(run, { status: 'completed', finishedAt: new Date().toISOString() });
+    removeUploads(path.join(RUN_ATTACHMENTS_DIR, run.id), logger);
+    if (campaign.status === 'deleted' && !campaign.runs.some((r) => r.status === 'running')) {
+      campaigns = campaigns.filter((c) => c !== campaign);
+      persist();
+    } else {
+      touch(campaign, {});
+    }
+    manager.emit('run', campaign.id, runSummary(run));
+  }
+
+  sendQueue.on('final', (job) => {
+    const campaign = job.meta?.campaignId ? campaigns.find((c) => c.id === job.meta.campaignId) : null;
+    const run = campaign?.runs.find((r) => r.id === job.meta.campaignRunId);
+    if (!run?.inFlight?.[job.id]) return;
+    delete run.inFlight[job.id];
+    settle(run, job);
+    touch(campaign, {}, { deferWrite: true });
+    finishIfDone(campaign, run);
+  });
+
+  /**
+   * Déclenche une campagne manuellement (même en pause)
+   * @param {string} id
+   * @returns {Promise<Object|null>} Résumé de l'exécution
+   */
+  function trigger(id) {
+    return execute(id, 'manual');
+  }
+
+  /**
+   * Planifie les campagnes actives (et met à jour les bilans restés en cours)
+   */
+  function start() {
+    started = true;
+    for (const c of campaigns) {
+      // Statuts finaux manqués pendant l'arrêt
+      for (const run of c.runs.filter((r) => r.status === 'running')) {
+        for (const [jobId, phone] of Object.entries(run.inFlight)) {
+          const job = sendQueue.get(jobId);
+          if (job && !QUEUE_FINAL_STATUSES.includes(job.status)) continue;
+          delete run.inFlight[jobId];
+          // Job de file purgé: son résultat est perdu
+          settle(run, job || { id: jobId, status: 'failed', lastError: 'queue_job_lost', to: { phone } });
+        }
+        touch(c, {});
+        finishIfDone(c, run);
+      }
+      schedule(c);
+    }
+    logger.log(`[campaigns] ${campaigns.length} campagne(s), ${tasks.size} active(s)`);
+  }
+
+  function stop() {
+    started = false;
+    for (const id of [...tasks.keys()]) unschedule(id);
+  }
+
+  return Object.assign(manager, { create, update, remove, setPaused, list, get, trigger, start, stop });
+}
+
+module.exports = { createCampaignManager, CAMPAIGNS_FILE };
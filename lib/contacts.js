@@ -0,0 +1,410 @@
+'use strict';
+
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./jsonStore');
+const { parseCsv, findPhoneColumn } = require('./csv');
+const { parsePhone } = require('./phone');
+
+const CONTACTS_FILE = path.join(DATA_DIR, 'contacts.json');
+
+// Colonnes reconnues à l'import CSV, avec celle du numéro (le reste devient des champs personnalisés)
+const NAME_COLUMNS = ['name', 'nom'];
+const TAGS_COLUMNS = ['tags', 'tag'];
+const IMPORT_MODES = ['merge', 'skip'];
+
+function contactError(message, code = 'contact_invalid') {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// "a, b" ou ["a", "b"] → tags en minuscules, sans doublon
+function normalizeTags(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[,|]/);
+  return [...new Set(list.map((t) => String(t || '').trim().toLowerCase()).filter(Boolean))];
+}
+
+// Liste d'ids ou de numéros: un tableau exigé (une chaîne serait parcourue caractère par caractère)
+function listField(value, name) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) throw contactError(`${name} doit être un tableau`);
+  return value;
+}
+
+function normalizeFields(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    const key = String(k).trim();
+    if (key) out[key] = v === null || v === undefined ? '' : String(v);
+  }
+  return out;
+}
+
+/**
+ * Carnet de contacts (nom, numéro normalisé, tags, champs personnalisés) et
+ * groupes nommés ("site Casablanca", "managers") ciblables par les envois en
+ * masse et les campagnes. Un numéro n'appartient qu'à un seul contact.
+ *
+ * @param {Object} [params]
+ * @param {string} [params.file] - fichier de persistance
+ * @param {Object} [params.logger] - logger
+ */
+function createContactBook({ file = CONTACTS_FILE, logger = console } = {}) {
+  const saved = readJsonFile(file, {});
+  let contacts = Array.isArray(saved.contacts) ? saved.contacts : [];
+  let groups = Array.isArray(saved.groups) ? saved.groups : [];
+
+  function persist() {
+    try {
+      writeJsonFile(file, { contacts, groups });
+    } catch (e) {
+      logger.error('[contacts] Erreur écriture contacts:', e.message);
+    }
+  }
+
+  function findByPhone(phone) {
+    return contacts.find((c) => c.phone === phone) || null;
+  }
+
+  function findGroup(id) {
+    return groups.find((g) => g.id === id) || null;
+  }
+
+  function groupIdsOf(contactId) {
+    return groups.filter((g) => g.contactIds.includes(contactId)).map((g) => g.id);
+  }
+
+  function describe(c) {
+    return { ...c, groupIds: groupIdsOf(c.id) };
+  }
+
+  function describeGroup(g, { withMembers = false } = {}) {
+    const { contactIds, ...out } = g;
+    out.count = contactIds.length;
+    if (withMembers) out.contacts = contacts.filter((c) => contactIds.includes(c.id));
+    return out;
+  }
+
+  // Numéro au format international (E.164 sans +), lib/phone
+  function phoneOf(value) {
+    const parsed = parsePhone(value);
+    if (!parsed.valid) throw contactError(`numéro invalide: "${value || ''}" (${parsed.message})`);
+    return parsed.digits;
+  }
+
+  /**
+   * Liste les contacts
+   * @param {Object} [filters]
+   * @param {string} [filters.q] - Recherche dans le nom et le numéro
+   * @param {string|string[]} [filters.tags] - Contacts ayant au moins un de ces tags
+   * @param {string} [filters.groupId] - Membres du groupe
+   * @returns {Array}
+   */
+  function list({ q, tags, groupId } = {}) {
+    return select({ tags, groupId, q }).map(describe);
+  }
+
+  function select({ tags, groupId, q } = {}) {
+    let out = contacts;
+    if (groupId) {
+      const group = findGroup(groupId);
+      if (!group) throw contactError('group_not_found', 'group_not_found');
+      out = out.filter((c) => group.contactIds.includes(c.id));
+    }
+    const wanted = normalizeTags(tags);
+    if (wanted.length) out = out.filter((c) => c.tags.some((t) => wanted.includes(t)));
+    if (q) {
+      const needle = String(q).toLowerCase();
+      out = out.filter((c) => c.name.toLowerCase().includes(needle) || c.phone.includes(needle.replace(/\D+/g, '') || needle));
+    }
+    return out;
+  }
+
+  /**
+   * Destinataires d'un envoi ciblé par groupe et/ou tags (intersection si les deux)
+   * @param {Object} target
+   * @param {string} [target.groupId]
+   * @param {string|string[]} [target.tags]
+   * @returns {Array} Contacts
+   */
+  function resolve({ groupId, tags } = {}) {
+    if (!groupId && !normalizeTags(tags).length) throw contactError('groupId ou tags requis');
+    return select({ groupId, tags });
+  }
+
+  function get(id) {
+    const contact = contacts.find((c) => c.id === id);
+    return contact ? describe(contact) : null;
+  }
+
+  /**
+   * Crée un contact
+   * @param {Object} data - { name, phone, tags, fields, groupIds }
+   * @returns {Object} Le contact
+   */
+  function create(data) {
+    const phone = phoneOf(data.phone);
+    if (findByPhone(phone)) throw contactError('contact_exists', 'contact_exists');
+    for (const groupId of data.groupIds || []) {
+      if (!findGroup(groupId)) throw contactError('group_not_found', 'group_not_found');
+    }
+    const now = new Date().toISOString();
+    const contact = {
+      id: crypto.randomUUID(),
+      name: String(data.name || '').trim(),
+      phone,
+      tags: normalizeTags(data.tags),
+      fields: normalizeFields(data.fields),
+      createdAt: now,
+      updatedAt: now,
+    };
+    contacts.push(contact);
+    for (const groupId of data.groupIds || []) findGroup(groupId).contactIds.push(contact.id);
+    persist();
+    return describe(contact);
+  }
+
+  /**
+   * Modifie un contact (champs fournis seulement ; `fields` remplace les champs personnalisés)
+   * @param {string} id
+   * @param {Object} data - { name, phone, tags, fields }
+   * @returns {Object} Le contact
+   */
+  function update(id, data) {
+    const contact = contacts.find((c) => c.id === id);
+    if (!contact) throw contactError('contact_not_found', 'contact_not_found');
+    const changes = {};
+    if (data.phone !== undefined) {
+      changes.phone = phoneOf(data.phone);
+      const other = findByPhone(changes.phone);
+      if (other && other.id !== id) throw contactError('contact_exists', 'contact_exists');
+    }
+    if (data.name !== undefined) changes.name = String(data.name || '').trim();
+    if (data.tags !== undefined) changes.tags = normalizeTags(data.tags);
+    if (data.fields !== undefined) changes.fields = normalizeFields(data.fields);
+    Object.assign(contact, changes, { updatedAt: new Date().toISOString() });
+    persist();
+    return describe(contact);
+  }
+
+  /**
+   * Supprime un contact (et le retire de ses groupes)
+   * @param {string} id
+   * @returns {boolean} false si le contact n'existe pas
+   */
+  function remove(id) {
+    if (!contacts.some((c) => c.id === id)) return false;
+    contacts = contacts.filter((c) => c.id !== id);
+    for (const g of groups) g.contactIds = g.contactIds.filter((cid) => cid !== id);
+    persist();
+    return true;
+  }
+
+  /**
+   * Importe un CSV (colonne phone / telephone / numero obligatoire ; name / nom,
+   * tags ; les autres colonnes deviennent des champs personnalisés).
+   * Les numéros déjà connus (ou répétés dans le fichier) sont fusionnés:
+   * nom et champs non vides remplacés, tags ajoutés. En mode 'skip' ils sont ignorés.
+   * @param {string} text - Contenu du fichier
+   * @param {Object} [options]
+   * @param {string} [options.mode] - 'merge' (défaut) | 'skip'
+   * @param {string|string[]} [options.tags] - Tags ajoutés à tous les contacts importés
+   * @param {string} [options.groupId] - Groupe auquel ajouter les contacts importés
+   * @returns {{ total, created, updated, skipped, invalid: Array<{ line, phone, error }> }}
+   */
+  function importCsv(text, { mode = 'merge', tags, groupId } = {}) {
+    if (!IMPORT_MODES.includes(mode)) throw contactError(`mode invalide: ${mode} (${IMPORT_MODES.join(', ')})`);
+    const group = groupId ? findGroup(groupId) : null;
+    if (groupId && !group) throw contactError('group_not_found', 'group_not_found');
+
+    const { header, records } = parseCsv(text);
+    const phoneColumn = findPhoneColumn(header);
+    if (!phoneColumn) throw contactError('Le fichier CSV doit contenir une colonne "phone"');
+    const nameColumn = header.find((c) => NAME_COLUMNS.includes(c));
+    const tagsColumn = header.find((c) => TAGS_COLUMNS.includes(c));
+    const fieldColumns = header.filter((c) => c && ![phoneColumn, nameColumn, tagsColumn].includes(c));
+    const extraTags = normalizeTags(tags);
+
+    const result = { total: records.length, created: 0, updated: 0, skipped: 0, invalid: [] };
+    const createdHere = new Set();
+    const seen = new Set();
+    const now = new Date().toISOString();
+    for (const { line, values } of records) {
+      const raw = values[phoneColumn];
+      const parsed = parsePhone(raw);
+      if (!parsed.valid) {
+        result.invalid.push({ line, phone: raw || '', reason: parsed.reason, error: parsed.message });
+        continue;
+      }
+      const phone = parsed.digits;
+      const name = nameColumn ? values[nameColumn] : '';
+      const rowTags = [...normalizeTags(tagsColumn ? values[tagsColumn] : ''), ...extraTags];
+      const fields = {};
+      for (const col of fieldColumns) {
+        if (values[col]) fields[col] = values[col];
+      }
+
+      let contact = findByPhone(phone);
+      if (!contact) {
+        contact = { id: crypto.randomUUID(), name, phone, tags: normalizeTags(rowTags), fields, createdAt: now, updatedAt: now };
+        contacts.push(contact);
+        createdHere.add(phone);
+        result.created++;
+      } else if (mode === 'skip' && !createdHere.has(phone)) {
+        if (!seen.has(phone)) result.skipped++;
+      } else {
+        if (name) contact.name = name;
+        contact.tags = normalizeTags([...contact.tags, ...rowTags]);
+        contact.fields = { ...contact.fields, ...fields };
+        contact.updatedAt = now;
+        if (!seen.has(phone) && !createdHere.has(phone)) result.updated++;
+      }
+      seen.add(phone);
+      if (group && !group.contactIds.includes(contact.id)) group.contactIds.push(contact.id);
+    }
+    persist();
+    logger.log(`[contacts] Import CSV: ${result.created} créé(s), ${result.updated} mis à jour, ${result.skipped} ignoré(s), ${result.invalid.length} invalide(s)`);
+    return result;
+  }
+
+  /**
+   * Tags utilisés, avec le nombre de contacts
+   * @returns {Array<{ tag, count }>}
+   */
+  function tagCounts() {
+    const counts = new Map();
+    for (const c of contacts) {
+      for (const t of c.tags) counts.set(t, (counts.get(t) || 0) + 1);
+    }
+    return [...counts.entries()].map(([tag, count]) => ({ tag, count })).sort((a, b) => a.tag.localeCompare(b.tag));
+  }
+
+  function listGroups() {
+    return groups.map((g) => describeGroup(g));
+  }
+
+  function getGroup(id) {
+    const group = findGroup(id);
+    return group ? describeGroup(group, { withMembers: true }) : null;
+  }
+
+  /**
+   * Crée un groupe nommé
+   * @param {Object} data - { name, description, contactIds }
+   * @returns {Object} Le groupe
+   */
+  function createGroup(data) {
+    const name = String(data.name || '').trim();
+    if (!name) throw contactError('name requis');
+    if (groups.some((g) => g.name.toLowerCase() === name.toLowerCase())) throw contactError('group_exists', 'group_exists');
+    for (const contactId of listField(data.contactIds, 'contactIds')) {
+      if (!contacts.some((c) => c.id === contactId)) throw contactError(`contact inconnu: ${contactId}`, 'contact_not_found');
+    }
+    const now = new Date().toISOString();
+    const group = {
+      id: crypto.randomUUID(),
+      name,
+      description: data.description ? String(data.description) : null,
+      contactIds: [],
+      createdAt: now,
+      updatedAt: now,
+    };
+    groups.push(group);
+    addMembers(group.id, { contactIds: data.contactIds });
+    return getGroup(group.id);
+  }
+
+  /**
+   * Renomme / décrit un groupe
+   * @param {string} id
+   * @param {Object} data - { name, description }
+   * @returns {Object} Le groupe
+   */
+  function updateGroup(id, data) {
+    const group = findGroup(id);
+    if (!group) throw contactError('group_not_found', 'group_not_found');
+    if (data.name !== undefined) {
+      const name = String(data.name || '').trim();
+      if (!name) throw contactError('name requis');
+      if (groups.some((g) => g.id !== id && g.name.toLowerCase() === name.toLowerCase())) throw contactError('group_exists', 'group_exists');
+      group.name = name;
+    }
+    if (data.description !== undefined) group.description = data.description ? String(data.description) : null;
+    group.updatedAt = new Date().toISOString();
+    persist();
+    return describeGroup(group);
+  }
+
+  /**
+   * Supprime un groupe (les contacts sont conservés)
+   * @param {string} id
+   * @returns {boolean} false si le groupe n'existe pas
+   */
+  function removeGroup(id) {
+    if (!findGroup(id)) return false;
+    groups = groups.filter((g) => g.id !== id);
+    persist();
+    return true;
+  }
+
+  /**
+   * Ajoute des membres à un groupe, par id de contact ou par numéro (contact
+   * créé s'il n'existe pas). Tout est validé avant la première écriture: une
+   * erreur ne laisse aucun contact créé
+   * @param {string} id
+   * @param {Object} members - { contactIds, phones }
+   * @returns {Object} Le groupe
+   */
+  function addMembers(id, { contactIds, phones } = {}) {
+    const group = findGroup(id);
+    if (!group) throw contactError('group_not_found', 'group_not_found');
+    const ids = [...listField(contactIds, 'contactIds')];
+    for (const contactId of ids) {
+      if (!contacts.some((c) => c.id === contactId)) throw contactError(`contact inconnu: ${contactId}`, 'contact_not_found');
+    }
+    const digits = listField(phones, 'phones').map(phoneOf);
+    for (const phone of digits) ids.push((findByPhone(phone) || create({ phone })).id);
+    group.contactIds = [...new Set([...group.contactIds, ...ids])];
+    group.updatedAt = new Date().toISOString();
+    persist();
+    return describeGroup(group);
+  }
+
+  /**
+   * Retire des membres d'un groupe (les contacts sont conservés)
+   * @param {string} id
+   * @param {Object} members - { contactIds }
+   * @returns {Object} Le groupe
+   */
+  function removeMembers(id, { contactIds } = {}) {
+    const group = findGroup(id);
+    if (!group) throw contactError('group_not_found', 'group_not_found');
+    const removed = new Set(listField(contactIds, 'contactIds'));
+    group.contactIds = group.contactIds.filter((cid) => !removed.has(cid));
+    group.updatedAt = new Date().toISOString();
+    persist();
+    return describeGroup(group);
+  }
+
+  return {
+    list,
+    get,
+    create,
+    update,
+    remove,
+    resolve,
+    importCsv,
+    tagCounts,
+    listGroups,
+    getGroup,
+    createGroup,
+    updateGroup,
+    removeGroup,
+    addMembers,
+    removeMembers,
+  };
+}
+
+module.exports = { createContactBook, normalizeTags, CONTACTS_FILE };
@@ -0,0 +1,113 @@
+'use strict';
+
+const { DateTime } = require('luxon');
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Convertit une heure "HH:mm" en expression cron quotidienne
+ * @param {string} at - Heure au format HH:mm (24h)
+ * @returns {string|null} Expression cron ou null si le format est invalide
+ */
+function cronFromTime(at) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(at || '').trim());
+  if (!m) return null;
+  const hour = Number(m[1]);
+  const minute = Number(m[2]);
+  if (hour > 23 || minute > 59) return null;
+  return `${minute} ${hour} * * *`;
+}
+
+function parseField(field, min, max, names) {
+  const values = new Set();
+  const toNumber = (v) => {
+    const idx = names ? names.indexOf(v.toLowerCase().slice(0, 3)) : -1;
+    if (idx !== -1) return idx + (names === MONTH_NAMES ? 1 : 0);
+    const n = Number(v);
+    if (!Number.isInteger(n)) throw new Error(`invalid cron value "${v}"`);
+    return n;
+  };
+
+  for (const part of field.split(',')) {
+    const [range, stepStr] = part.split('/');
+    const step = stepStr ? Number(stepStr) : 1;
+    if (!Number.isInteger(step) || step < 1) throw new Error(`invalid cron step "${part}"`);
+
+    let from = min;
+    let to = max;
+    if (range !== '*') {
+      const [a, b] = range.split('-');
+      from = toNumber(a);
+      to = b !== undefined ? toNumber(b) : (stepStr ? max : from);
+    }
+    for (let v = from; v <= to; v += step) {
+      if (v < min || v > max) throw new Error(`cron value out of range "${part}"`);
+      values.add(v);
+    }
+  }
+  return values;
+}
+
+/**
+ * Analyse une expression cron (5 champs, ou 6 avec les secondes comme node-cron)
+ * @param {string} expression
+ * @returns {{ minute: Set, hour: Set, dom: Set, month: Set, dow: Set }}
+ */
+function parseCron(expression) {
+  let fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length === 6) fields = fields.slice(1);
+  if (fields.length !== 5) throw new Error(`invalid cron expression "${expression}"`);
+
+  const dow = parseField(fields[4], 0, 7, DAY_NAMES);
+  // 7 = dimanche, comme 0
+  if (dow.has(7)) {
+    dow.delete(7);
+    dow.add(0);
+  }
+
+  return {
+    minute: parseField(fields[0], 0, 59),
+    hour: parseField(fields[1], 0, 23),
+    dom: parseField(fields[2], 1, 31),
+    month: parseField(fields[3], 1, 12, MONTH_NAMES),
+    dow,
+  };
+}
+
+/**
+ * Calcule la prochaine exécution d'une expression cron dans un fuseau donné.
+ * Même sémantique que node-cron: tous les champs doivent correspondre (ET).
+ * @param {string} expression - Expression cron
+ * @param {string} tz - Fuseau horaire (ex: Africa/Casablanca)
+ * @param {DateTime} [from] - Point de départ (exclu), maintenant par défaut
+ * @returns {DateTime|null} Prochaine exécution, null si aucune dans les 5 ans
+ */
+function nextCronRun(expression, tz, from = DateTime.now()) {
+  const f = parseCron(expression);
+  let dt = from.setZone(tz).startOf('minute').plus({ minutes: 1 });
+  const limit = dt.plus({ years: 5 });
+
+  while (dt < limit) {
+    if (!f.month.has(dt.month)) {
+      dt = dt.plus({ months: 1 }).startOf('month');
+      continue;
+    }
+    if (!f.dom.has(dt.day) || !f.dow.has(dt.weekday % 7)) {
+      dt = dt.plus({ days: 1 }).startOf('day');
+      continue;
+    }
+    if (!f.hour.has(dt.hour)) {
+      dt = dt.plus({ hours: 1 }).startOf('hour');
+      continue;
+    }
+    if (!f.minute.has(dt.minute)) {
+      dt = dt.plus({ minutes: 1 });
+      continue;
+    }
+    return dt;
+  }
+  return null;
+}
+
+module.exports = { cronFromTime, parseCron, nextCronRun };
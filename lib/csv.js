@@ -0,0 +1,95 @@
+'use strict';
+
+const DELIMITERS = [';', ',', '\t'];
+// En-têtes reconnus comme colonne du numéro (import de contacts, envoi en masse)
+const PHONE_COLUMNS = ['phone', 'telephone', 'téléphone', 'numero', 'numéro', 'tel'];
+
+// Séparateur le plus fréquent de la ligne d'en-tête (hors guillemets)
+function detectDelimiter(headerLine) {
+  let best = ',';
+  let bestCount = 0;
+  for (const d of DELIMITERS) {
+    const count = headerLine.replace(/"[^"]*"/g, '').split(d).length - 1;
+    if (count > bestCount) {
+      best = d;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Lit un CSV (export Excel: BOM, ";" ou ",", champs entre guillemets,
+ * retours à la ligne dans un champ)
+ * @param {string} text
+ * @returns {{ header: string[], records: Array<{ line: number, values: Object<string, string> }> }}
+ *   header en minuscules ; line = numéro de ligne dans le fichier (1 = en-tête) ; lignes vides ignorées
+ */
+function parseCsv(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0] || '';
+  const delimiter = detectDelimiter(firstLine);
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push({ line: rowLine, cells: row });
+  }
+
+  const nonEmpty = rows.filter((r) => r.cells.some((c) => c.trim() !== ''));
+  if (!nonEmpty.length) return { header: [], records: [] };
+  const header = nonEmpty[0].cells.map((c) => c.trim().toLowerCase());
+  const records = nonEmpty.slice(1).map((r) => {
+    const values = {};
+    header.forEach((col, i) => {
+      if (col) values[col] = (r.cells[i] || '').trim();
+    });
+    return { line: r.line, values };
+  });
+  return { header, records };
+}
+
+/**
+ * Colonne du numéro dans un en-tête lu par parseCsv
+ * @param {string[]} header
+ * @returns {string|undefined}
+ */
+function findPhoneColumn(header) {
+  return header.find((c) => PHONE_COLUMNS.includes(c));
+}
+
+module.exports = { parseCsv, findPhoneColumn, PHONE_COLUMNS };
@@ -0,0 +1,131 @@
+'use strict';
+
+const { DateTime } = require('luxon');
+
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})$/;
+
+function windowError(message) {
+  const err = new Error(message);
+  err.code = 'delivery_window_invalid';
+  return err;
+}
+
+// "1-6" ou "1,2,3,4,5" (1 = lundi ... 7 = dimanche)
+function parseDays(spec) {
+  const days = new Set();
+  for (const part of String(spec || '').split(',').map((p) => p.trim()).filter(Boolean)) {
+    const m = /^([1-7])(?:-([1-7]))?$/.exec(part);
+    if (!m) throw windowError(`jours invalides: ${part} (1 = lundi ... 7 = dimanche)`);
+    const first = Number(m[1]);
+    const last = m[2] ? Number(m[2]) : first;
+    for (let d = first; d <= last; d++) days.add(d);
+  }
+  return [...days].sort();
+}
+
+// "08:00-19:00" → minutes depuis minuit
+function parseHours(spec) {
+  const [start, end] = String(spec || '').split('-').map((t) => TIME_PATTERN.exec(t.trim()));
+  if (!start || !end) throw windowError(`horaires invalides: ${spec} (ex: 08:00-19:00)`);
+  const minutes = (m) => Number(m[1]) * 60 + Number(m[2]);
+  const range = { start: minutes(start), end: minutes(end) };
+  if (range.start >= range.end || range.end > 24 * 60) throw windowError(`horaires invalides: ${spec}`);
+  return range;
+}
+
+// "2026-01-01" (une date) ou "05-01" (chaque année)
+function parseHolidays(spec) {
+  const list = String(spec || '').split(',').map((h) => h.trim()).filter(Boolean);
+  for (const h of list) {
+    if (!/^(\d{4}-)?\d{2}-\d{2}$/.test(h)) throw windowError(`jour férié invalide: ${h} (YYYY-MM-DD ou MM-DD)`);
+  }
+  return list;
+}
+
+function formatMinutes(total) {
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Plage d'envoi autorisée (heures ouvrées), dans le fuseau `tz`.
+ * Sans `hours`, la plage est désactivée: l'envoi est toujours ouvert.
+ *
+ * @param {Object} [params]
+ * @param {string} [params.hours] - "08:00-19:00"
+ * @param {string} [params.days] - Jours ouvrés, "1-6" = lundi à samedi (défaut: tous)
+ * @param {string} [params.holidays] - Jours fériés "2026-07-30,01-11" (date ou MM-DD annuel)
+ * @param {string} [params.tz] - Fuseau horaire
+ */
+function createDeliveryWindow({
+  hours = process.env.DELIVERY_WINDOW_HOURS || '',
+  days = process.env.DELIVERY_WINDOW_DAYS || '1-7',
+  holidays = process.env.DELIVERY_HOLIDAYS || '',
+  tz = process.env.REMINDER_TZ || 'Africa/Casablanca',
+} = {}) {
+  const enabled = !!String(hours).trim();
+  const range = enabled ? parseHours(hours) : null;
+  const openDays = parseDays(days);
+  const holidayList = parseHolidays(holidays);
+
+  function isWorkingDay(dt) {
+    return openDays.includes(dt.weekday)
+      && !holidayList.includes(dt.toISODate())
+      && !holidayList.includes(dt.toFormat('MM-dd'));
+  }
+
+  function minutesOf(dt) {
+    return dt.hour * 60 + dt.minute;
+  }
+
+  /**
+   * L'envoi est-il autorisé à cet instant ?
+   * @param {Date|string|number} [at] - Instant (défaut: maintenant)
+   * @returns {boolean}
+   */
+  function isOpen(at = Date.now()) {
+    if (!enabled) return true;
+    const dt = toZoned(at);
+    const m = minutesOf(dt);
+    return isWorkingDay(dt) && m >= range.start && m < range.end;
+  }
+
+  /**
+   * Prochaine ouverture de la plage (l'instant lui-même s'il est dans la plage)
+   * @param {Date|string|number} [at] - Instant (défaut: maintenant)
+   * @returns {string|null} ISO dans le fuseau de la plage, null si aucun jour n'est ouvrable
+   */
+  function nextOpening(at = Date.now()) {
+    const dt = toZoned(at);
+    if (isOpen(at)) return dt.toISO();
+    for (let i = 0; i <= 366; i++) {
+      const day = dt.plus({ days: i }).startOf('day');
+      if (!isWorkingDay(day)) continue;
+      const opening = day.plus({ minutes: range.start });
+      if (opening > dt) return opening.toISO();
+    }
+    return null;
+  }
+
+  function toZoned(at) {
+    return DateTime.fromMillis(new Date(at).getTime(), { zone: tz });
+  }
+
+  /**
+   * Configuration et état courant (GET /api/delivery-window)
+   */
+  function describe() {
+    return {
+      enabled,
+      tz,
+      days: openDays,
+      hours: enabled ? `${formatMinutes(range.start)}-${formatMinutes(range.end)}` : null,
+      holidays: holidayList,
+      open: isOpen(),
+      nextOpening: enabled ? nextOpening() : null,
+    };
+  }
+
+  return { enabled, isOpen, nextOpening, describe };
+}
+
+module.exports = { createDeliveryWindow };
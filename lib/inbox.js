@@ -0,0 +1,136 @@
+'use strict';
+
+const { DateTime } = require('luxon');
+const {
+  findSentMessage,
+  saveInboxMessage,
+  getInboxMessages,
+  getInboxMessage,
+  pruneInboxMessages,
+} = require('./logger');
+
+const INBOX_MAX = process.env.INBOX_MAX ? Number(process.env.INBOX_MAX) : 20000;
+const INBOX_TZ = process.env.REMINDER_TZ || 'Africa/Casablanca';
+
+// Purge au-delà de INBOX_MAX toutes les PRUNE_EVERY écritures
+const PRUNE_EVERY = 100;
+
+function digits(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+/**
+ * Messages reçus (réponses des employés), persistés avec l'expéditeur, le
+ * texte, les métadonnées du média éventuel et, si l'employé a cité un de nos
+ * messages, l'ID de ce message et la tâche concernée.
+ * Stockés dans le store des logs (table wa_inbox_messages, numéro normalisé indexé).
+ *
+ * @param {Object} [params]
+ * @param {Object} [params.logger] - logger
+ */
+function createInbox({ logger = console } = {}) {
+  let insertsSincePrune = 0;
+
+  async function prune() {
+    if (++insertsSincePrune < PRUNE_EVERY) return;
+    insertsSincePrune = 0;
+    await pruneInboxMessages(INBOX_MAX);
+  }
+
+  async function senderInfo(msg) {
+    // Les expéditeurs peuvent arriver en @lid: le contact donne le vrai numéro
+    try {
+      const contact = await msg.getContact();
+      return {
+        phone: contact?.number || digits(msg.author || msg.from),
+        name: contact?.pushname || contact?.name || msg._data?.notifyName || null,
+      };
+    } catch (_) {
+      return { phone: digits(msg.author || msg.from), name: msg._data?.notifyName || null };
+    }
+  }
+
+  async function quotedInfo(msg) {
+    if (!msg.hasQuotedMsg) return null;
+    try {
+      const quoted = await msg.getQuotedMessage();
+      if (!quoted) return null;
+      const messageId = quoted.id?._serialized || null;
+      const sent = quoted.fromMe ? await findSentMessage(messageId) : null;
+      return {
+        messageId,
+        fromMe: !!quoted.fromMe,
+        taskId: sent?.request?.taskId ?? null,
+        taskIds: Array.isArray(sent?.request?.taskIds) ? sent.request.taskIds : null,
+        source: sent?.request?.source || null,
+        body: quoted.body ? String(quoted.body).slice(0, 200) : null,
+      };
+    } catch (e) {
+      logger.warn('[inbox] Message cité introuvable:', e?.message || e);
+      return null;
+    }
+  }
+
+  /**
+   * Enregistre un message reçu (whatsapp-web.js Message)
+   * @param {Object} msg
+   * @param {Object} [context]
+   * @param {string} [context.session] - Session WhatsApp qui a reçu le message
+   * @returns {Promise<Object|null>} L'entrée enregistrée, null si ignorée
+   */
+  async function record(msg, { session = null } = {}) {
+    if (!msg || msg.fromMe || msg.from === 'status@broadcast' || msg.isStatus) return null;
+    const id = msg.id?._serialized;
+    if (id && (await getInboxMessage(id))) return null;
+
+    const received = msg.timestamp ? DateTime.fromSeconds(msg.timestamp) : DateTime.now();
+    const [sender, quoted] = await Promise.all([senderInfo(msg), quotedInfo(msg)]);
+    const data = msg._data || {};
+
+    const entry = {
+      id: id || null,
+      session,
+      from: msg.from,
+      phone: sender.phone,
+      name: sender.name,
+      isGroup: String(msg.from || '').endsWith('@g.us'),
+      author: msg.author || null,
+      type: msg.type || 'chat',
+      body: msg.body || '',
+      hasMedia: !!msg.hasMedia,
+      media: msg.hasMedia
+        ? { mimetype: data.mimetype || null, filename: data.filename || null, size: data.size ?? null }
+        : null,
+      timestamp: received.setZone(INBOX_TZ).toISO(),
+      date: received.setZone(INBOX_TZ).toISODate(),
+      quoted,
+      receivedAt: new Date().toISOString(),
+    };
+    // Écriture en échec: loggée par le store, le message est tout de même traité
+    if ((await saveInboxMessage(entry)) === false) return null;
+    await prune();
+    return entry;
+  }
+
+  /**
+   * Liste les messages reçus, du plus récent au plus ancien
+   * @param {Object} [options]
+   * @param {string} [options.phone] - Filtrer par numéro ("0611..." et "+212 611..." sont le même numéro)
+   * @param {string} [options.date] - Filtrer par date (YYYY-MM-DD, fuseau REMINDER_TZ)
+   * @param {string|number} [options.taskId] - Réponses citant un rappel de cette tâche
+   * @param {string} [options.session] - Filtrer par session WhatsApp
+   * @param {number} [options.limit] - Nombre max (100 par défaut)
+   * @returns {Promise<{ messages: Array, total: number }>}
+   */
+  function list({ phone, date, taskId, session, limit = 100 } = {}) {
+    return getInboxMessages({ phone, date, taskId, session, limit });
+  }
+
+  function get(id) {
+    return getInboxMessage(id);
+  }
+
+  return { record, list, get };
+}
+
+module.exports = { createInbox };
@@ -0,0 +1,43 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Dossier des données persistantes (queue, jobs, ...). Surchargeable pour PM2/systemd.
+const DATA_DIR = process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.join(__dirname, '..', 'data');
+
+if (!fs.existsSync(DATA_DIR)) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+}
+
+/**
+ * Lit un fichier JSON, retourne `fallback` s'il est absent ou illisible
+ * @param {string} file - Chemin absolu du fichier
+ * @param {*} fallback - Valeur par défaut
+ * @returns {*}
+ */
+function readJsonFile(file, fallback) {
+  try {
+    if (!fs.existsSync(file)) return fallback;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    console.warn(`[store] Lecture impossible ${path.basename(file)}:`, e.message);
+    return fallback;
+  }
+}
+
+/**
+ * Écrit un fichier JSON de façon atomique (fichier temporaire + rename),
+ * pour ne jamais laisser un fichier à moitié écrit après un crash
+ * @param {string} file - Chemin absolu du fichier
+ * @param {*} data - Données sérialisables
+ */
+function writeJsonFile(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data), 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+module.exports = { DATA_DIR, readJsonFile, writeJsonFile };
@@ -0,0 +1,83 @@
+'use strict';
+
+const { once } = require('events');
+const { loggedMessageText } = require('./logger');
+
+// Colonnes de l'export (une ligne par log)
+const COLUMNS = [
+  { key: 'timestamp', header: 'Date', width: 26, value: (log) => log.timestamp },
+  { key: 'type', header: 'Type', width: 18, value: (log) => log.type },
+  { key: 'tel', header: 'Téléphone', width: 16, value: (log) => log.request?.tel },
+  { key: 'session', header: 'Session', width: 12, value: (log) => log.request?.session },
+  { key: 'source', header: 'Source', width: 14, value: (log) => log.request?.source },
+  { key: 'endpoint', header: 'Endpoint', width: 16, value: (log) => log.request?.endpoint },
+  {
+    key: 'taskId',
+    header: 'Tâche(s)',
+    width: 12,
+    value: (log) => (Array.isArray(log.request?.taskIds) ? log.request.taskIds.join(' ') : log.request?.taskId),
+  },
+  { key: 'templateKey', header: 'Template', width: 18, value: (log) => log.request?.templateKey },
+  { key: 'status', header: 'Statut', width: 10, value: (log) => log.status },
+  { key: 'deliveredAt', header: 'Reçu le', width: 26, value: (log) => log.deliveredAt },
+  { key: 'readAt', header: 'Lu le', width: 26, value: (log) => log.readAt },
+  { key: 'messageId', header: 'ID message', width: 30, value: (log) => log.response?.messageId },
+  { key: 'message', header: 'Message', width: 60, value: (log) => loggedMessageText(log.request) },
+  { key: 'error', header: 'Erreur', width: 40, value: (log) => log.error },
+];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+function cellValue(column, log) {
+  const value = column.value(log);
+  return value === undefined || value === null ? '' : String(value);
+}
+
+// Séparateur ";" (Excel en français) ; les cellules commençant par = + - @ (hors
+// nombres, ex. "+212...") sont préfixées pour ne pas être interprétées comme des formules
+function csvCell(value) {
+  const safe = /^[=+\-@]/.test(value) && !/^[+-]?[\d\s.]+$/.test(value) ? `'${value}` : value;
+  return /[";\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+async function write(stream, chunk) {
+  if (!stream.write(chunk)) await once(stream, 'drain');
+}
+
+async function writeCsv(stream, logs) {
+  await write(stream, `\ufeff${COLUMNS.map((c) => csvCell(c.header)).join(';')}\r\n`);
+  for await (const log of logs) {
+    await write(stream, `${COLUMNS.map((c) => csvCell(cellValue(c, log))).join(';')}\r\n`);
+  }
+  stream.end();
+}
+
+async function writeXlsx(stream, logs) {
+  const ExcelJS = require('exceljs');
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet('Logs');
+  sheet.columns = COLUMNS.map(({ key, header, width }) => ({ key, header, width }));
+  for await (const log of logs) {
+    sheet.addRow(COLUMNS.map((c) => cellValue(c, log))).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+}
+
+/**
+ * Écrit les logs au format demandé dans un flux (réponse HTTP), ligne par ligne
+ * @param {Object} params
+ * @param {string} params.format - 'csv' | 'xlsx'
+ * @param {AsyncIterable<Object>} params.logs - logs à exporter (iterateLogs)
+ * @param {Object} params.stream - flux Writable
+ * @returns {Promise<void>}
+ */
+function writeLogsExport({ format, logs, stream }) {
+  if (format === 'xlsx') return writeXlsx(stream, logs);
+  return writeCsv(stream, logs);
+}
+
+module.exports = { writeLogsExport, EXPORT_FORMATS: Object.keys(CONTENT_TYPES), EXPORT_CONTENT_TYPES: CONTENT_TYPES };
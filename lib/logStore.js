@@ -0,0 +1,699 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { DateTime } = require('luxon');
+const { normalizePhone } = require('./phone');
+
+const LOG_DIR = path.join(__dirname, '..', 'logs');
+const LOG_DB_FILE = process.env.LOG_DB_FILE ? path.resolve(process.env.LOG_DB_FILE) : path.join(LOG_DIR, 'reminders.db');
+
+const TABLE = 'wa_message_logs';
+const PARTS_TABLE = 'wa_message_log_parts';
+const INBOX_TABLE = 'wa_inbox_messages';
+
+const SQLITE_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS ${TABLE} (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    ts INTEGER NOT NULL,
+    log_date TEXT,
+    type TEXT NOT NULL,
+    phone TEXT,
+    session TEXT,
+    message_id TEXT,
+    status TEXT,
+    source TEXT,
+    endpoint TEXT,
+    task_ids TEXT,
+    template_key TEXT,
+    body TEXT,
+    error TEXT,
+    data TEXT NOT NULL
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_${TABLE}_id ON ${TABLE} (id)`,
+  `CREATE INDEX IF NOT EXISTS idx_${TABLE}_ts ON ${TABLE} (ts)`,
+  `CREATE INDEX IF NOT EXISTS idx_${TABLE}_date ON ${TABLE} (log_date)`,
+  `CREATE INDEX IF NOT EXISTS idx_${TABLE}_phone ON ${TABLE} (phone)`,
+  `CREATE INDEX IF NOT EXISTS idx_${TABLE}_type ON ${TABLE} (type, ts)`,
+  `CREATE INDEX IF NOT EXISTS idx_${TABLE}_message_id ON ${TABLE} (message_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_${TABLE}_source ON ${TABLE} (source)`,
+  `CREATE INDEX IF NOT EXISTS idx_${TABLE}_endpoint ON ${TABLE} (endpoint)`,
+  `CREATE INDEX IF NOT EXISTS idx_${TABLE}_template_key ON ${TABLE} (template_key)`,
+  `CREATE TABLE IF NOT EXISTS ${PARTS_TABLE} (
+    message_id TEXT PRIMARY KEY,
+    log_seq INTEGER NOT NULL REFERENCES ${TABLE} (seq) ON DELETE CASCADE
+  )`,
+  `CREATE TABLE IF NOT EXISTS ${INBOX_TABLE} (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT UNIQUE,
+    received_date TEXT,
+    phone TEXT,
+    session TEXT,
+    task_ids TEXT,
+    data TEXT NOT NULL
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_${INBOX_TABLE}_phone ON ${INBOX_TABLE} (phone)`,
+  `CREATE INDEX IF NOT EXISTS idx_${INBOX_TABLE}_date ON ${INBOX_TABLE} (received_date)`,
+];
+
+const MYSQL_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS ${TABLE} (
+    seq BIGINT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    id VARCHAR(191) NOT NULL,
+    timestamp VARCHAR(40) NOT NULL,
+    ts BIGINT NOT NULL,
+    log_date CHAR(10) NULL,
+    type VARCHAR(64) NOT NULL,
+    phone VARCHAR(32) NULL,
+    session VARCHAR(64) NULL,
+    message_id VARCHAR(191) NULL,
+    status VARCHAR(16) NULL,
+    source VARCHAR(64) NULL,
+    endpoint VARCHAR(191) NULL,
+    task_ids VARCHAR(1024) NULL,
+    template_key VARCHAR(191) NULL,
+    body TEXT NULL,
+    error TEXT NULL,
+    data LONGTEXT NOT NULL,
+    INDEX idx_id (id),
+    INDEX idx_ts (ts),
+    INDEX idx_date (log_date),
+    INDEX idx_phone (phone),
+    INDEX idx_type (type, ts),
+    INDEX idx_message_id (message_id),
+    INDEX idx_source (source),
+    INDEX idx_endpoint (endpoint),
+    INDEX idx_template_key (template_key)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+  `CREATE TABLE IF NOT EXISTS ${PARTS_TABLE} (
+    message_id VARCHAR(191) NOT NULL PRIMARY KEY,
+    log_seq BIGINT NOT NULL,
+    CONSTRAINT fk_${PARTS_TABLE}_log FOREIGN KEY (log_seq) REFERENCES ${TABLE} (seq) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+  `CREATE TABLE IF NOT EXISTS ${INBOX_TABLE} (
+    seq BIGINT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    id VARCHAR(191) NULL,
+    received_date CHAR(10) NULL,
+    phone VARCHAR(32) NULL,
+    session VARCHAR(64) NULL,
+    task_ids VARCHAR(1024) NULL,
+    data LONGTEXT NOT NULL,
+    UNIQUE KEY uniq_id (id),
+    INDEX idx_phone (phone),
+    INDEX idx_date (received_date)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+];
+
+// Tris autorisés (paramètre sort de /api/logs)
+const SORT_COLUMNS = {
+  timestamp: 'ts',
+  tel: 'phone',
+  type: 'type',
+  status: "COALESCE(status, 'sent')",
+  source: 'source',
+};
+
+// Types comptés par les statistiques: envois réussis et échecs d'envoi
+const SENT_TYPE = 'reminder_success';
+const FAILED_TYPES = ['reminder_error', 'error'];
+
+// Regroupement de la série temporelle (horodatages en heure locale: "YYYY-MM-DDTHH")
+const BUCKET_COLUMNS = {
+  day: 'log_date',
+  hour: 'SUBSTR(timestamp, 1, 13)',
+};
+
+/**
+ * Numéro au format international (chiffres, lib/phone), pour comparer "0611..." et "+212 611..."
+ * @param {string} phone
+ * @returns {string|null}
+ */
+function normalizeLogPhone(phone) {
+  return normalizePhone(phone) || null;
+}
+
+// Tâches du log sous la forme ",12,13," (filtre taskId par LIKE, rappels de synthèse compris)
+function taskIdsOf(request) {
+  const ids = [];
+  if (request?.taskId !== undefined && request?.taskId !== null) ids.push(request.taskId);
+  if (Array.isArray(request?.taskIds)) ids.push(...request.taskIds);
+  return ids.length ? `,${[...new Set(ids.map(String))].join(',')},` : null;
+}
+
+// Colonnes indexées extraites d'une entrée de log (l'entrée complète est dans `data`)
+function toRow(entry) {
+  const ts = DateTime.fromISO(String(entry.timestamp || ''), { setZone: true });
+  const request = entry.request || {};
+  return {
+    id: entry.id,
+    timestamp: entry.timestamp,
+    ts: ts.isValid ? ts.toMillis() : Date.now(),
+    log_date: ts.isValid ? ts.toISODate() : null,
+    type: entry.type || 'info',
+    phone: normalizeLogPhone(request.tel),
+    session: request.session || null,
+    message_id: entry.response?.messageId || null,
+    status: entry.status || null,
+    source: request.source || null,
+    endpoint: request.endpoint || null,
+    task_ids: taskIdsOf(request),
+    template_key: request.templateKey || null,
+    body: request.message ?? request.messagePreview ?? null,
+    error: entry.error ? String(entry.error) : null,
+    data: JSON.stringify(entry),
+  };
+}
+
+// Borne de période: "YYYY-MM-DD" (jour entier) ou horodatage ISO
+function rangeClause(value, op) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return { sql: `log_date ${op} ?`, param: value };
+  const dt = DateTime.fromISO(String(value), { setZone: true });
+  if (!dt.isValid) return null;
+  return { sql: `ts ${op} ?`, param: dt.toMillis() };
+}
+
+function likeParam(text) {
+  return `%${String(text).replace(/[!%_]/g, (c) => `!${c}`)}%`;
+}
+
+function fromRow(row) {
+  try {
+    return JSON.parse(row.data);
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Clause WHERE des filtres de lecture
+ * @param {Object} [filters]
+ * @param {string} [filters.type] - Type de log
+ * @param {string[]} [filters.types] - Un type parmi ceux-ci
+ * @param {string} [filters.date] - Jour (YYYY-MM-DD)
+ * @param {string} [filters.from] - Début de période (YYYY-MM-DD ou ISO), inclus
+ * @param {string} [filters.to] - Fin de période (YYYY-MM-DD ou ISO), incluse
+ * @param {string} [filters.tel] - Numéro (national ou international)
+ * @param {string[]} [filters.excludeTels] - Numéros à exclure
+ * @param {string} [filters.source]
+ * @param {string} [filters.endpoint]
+ * @param {string|number} [filters.taskId]
+ * @param {string} [filters.templateKey]
+ * @param {string} [filters.q] - Recherche dans le texte du message et l'erreur
+ * @param {string} [filters.session]
+ * @param {string} [filters.defaultSession]
+ * @param {string} [filters.status] - Statut de remise
+ * @returns {{ sql: string, params: Array }}
+ */
+function buildWhere({
+  type,
+  types,
+  date,
+  from,
+  to,
+  tel,
+  excludeTels,
+  source,
+  endpoint,
+  taskId,
+  templateKey,
+  q,
+  session,
+  defaultSession,
+  status,
+} = {}) {
+  const clauses = [];
+  const params = [];
+  const equals = (column, value) => {
+    clauses.push(`${column} = ?`);
+    params.push(value);
+  };
+  if (type) equals('type', type);
+  if (Array.isArray(types) && types.length) {
+    clauses.push(`type IN (${types.map(() => '?').join(', ')})`);
+    params.push(...types);
+  }
+  if (date) equals('log_date', date);
+  for (const [value, op] of [[from, '>='], [to, '<=']]) {
+    const range = value ? rangeClause(value, op) : null;
+    if (range) {
+      clauses.push(range.sql);
+      params.push(range.param);
+    }
+  }
+  if (tel) equals('phone', normalizeLogPhone(tel) || '');
+  const excluded = (excludeTels || []).map(normalizeLogPhone).filter(Boolean);
+  if (excluded.length) {
+    clauses.push(`(phone IS NULL OR phone NOT IN (${excluded.map(() => '?').join(', ')}))`);
+    params.push(...excluded);
+  }
+  if (source) equals('source', source);
+  if (endpoint) equals('endpoint', endpoint);
+  if (templateKey) equals('template_key', templateKey);
+  if (taskId !== undefined && taskId !== null && taskId !== '') {
+    clauses.push('task_ids LIKE ?');
+    params.push(`%,${String(taskId)},%`);
+  }
+  if (q) {
+    clauses.push("(body LIKE ? ESCAPE '!' OR error LIKE ? ESCAPE '!')");
+    params.push(likeParam(q), likeParam(q));
+  }
+  if (session) {
+    // Les logs sans session viennent de la session par défaut
+    clauses.push('COALESCE(session, ?) = ?');
+    params.push(defaultSession || '', session);
+  }
+  if (status) {
+    // Les anciens logs sans statut sont "sent"
+    clauses.push("COALESCE(status, 'sent') = ?");
+    params.push(status);
+  }
+  return { sql: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+// Colonnes indexées d'un message reçu (lib/inbox) ; tâches citées au format de taskIdsOf
+function toInboxRow(entry) {
+  return {
+    id: entry.id || null,
+    received_date: entry.date || null,
+    phone: normalizeLogPhone(entry.phone),
+    session: entry.session || null,
+    task_ids: taskIdsOf(entry.quoted),
+    data: JSON.stringify(entry),
+  };
+}
+
+/**
+ * Clause WHERE des filtres des messages reçus
+ * @param {Object} [filters]
+ * @param {string} [filters.phone] - Numéro (national ou international), comparé normalisé
+ * @param {string} [filters.date] - Jour (YYYY-MM-DD)
+ * @param {string|number} [filters.taskId] - Réponses citant un rappel de cette tâche
+ * @param {string} [filters.session]
+ * @returns {{ sql: string, params: Array }}
+ */
+function buildInboxWhere({ phone, date, taskId, session } = {}) {
+  const clauses = [];
+  const params = [];
+  if (phone) {
+    clauses.push('phone = ?');
+    params.push(normalizeLogPhone(phone) || '');
+  }
+  if (date) {
+    clauses.push('received_date = ?');
+    params.push(date);
+  }
+  if (session) {
+    clauses.push('session = ?');
+    params.push(session);
+  }
+  if (taskId !== undefined && taskId !== null && taskId !== '') {
+    clauses.push('task_ids LIKE ?');
+    params.push(`%,${String(taskId)},%`);
+  }
+  return { sql: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+/**
+ * Stockage SQL des logs, commun à SQLite et MySQL.
+ * `run(sql, params)` et `all(sql, params)` sont asynchrones ; `transaction(fn)`
+ * exécute fn(tx) où tx expose les mêmes run/all.
+ */
+function createSqlLogStore({ kind, schema, run, all, transaction }) {
+  async function init() {
+    for (const sql of schema) await run(sql, []);
+  }
+
+  async function insertWith(db, entry, { dedup = true } = {}) {
+    if (dedup && entry.id) {
+      const found = await db.all(`SELECT seq FROM ${TABLE} WHERE id = ? LIMIT 1`, [entry.id]);
+      if (found.length) return false;
+    }
+    const row = toRow(entry);
+    const columns = Object.keys(row);
+    const result = await db.run(
+      `INSERT INTO ${TABLE} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map((c) => row[c])
+    );
+    // Parties d'un envoi multi-parties: retrouvées par findByMessageId (réponses citées)
+    const parts = Array.isArray(entry.response?.messageIds) ? entry.response.messageIds : [];
+    for (const messageId of parts) {
+      if (!messageId || messageId === row.message_id) continue;
+      await db.run(
+        kind === 'mysql'
+          ? `INSERT IGNORE INTO ${PARTS_TABLE} (message_id, log_seq) VALUES (?, ?)`
+          : `INSERT OR IGNORE INTO ${PARTS_TABLE} (message_id, log_seq) VALUES (?, ?)`,
+        [messageId, result.insertId]
+      );
+    }
+    return true;
+  }
+
+  /**
+   * Ajoute une entrée
+   * @param {Object} entry
+   * @param {Object} [options]
+   * @param {boolean} [options.dedup] - Ignorer l'entrée si son id existe déjà
+   * @returns {Promise<boolean>} false si ignorée (doublon)
+   */
+  function insert(entry, options) {
+    return insertWith({ run, all }, entry, options);
+  }
+
+  /**
+   * Ajoute des entrées en une transaction (migration)
+   * @returns {Promise<number>} Nombre d'entrées ajoutées
+   */
+  function insertMany(entries, options) {
+    return transaction(async (tx) => {
+      let inserted = 0;
+      for (const entry of entries) {
+        if (entry && (await insertWith(tx, entry, options))) inserted++;
+      }
+      return inserted;
+    });
+  }
+
+  /**
+   * Log d'un message envoyé par son ID WhatsApp (ID principal, ou une partie si includeParts)
+   * @returns {Promise<{ seq: number, entry: Object }|null>}
+   */
+  async function findByMessageId(messageId, { includeParts = false } = {}) {
+    let rows = await all(`SELECT seq, data FROM ${TABLE} WHERE message_id = ? ORDER BY seq DESC LIMIT 1`, [messageId]);
+    if (!rows.length && includeParts) {
+      rows = await all(
+        `SELECT l.seq, l.data FROM ${PARTS_TABLE} p JOIN ${TABLE} l ON l.seq = p.log_seq WHERE p.message_id = ?`,
+        [messageId]
+      );
+    }
+    return rows.length ? { seq: rows[0].seq, entry: fromRow(rows[0]) } : null;
+  }
+
+  /**
+   * Réécrit une entrée existante (statut de remise)
+   */
+  async function update(seq, entry) {
+    await run(`UPDATE ${TABLE} SET status = ?, data = ? WHERE seq = ?`, [entry.status || null, JSON.stringify(entry), seq]);
+  }
+
+  /**
+   * Entrées filtrées, triées (par défaut de la plus récente à la plus ancienne)
+   * @param {Object} [filters] - filtres de buildWhere, plus sort, order ('asc'|'desc'), limit, offset
+   * @returns {Promise<Array>}
+   */
+  async function query(filters = {}) {
+    const { sql, params } = buildWhere(filters);
+    const column = SORT_COLUMNS[filters.sort] || SORT_COLUMNS.timestamp;
+    const order = String(filters.order || '').toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+    const limit = Math.max(0, parseInt(filters.limit, 10) || 0);
+    const offset = Math.max(0, parseInt(filters.offset, 10) || 0);
+    const page = limit ? ` LIMIT ${limit}${offset ? ` OFFSET ${offset}` : ''}` : '';
+    const rows = await all(`SELECT data FROM ${TABLE} ${sql} ORDER BY ${column} ${order}, seq ${order}${page}`, params);
+    return rows.map(fromRow).filter(Boolean);
+  }
+
+  async function count(filters = {}) {
+    const { sql, params } = buildWhere(filters);
+    const rows = await all(`SELECT COUNT(*) AS n FROM ${TABLE} ${sql}`, params);
+    return Number(rows[0]?.n || 0);
+  }
+
+  /**
+   * Compteurs des entrées filtrées: total, du jour `today`, et par statut de remise
+   * @param {Object} filters - filtres de buildWhere
+   * @param {string} today - Jour courant (YYYY-MM-DD)
+   * @returns {Promise<{ total: number, today: number, delivered: number, read: number, failed: number }>}
+   */
+  async function summary(filters, today) {
+    const { sql, params } = buildWhere(filters);
+    const rows = await all(
+      `SELECT COUNT(*) AS total,
+              SUM(CASE WHEN log_date = ? THEN 1 ELSE 0 END) AS today,
+              SUM(CASE WHEN status IN ('delivered', 'read') THEN 1 ELSE 0 END) AS delivered,
+              SUM(CASE WHEN status = 'read' THEN 1 ELSE 0 END) AS readCount,
+              SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) AS failed
+       FROM ${TABLE} ${sql}`,
+      [today, ...params]
+    );
+    const r = rows[0] || {};
+    return {
+      total: Number(r.total || 0),
+      today: Number(r.today || 0),
+      delivered: Number(r.delivered || 0),
+      read: Number(r.readCount || 0),
+      failed: Number(r.failed || 0),
+    };
+  }
+
+  /**
+   * Statistiques d'envoi des entrées filtrées: série par jour ou par heure,
+   * répartition par source, principales erreurs et destinataires
+   * @param {Object} filters - filtres de buildWhere (type/types ignorés)
+   * @param {Object} [options]
+   * @param {string} [options.granularity] - 'day' (défaut) | 'hour'
+   * @param {number} [options.top] - Nombre d'erreurs et de destinataires retournés
+   * @returns {Promise<Object>} { totals, series, sources, failures, recipients } (séries sans les périodes vides)
+   */
+  async function statistics(filters = {}, { granularity = 'day', top = 10 } = {}) {
+    const { sql, params } = buildWhere({ ...filters, type: undefined, types: [SENT_TYPE, ...FAILED_TYPES] });
+    const counts = `SUM(CASE WHEN type = ? THEN 1 ELSE 0 END) AS sent,
+              SUM(CASE WHEN type <> ? THEN 1 ELSE 0 END) AS failed,
+              SUM(CASE WHEN status IN ('delivered', 'read') THEN 1 ELSE 0 END) AS delivered,
+              SUM(CASE WHEN status = 'read' THEN 1 ELSE 0 END) AS readCount,
+              SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) AS ackFailed`;
+    const countParams = [SENT_TYPE, SENT_TYPE, ...params];
+    const limit = Math.max(1, parseInt(top, 10) || 10);
+    const bucket = BUCKET_COLUMNS[granularity] || BUCKET_COLUMNS.day;
+    const toCounts = (r) => ({
+      sent: Number(r.sent || 0),
+      failed: Number(r.failed || 0),
+      delivered: Number(r.delivered || 0),
+      read: Number(r.readCount || 0),
+      ackFailed: Number(r.ackFailed || 0),
+    });
+
+    const [totals, series, sources, recipients] = await Promise.all([
+      all(`SELECT ${counts} FROM ${TABLE} ${sql}`, countParams),
+      all(`SELECT ${bucket} AS bucket, ${counts} FROM ${TABLE} ${sql} GROUP BY ${bucket} ORDER BY bucket`, countParams),
+      all(
+        `SELECT COALESCE(source, 'unknown') AS source, COUNT(*) AS total, ${counts}
+         FROM ${TABLE} ${sql} GROUP BY COALESCE(source, 'unknown') ORDER BY total DESC`,
+        countParams
+      ),
+      all(
+        `SELECT phone, COUNT(*) AS total, ${counts}
+         FROM ${TABLE} ${sql} ${sql ? 'AND' : 'WHERE'} phone IS NOT NULL
+         GROUP BY phone ORDER BY total DESC, phone LIMIT ${limit}`,
+        countParams
+      ),
+    ]);
+
+    const failedWhere = buildWhere({ ...filters, type: undefined, types: FAILED_TYPES });
+    const failures = await all(
+      `SELECT COALESCE(error, 'unknown') AS error, COUNT(*) AS total
+       FROM ${TABLE} ${failedWhere.sql} GROUP BY COALESCE(error, 'unknown') ORDER BY total DESC LIMIT ${limit}`,
+      failedWhere.params
+    );
+
+    return {
+      totals: toCounts(totals[0] || {}),
+      series: series.filter((r) => r.bucket).map((r) => ({ bucket: r.bucket, ...toCounts(r) })),
+      sources: sources.map((r) => ({ source: r.source, total: Number(r.total), ...toCounts(r) })),
+      failures: failures.map((r) => ({ error: r.error, count: Number(r.total) })),
+      recipients: recipients.map((r) => ({ tel: r.phone, total: Number(r.total), ...toCounts(r) })),
+    };
+  }
+
+  /**
+   * Supprime toutes les entrées
+   * @returns {Promise<boolean>} false s'il n'y avait rien à supprimer
+   */
+  async function clear() {
+    const n = await count();
+    await run(`DELETE FROM ${PARTS_TABLE}`, []);
+    await run(`DELETE FROM ${TABLE}`, []);
+    return n > 0;
+  }
+
+  /**
+   * Ne garde que les `max` dernières entrées ajoutées
+   */
+  async function prune(max) {
+    await run(
+      `DELETE FROM ${TABLE} WHERE seq <= (SELECT seq FROM (SELECT seq FROM ${TABLE} ORDER BY seq DESC LIMIT 1 OFFSET ?) oldest)`,
+      [max]
+    );
+  }
+
+  /**
+   * Ajoute un message reçu
+   * @param {Object} entry - Entrée de lib/inbox
+   * @returns {Promise<boolean>} false si son id existe déjà
+   */
+  async function insertInbox(entry) {
+    const row = toInboxRow(entry);
+    const columns = Object.keys(row);
+    const result = await run(
+      `${kind === 'mysql' ? 'INSERT IGNORE' : 'INSERT OR IGNORE'} INTO ${INBOX_TABLE} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map((c) => row[c])
+    );
+    return result.changes > 0;
+  }
+
+  async function findInbox(id) {
+    const rows = await all(`SELECT data FROM ${INBOX_TABLE} WHERE id = ? LIMIT 1`, [id]);
+    return rows.length ? fromRow(rows[0]) : null;
+  }
+
+  /**
+   * Messages reçus filtrés, du plus récent au plus ancien
+   * @param {Object} [filters] - filtres de buildInboxWhere, plus limit
+   * @returns {Promise<{ messages: Array, total: number }>}
+   */
+  async function queryInbox(filters = {}) {
+    const { sql, params } = buildInboxWhere(filters);
+    const limit = Math.max(0, parseInt(filters.limit, 10) || 0);
+    const [rows, counted] = await Promise.all([
+      all(`SELECT data FROM ${INBOX_TABLE} ${sql} ORDER BY seq DESC${limit ? ` LIMIT ${limit}` : ''}`, params),
+      all(`SELECT COUNT(*) AS n FROM ${INBOX_TABLE} ${sql}`, params),
+    ]);
+    return { messages: rows.map(fromRow).filter(Boolean), total: Number(counted[0]?.n || 0) };
+  }
+
+  /**
+   * Ne garde que les `max` derniers messages reçus
+   */
+  async function pruneInbox(max) {
+    await run(
+      `DELETE FROM ${INBOX_TABLE} WHERE seq <= (SELECT seq FROM (SELECT seq FROM ${INBOX_TABLE} ORDER BY seq DESC LIMIT 1 OFFSET ?) oldest)`,
+      [max]
+    );
+  }
+
+  return {
+    kind,
+    init,
+    insert,
+    insertMany,
+    findByMessageId,
+    update,
+    query,
+    count,
+    summary,
+    statistics,
+    clear,
+    prune,
+    insertInbox,
+    findInbox,
+    queryInbox,
+    pruneInbox,
+  };
+}
+
+/**
+ * Logs dans un fichier SQLite local (better-sqlite3)
+ * @param {string} [file]
+ */
+function createSqliteLogStore(file = LOG_DB_FILE) {
+  const Database = require('better-sqlite3');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  const sync = {
+    run: (sql, params) => {
+      const info = db.prepare(sql).run(...params);
+      return { insertId: Number(info.lastInsertRowid), changes: info.changes };
+    },
+    all: (sql, params) => db.prepare(sql).all(...params),
+  };
+  const asyncApi = {
+    run: async (sql, params) => sync.run(sql, params),
+    all: async (sql, params) => sync.all(sql, params),
+  };
+
+  return createSqlLogStore({
+    kind: 'sqlite',
+    schema: SQLITE_SCHEMA,
+    ...asyncApi,
+    // better-sqlite3 est synchrone: la transaction couvre tout fn tant qu'il ne rend pas la main
+    transaction: async (fn) => {
+      db.exec('BEGIN');
+      try {
+        const result = await fn(asyncApi);
+        db.exec('COMMIT');
+        return result;
+      } catch (e) {
+        db.exec('ROLLBACK');
+        throw e;
+      }
+    },
+  });
+}
+
+/**
+ * Logs dans la base MySQL (pool de lib/db)
+ * @param {Object} pool - pool mysql2/promise
+ */
+function createMysqlLogStore(pool) {
+  const wrap = (conn) => ({
+    run: async (sql, params) => {
+      const [result] = await conn.query(sql, params);
+      return { insertId: result.insertId, changes: result.affectedRows };
+    },
+    all: async (sql, params) => {
+      const [rows] = await conn.query(sql, params);
+      return rows;
+    },
+  });
+
+  return createSqlLogStore({
+    kind: 'mysql',
+    schema: MYSQL_SCHEMA,
+    ...wrap(pool),
+    transaction: async (fn) => {
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        const result = await fn(wrap(conn));
+        await conn.commit();
+        return result;
+      } catch (e) {
+        await conn.rollback();
+        throw e;
+      } finally {
+        conn.release();
+      }
+    },
+  });
+}
+
+/**
+ * Stockage choisi par LOG_STORE: 'sqlite' (défaut) ou 'mysql' (variables DB_*)
+ * @param {Object} [logger]
+ */
+function createLogStoreFromEnv(logger = console) {
+  const kind = (process.env.LOG_STORE || 'sqlite').toLowerCase();
+  if (kind === 'mysql') {
+    try {
+      const { createPoolFromEnv } = require('./db');
+      return createMysqlLogStore(createPoolFromEnv());
+    } catch (e) {
+      logger.warn('[logger] MySQL non configuré, logs en SQLite:', e?.message);
+    }
+  }
+  return createSqliteLogStore();
+}
+
+module.exports = {
+  SORT_FIELDS: Object.keys(SORT_COLUMNS),
+  STATS_GRANULARITIES: Object.keys(BUCKET_COLUMNS),
+  normalizeLogPhone,
+  createSqliteLogStore,
+  createMysqlLogStore,
+  createLogStoreFromEnv,
+  LOG_DIR,
+  LOG_DB_FILE,
+};
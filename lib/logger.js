@@ -4,18 +4,106 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { DateTime } = require('luxon');
+const { createLogStoreFromEnv, SORT_FIELDS, STATS_GRANULARITIES, LOG_DIR, LOG_DB_FILE } = require('./logStore');
 
-const LOG_DIR = path.join(__dirname, '..', 'logs');
+// Ancien stockage (fichier JSON réécrit à chaque log): migré dans le store au démarrage
 const REMINDER_LOGS_FILE = path.join(LOG_DIR, 'reminders.json');
 const MAX_LOGS = process.env.LOG_MAX ? Number(process.env.LOG_MAX) : 20000;
 const LOG_STORE_MESSAGE = (process.env.LOG_STORE_MESSAGE || 'preview').toLowerCase();
 const LOG_DEDUP = (process.env.LOG_DEDUP || 'true').toLowerCase() !== 'false';
+// Fuseau des horodatages, donc des jours et heures des filtres et statistiques (celui des rappels)
+const LOG_TZ = process.env.REMINDER_TZ || 'Africa/Casablanca';
+
+// Statuts de remise d'un message (ordre de progression, 'failed' à part)
+const DELIVERY_STATUSES = ['pending', 'sent', 'delivered', 'read'];
+// Accusés reçus avant que le log du message ne soit écrit (envoi multi-parties)
+const PENDING_ACK_TTL_MS = 10 * 60 * 1000;
+const pendingAcks = new Map();
+
+// Purge au-delà de LOG_MAX toutes les PRUNE_EVERY écritures
+const PRUNE_EVERY = 100;
 
 // Créer le dossier logs s'il n'existe pas
 if (!fs.existsSync(LOG_DIR)) {
   fs.mkdirSync(LOG_DIR, { recursive: true });
 }
 
+// Store (SQLite ou MySQL, voir lib/logStore) ouvert au premier accès
+let storeReady = null;
+let insertsSincePrune = 0;
+// Les opérations passent une par une: un accusé n'est jamais traité avant l'écriture de son log
+let chain = Promise.resolve();
+
+function getStore() {
+  if (!storeReady) {
+    const store = createLogStoreFromEnv();
+    storeReady = store.init()
+      .then(() => migrateJsonLogs(store))
+      .then(() => pruneLogs(store))
+      .then(() => store);
+    storeReady.catch((e) => console.error('[logger] Store de logs indisponible:', e?.message || e));
+  }
+  return storeReady;
+}
+
+function serial(fn) {
+  const result = chain.then(async () => fn(await getStore()));
+  chain = result.catch(() => {});
+  return result;
+}
+
+async function pruneLogs(store) {
+  insertsSincePrune = 0;
+  if (Number.isFinite(MAX_LOGS) && MAX_LOGS > 0) await store.prune(MAX_LOGS);
+}
+
+/**
+ * Migration unique de logs/reminders.json vers le store, puis renommage du
+ * fichier en reminders.json.migrated
+ */
+async function migrateJsonLogs(store) {
+  if (!fs.existsSync(REMINDER_LOGS_FILE)) return;
+  let logs;
+  try {
+    logs = JSON.parse(fs.readFileSync(REMINDER_LOGS_FILE, 'utf8'));
+  } catch (e) {
+    console.warn('[logger] Migration impossible, reminders.json illisible:', e.message);
+    return;
+  }
+  if (!Array.isArray(logs)) logs = [];
+  const inserted = await store.insertMany(logs, { dedup: true });
+  fs.renameSync(REMINDER_LOGS_FILE, `${REMINDER_LOGS_FILE}.migrated`);
+  console.log(`[logger] ${inserted}/${logs.length} logs migrés de reminders.json vers ${store.kind}`);
+}
+
+// Texte du message selon LOG_STORE_MESSAGE: full (complet), preview (220 caractères), none
+function sanitizeMessage(message) {
+  const str = (message || '').toString();
+  const messageLength = str.length;
+  if (LOG_STORE_MESSAGE === 'full') {
+    return { message: str, messagePreview: null, messageLength };
+  }
+  if (LOG_STORE_MESSAGE === 'none') {
+    return { message: null, messagePreview: null, messageLength };
+  }
+  // default: preview
+  const previewLen = 220;
+  const messagePreview = str.length > previewLen ? `${str.slice(0, previewLen)}…` : str;
+  return { message: null, messagePreview, messageLength };
+}
+
+/**
+ * Texte d'un message loggé, restreint au mode LOG_STORE_MESSAGE actuel
+ * (un log écrit en mode full n'est exporté qu'en aperçu si le mode est passé à preview)
+ * @param {Object} request - request du log
+ * @returns {string}
+ */
+function loggedMessageText(request) {
+  const stored = request?.message ?? request?.messagePreview ?? '';
+  const { message, messagePreview } = sanitizeMessage(stored);
+  return message ?? messagePreview ?? '';
+}
+
 /**
  * Enregistre un log de reminder
  * @param {Object} logData - Les données du log
@@ -24,25 +112,11 @@ if (!fs.existsSync(LOG_DIR)) {
  * @param {Object} logData.request - La requête (tasks à envoyer)
  * @param {Object} logData.response - La réponse (résultats)
  * @param {string} [logData.error] - Message d'erreur si applicable
+ * @returns {Promise<Object|null>} Le log écrit, null en cas d'erreur
  */
 function logReminder(logData) {
   try {
-    const timestamp = DateTime.now().setZone('Africa/Casablanca').toISO();
-
-    const sanitizeMessage = (message) => {
-      const str = (message || '').toString();
-      const messageLength = str.length;
-      if (LOG_STORE_MESSAGE === 'full') {
-        return { message: str, messagePreview: null, messageLength };
-      }
-      if (LOG_STORE_MESSAGE === 'none') {
-        return { message: null, messagePreview: null, messageLength };
-      }
-      // default: preview
-      const previewLen = 220;
-      const messagePreview = str.length > previewLen ? `${str.slice(0, previewLen)}…` : str;
-      return { message: null, messagePreview, messageLength };
-    };
+    const timestamp = DateTime.now().setZone(LOG_TZ).toISO();
 
     const sanitizeRequest = (req) => {
       if (!req || typeof req !== 'object') return null;
@@ -72,10 +146,10 @@ function logReminder(logData) {
       if (!resp || typeof resp !== 'object') return null;
       const r = { ...resp };
       // Keep only a small set of stable fields
-      const allowed = ['success', 'jid', 'messageId'];
+      const allowed = ['success', 'jid', 'messageId', 'messageIds'];
       const out = {};
       for (const k of allowed) {
-        if (Object.prototype.hasOwnProperty.call(r, k)) out[k] = r[k];
+        if (Object.prototype.hasOwnProperty.call(r, k) && r[k] !== undefined) out[k] = r[k];
       }
       return out;
     };
@@ -109,45 +183,145 @@ function logReminder(logData) {
       error: logData.error || null,
     };
 
-    // Lire les logs existants
-    let logs = [];
-    if (fs.existsSync(REMINDER_LOGS_FILE)) {
-      try {
-        const content = fs.readFileSync(REMINDER_LOGS_FILE, 'utf8');
-        logs = JSON.parse(content);
-      } catch (e) {
-        console.warn('[logger] Erreur lecture logs existants:', e.message);
-        logs = [];
+    return serial(async (store) => {
+      // Messages envoyés: statut de remise mis à jour par les accusés (message_ack)
+      if (logEntry.type === 'reminder_success') {
+        logEntry.status = 'sent';
+        logEntry.statusAt = timestamp;
+        const mid = response && response.messageId;
+        const early = mid ? pendingAcks.get(mid) : null;
+        if (early) {
+          pendingAcks.delete(mid);
+          applyStatus(logEntry, early.status, early.at);
+        }
       }
-    }
 
-    // Ajouter le nouveau log (déduplication si activée)
-    if (LOG_DEDUP) {
-      const existingIds = new Set(
-        logs
-          .map((l) => l && l.id)
-          .filter(Boolean)
-      );
-      if (!existingIds.has(logEntry.id)) {
-        logs.push(logEntry);
+      // Ajouter le nouveau log (déduplication si activée)
+      if (await store.insert(logEntry, { dedup: LOG_DEDUP })) {
+        if (++insertsSincePrune >= PRUNE_EVERY) await pruneLogs(store);
       }
-    } else {
-      logs.push(logEntry);
-    }
+      return logEntry;
+    }).catch((e) => {
+      console.error('[logger] Erreur écriture log:', e);
+      return null;
+    });
+  } catch (e) {
+    console.error('[logger] Erreur écriture log:', e);
+    return Promise.resolve(null);
+  }
+}
+
+function applyStatus(entry, status, at) {
+  const current = entry.status || 'sent';
+  if (status === current) return false;
+  // Pas de retour en arrière (un "delivered" tardif n'écrase pas "read")
+  if (status !== 'failed' && DELIVERY_STATUSES.indexOf(status) <= DELIVERY_STATUSES.indexOf(current)) return false;
+  if (current === 'failed' && status !== 'failed') return false;
+  entry.status = status;
+  entry.statusAt = at;
+  if (status === 'delivered') entry.deliveredAt = at;
+  if (status === 'read') {
+    entry.readAt = at;
+    if (!entry.deliveredAt) entry.deliveredAt = at;
+  }
+  if (status === 'failed') entry.failedAt = at;
+  return true;
+}
 
-    // Limiter le nombre de logs (garder les plus récents)
-    if (Number.isFinite(MAX_LOGS) && MAX_LOGS > 0 && logs.length > MAX_LOGS) {
-      logs = logs.slice(-MAX_LOGS);
+/**
+ * Met à jour le statut de remise d'un message envoyé (accusé WhatsApp)
+ * @param {string} messageId - ID WhatsApp (response.messageId du log)
+ * @param {string} status - 'sent' | 'delivered' | 'read' | 'failed'
+ * @returns {Promise<Object|null>} Le log mis à jour, null si inchangé ou introuvable
+ */
+function updateMessageStatus(messageId, status) {
+  if (!messageId || !status) return Promise.resolve(null);
+  const at = DateTime.now().setZone(LOG_TZ).toISO();
+
+  return serial(async (store) => {
+    const found = await store.findByMessageId(messageId);
+
+    if (!found || !found.entry) {
+      const now = Date.now();
+      for (const [k, v] of pendingAcks) {
+        if (now - v.receivedAt > PENDING_ACK_TTL_MS) pendingAcks.delete(k);
+      }
+      const prev = pendingAcks.get(messageId);
+      if (!prev || status === 'failed' || DELIVERY_STATUSES.indexOf(status) > DELIVERY_STATUSES.indexOf(prev.status)) {
+        pendingAcks.set(messageId, { status, at, receivedAt: now });
+      }
+      return null;
     }
 
-    // Écrire les logs
-    fs.writeFileSync(REMINDER_LOGS_FILE, JSON.stringify(logs, null, 2), 'utf8');
-    
-    return logEntry;
-  } catch (e) {
-    console.error('[logger] Erreur écriture log:', e);
+    if (!applyStatus(found.entry, status, at)) return null;
+    await store.update(found.seq, found.entry);
+    return found.entry;
+  }).catch((e) => {
+    console.error('[logger] Erreur mise à jour statut:', e);
     return null;
-  }
+  });
+}
+
+/**
+ * Retrouve le log d'un message envoyé à partir de son ID WhatsApp
+ * (ID principal ou l'une des parties d'un envoi multi-parties)
+ * @param {string} messageId
+ * @returns {Promise<Object|null>}
+ */
+function findSentMessage(messageId) {
+  if (!messageId) return Promise.resolve(null);
+  return serial(async (store) => {
+    const found = await store.findByMessageId(messageId, { includeParts: true });
+    return found ? found.entry : null;
+  }).catch((e) => {
+    console.error('[logger] Erreur recherche message:', e);
+    return null;
+  });
+}
+
+/**
+ * Enregistre un message reçu (entrée de lib/inbox)
+ * @param {Object} entry
+ * @returns {Promise<boolean|null>} false si déjà enregistré (même id), null en cas d'erreur
+ */
+function saveInboxMessage(entry) {
+  return serial((store) => store.insertInbox(entry)).catch((e) => {
+    console.error('[logger] Erreur écriture message reçu:', e);
+    return null;
+  });
+}
+
+/**
+ * Messages reçus, du plus récent au plus ancien
+ * @param {Object} [filters] - phone (comparé normalisé), date, taskId, session, limit
+ * @returns {Promise<{ messages: Array, total: number }>}
+ */
+function getInboxMessages(filters = {}) {
+  return serial((store) => store.queryInbox(filters));
+}
+
+/**
+ * Message reçu par son ID WhatsApp
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+function getInboxMessage(id) {
+  if (!id) return Promise.resolve(null);
+  return serial((store) => store.findInbox(id)).catch((e) => {
+    console.error('[logger] Erreur lecture message reçu:', e);
+    return null;
+  });
+}
+
+/**
+ * Ne garde que les `max` derniers messages reçus
+ * @param {number} max
+ */
+function pruneInboxMessages(max) {
+  if (!Number.isFinite(max) || max <= 0) return Promise.resolve();
+  return serial((store) => store.pruneInbox(max)).catch((e) => {
+    console.error('[logger] Erreur purge messages reçus:', e);
+  });
 }
 
 function normalizeDigits(phone) {
@@ -179,7 +353,7 @@ function isReminderMessageText(text) {
  */
 async function backfillOldRemindersFromWhatsApp({
   client,
-  tz = 'Africa/Casablanca',
+  tz = LOG_TZ,
   sinceDays = 30,
   limitPerChat = 1000,
   maxChats = 300,
@@ -187,22 +361,9 @@ async function backfillOldRemindersFromWhatsApp({
 } = {}) {
   if (!client) throw new Error('client_required');
 
-  // Charger logs existants
-  let logs = [];
-  if (fs.existsSync(REMINDER_LOGS_FILE)) {
-    try {
-      logs = JSON.parse(fs.readFileSync(REMINDER_LOGS_FILE, 'utf8'));
-      if (!Array.isArray(logs)) logs = [];
-    } catch (e) {
-      logs = [];
-    }
-  }
-
-  const existingIds = new Set(
-    logs
-      .map((l) => l && (l.id || l.meta?.backfillId))
-      .filter(Boolean)
-  );
+  // Reminders retrouvés (les logs déjà présents dans le store sont ignorés à l'insertion)
+  const logs = [];
+  const existingIds = new Set();
 
   const now = DateTime.now().setZone(tz);
   const since = now.minus({ days: Number(sinceDays) || 0 }).startOf('day');
@@ -211,7 +372,6 @@ async function backfillOldRemindersFromWhatsApp({
   let scannedChats = 0;
   let scannedMessages = 0;
   let matchedReminders = 0;
-  let inserted = 0;
 
   const chats = await client.getChats();
   const toScan = chats.slice(0, Math.max(0, Number(maxChats) || 0) || chats.length);
@@ -257,19 +417,19 @@ async function backfillOldRemindersFromWhatsApp({
           error: null,
           meta: { source: 'whatsapp_backfill', backfillId: id },
         });
-        inserted++;
       }
     } catch (e) {
       logger.warn('[backfill] chat scan failed', chat?.id?._serialized, e?.message || e);
     }
   }
 
-  // Trier par timestamp croissant, puis limiter
+  // Trier par timestamp croissant, puis insérer
   logs.sort((a, b) => String(a?.timestamp || '').localeCompare(String(b?.timestamp || '')));
-  if (Number.isFinite(MAX_LOGS) && MAX_LOGS > 0 && logs.length > MAX_LOGS) {
-    logs = logs.slice(-MAX_LOGS);
-  }
-  fs.writeFileSync(REMINDER_LOGS_FILE, JSON.stringify(logs, null, 2), 'utf8');
+  const { inserted, totalLogsAfter } = await serial(async (store) => {
+    const count = await store.insertMany(logs, { dedup: true });
+    await pruneLogs(store);
+    return { inserted: count, totalLogsAfter: await store.count() };
+  });
 
   return {
     ok: true,
@@ -279,100 +439,115 @@ async function backfillOldRemindersFromWhatsApp({
     scannedMessages,
     matchedReminders,
     inserted,
-    totalLogsAfter: logs.length,
+    totalLogsAfter,
   };
 }
 
 /**
  * Récupère les logs
+ * Filtres: type, types, date, from, to, tel, excludeTels, source, endpoint,
+ * taskId, templateKey, q (recherche), session, defaultSession, status (voir lib/logStore)
  * @param {Object} options - Options de filtrage
  * @param {number} [options.limit] - Nombre maximum de logs à retourner
- * @param {string} [options.type] - Filtrer par type de log
- * @param {string} [options.date] - Filtrer par date (YYYY-MM-DD)
- * @returns {Array} Liste des logs
+ * @param {number} [options.offset] - Nombre de logs à sauter (pagination)
+ * @param {string} [options.sort] - timestamp | tel | type | status | source
+ * @param {string} [options.order] - 'desc' (défaut) | 'asc'
+ * @returns {Promise<Array>} Liste des logs (plus récent en premier par défaut)
  */
 function getLogs(options = {}) {
-  try {
-    if (!fs.existsSync(REMINDER_LOGS_FILE)) {
-      return [];
-    }
-
-    const content = fs.readFileSync(REMINDER_LOGS_FILE, 'utf8');
-    let logs = JSON.parse(content);
-
-    // Filtrer par type
-    if (options.type) {
-      logs = logs.filter(log => log.type === options.type);
-    }
-
-    // Filtrer par date
-    if (options.date) {
-      logs = logs.filter(log => {
-        const logDate = DateTime.fromISO(log.timestamp).toISODate();
-        return logDate === options.date;
-      });
-    }
-
-    // Limiter le nombre de résultats (les plus récents)
-    if (options.limit) {
-      logs = logs.slice(-options.limit);
-    }
-
-    // Retourner dans l'ordre inverse (plus récent en premier)
-    return logs.reverse();
-  } catch (e) {
+  return serial((store) => store.query(options)).catch((e) => {
     console.error('[logger] Erreur lecture logs:', e);
     return [];
+  });
+}
+
+/**
+ * Parcourt les logs filtrés par lots (exports volumineux), du plus ancien au
+ * plus récent sauf tri explicite
+ * @param {Object} options - Mêmes filtres que getLogs
+ * @param {number} [batchSize]
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* iterateLogs(options = {}, batchSize = 1000) {
+  const sort = options.sort || 'timestamp';
+  const order = options.sort ? options.order : 'asc';
+  for (let offset = 0; ; offset += batchSize) {
+    const batch = await serial((store) => store.query({ ...options, sort, order, limit: batchSize, offset }));
+    for (const entry of batch) yield entry;
+    if (batch.length < batchSize) return;
   }
 }
 
+/**
+ * Compte les logs filtrés (mêmes filtres que getLogs)
+ * @param {Object} options
+ * @param {string} [options.today] - Jour compté dans `today` (défaut: aujourd'hui dans REMINDER_TZ)
+ * @returns {Promise<{ total: number, today: number, delivered: number, read: number, failed: number }>}
+ */
+function countLogs(options = {}) {
+  const today = options.today || DateTime.now().setZone(LOG_TZ).toISODate();
+  return serial((store) => store.summary(options, today)).catch((e) => {
+    console.error('[logger] Erreur comptage logs:', e);
+    return { total: 0, today: 0, delivered: 0, read: 0, failed: 0 };
+  });
+}
+
 /**
  * Supprime tous les logs
+ * @returns {Promise<boolean>} false s'il n'y avait aucun log
  */
 function clearLogs() {
-  try {
-    if (fs.existsSync(REMINDER_LOGS_FILE)) {
-      fs.unlinkSync(REMINDER_LOGS_FILE);
-      return true;
-    }
-    return false;
-  } catch (e) {
+  return serial((store) => store.clear()).catch((e) => {
     console.error('[logger] Erreur suppression logs:', e);
     return false;
+  });
+}
+
+const EMPTY_COUNTS = { sent: 0, failed: 0, delivered: 0, read: 0, ackFailed: 0 };
+
+// Complète la série avec les jours / heures sans envoi entre firstDay et lastDay (YYYY-MM-DD)
+function fillSeries(series, { firstDay, lastDay, granularity }) {
+  const byBucket = new Map(series.map((point) => [point.bucket, point]));
+  const step = granularity === 'hour' ? { hours: 1 } : { days: 1 };
+  const format = granularity === 'hour' ? "yyyy-LL-dd'T'HH" : 'yyyy-LL-dd';
+  const filled = [];
+  const end = DateTime.fromISO(lastDay).endOf('day');
+  for (let dt = DateTime.fromISO(firstDay).startOf('day'); dt <= end; dt = dt.plus(step)) {
+    const bucket = dt.toFormat(format);
+    filled.push(byBucket.get(bucket) || { bucket, ...EMPTY_COUNTS });
   }
+  return filled;
 }
 
-// Fonction getLogsStats supprimée - travail uniquement avec nouveaux messages JSON
+/**
+ * Statistiques d'envoi sur une période (messages envoyés et échecs)
+ * @param {Object} options - Mêmes filtres que getLogs (type ignoré)
+ * @param {string} [options.granularity] - 'day' (défaut) | 'hour'
+ * @param {number} [options.top] - Nombre d'erreurs et de destinataires les plus fréquents (défaut: 10)
+ * @param {string} [options.firstDay] - Premier jour de la série (YYYY-MM-DD), pour inclure les périodes vides
+ * @param {string} [options.lastDay] - Dernier jour de la série (YYYY-MM-DD)
+ * @returns {Promise<Object>} { totals, series, sources, failures, recipients }
+ */
+async function getLogStatistics(options = {}) {
+  const { granularity = 'day', top = 10, firstDay, lastDay, ...filters } = options;
+  const stats = await serial((store) => store.statistics(filters, { granularity, top }));
+  if (firstDay && lastDay) stats.series = fillSeries(stats.series, { firstDay, lastDay, granularity });
+  return stats;
+}
 
 /**
  * Récupère la liste des messages envoyés avec détails
- * @param {Object} options - Options de filtrage
- * @param {number} [options.limit] - Nombre maximum de messages à retourner
- * @param {string} [options.date] - Filtrer par date (YYYY-MM-DD)
- * @returns {Array} Liste des messages envoyés
+ * @param {Object} options - Mêmes filtres, tri et pagination que getLogs
+ * @param {string} [options.status] - Filtrer par statut de remise (sent, delivered, read, failed)
+ * @returns {Promise<Array>} Liste des messages envoyés (plus récent en premier par défaut)
  */
-function getSentMessages(options = {}) {
+async function getSentMessages(options = {}) {
   try {
-    if (!fs.existsSync(REMINDER_LOGS_FILE)) {
-      return [];
-    }
-
-    const content = fs.readFileSync(REMINDER_LOGS_FILE, 'utf8');
-    let logs = JSON.parse(content);
-
-    // Filtrer uniquement les messages envoyés avec succès
-    let messages = logs.filter(log => log.type === 'reminder_success');
-
-    // Filtrer par date si spécifié
-    if (options.date) {
-      messages = messages.filter(log => {
-        const logDate = DateTime.fromISO(log.timestamp).toISODate();
-        return logDate === options.date;
-      });
-    }
+    // Uniquement les messages envoyés avec succès
+    const messages = await serial((store) => store.query({ ...options, type: 'reminder_success', types: undefined }));
 
     // Transformer pour extraire les infos importantes
-    const result = messages.map(log => {
+    return messages.map(log => {
       const timestamp = log.timestamp;
       const tel = log.request?.tel || 'Inconnu';
       const taskId = log.request?.taskId || null;
@@ -384,20 +559,23 @@ function getSentMessages(options = {}) {
         date: DateTime.fromISO(timestamp).toFormat('dd/MM/yyyy HH:mm:ss'),
         tel,
         taskId,
+        taskIds: Array.isArray(log.request?.taskIds) ? log.request.taskIds : null,
+        source: log.request?.source || null,
+        endpoint: log.request?.endpoint || null,
+        templateKey: log.request?.templateKey || null,
         message,
         jid,
+        session: log.request?.session || null,
+        messageId: log.response?.messageId || null,
+        status: log.status || 'sent',
+        statusAt: log.statusAt || null,
+        deliveredAt: log.deliveredAt || null,
+        readAt: log.readAt || null,
+        failedAt: log.failedAt || null,
         messageLength: log.request?.messageLength ?? null,
         messageIsPreview: !log.request?.message && !!log.request?.messagePreview
       };
     });
-
-    // Limiter le nombre de résultats (les plus récents)
-    if (options.limit) {
-      return result.slice(-options.limit).reverse();
-    }
-
-    // Retourner dans l'ordre inverse (plus récent en premier)
-    return result.reverse();
   } catch (e) {
     console.error('[logger] Erreur récupération messages envoyés:', e);
     return [];
@@ -406,10 +584,23 @@ function getSentMessages(options = {}) {
 
 module.exports = {
   logReminder,
+  updateMessageStatus,
+  findSentMessage,
   getLogs,
+  iterateLogs,
+  countLogs,
+  getLogStatistics,
+  loggedMessageText,
   getSentMessages,
   clearLogs,
+  saveInboxMessage,
+  getInboxMessages,
+  getInboxMessage,
+  pruneInboxMessages,
   backfillOldRemindersFromWhatsApp,
+  LOG_SORT_FIELDS: SORT_FIELDS,
+  LOG_STATS_GRANULARITIES: STATS_GRANULARITIES,
   LOG_DIR,
+  LOG_DB_FILE,
   REMINDER_LOGS_FILE
 };
@@ -0,0 +1,138 @@
+'use strict';
+
+const path = require('path');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./jsonStore');
+
+const NUMBERS_FILE = path.join(DATA_DIR, 'wa-numbers.json');
+const HOUR_MS = 60 * 60 * 1000;
+
+function hoursEnv(name, fallback) {
+  const n = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function registryError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Cache persistant de l'inscription des numéros sur WhatsApp
+ * (client.getNumberId), partagé par la file d'envoi et POST /api/phones/check.
+ * Un numéro inscrit est gardé `ttlHours`, un numéro absent `negativeTtlHours`
+ * (il peut s'inscrire entre-temps). L'inscription ne dépend pas de la session
+ * qui interroge: le cache est commun à toutes les sessions. Chaque appel à
+ * WhatsApp attend son tour auprès du limiteur (lib/rateLimiter, throttleLookup).
+ *
+ * @param {Object} params
+ * @param {Object} params.sessions - sessions WhatsApp (lib/sessions)
+ * @param {Object} [params.limiter] - limiteur d'envoi (lib/rateLimiter)
+ * @param {number} [params.ttlHours] - Durée de validité d'un numéro inscrit (0: pas de cache)
+ * @param {number} [params.negativeTtlHours] - Durée de validité d'un numéro absent (0: pas de cache)
+ * @param {string} [params.file] - fichier de persistance
+ * @param {Object} [params.logger] - logger
+ */
+function createNumberRegistry({
+  sessions,
+  limiter,
+  ttlHours = hoursEnv('WA_NUMBER_CACHE_TTL_HOURS', 168),
+  negativeTtlHours = hoursEnv('WA_NUMBER_CACHE_NEGATIVE_TTL_HOURS', 24),
+  file = NUMBERS_FILE,
+  logger = console,
+}) {
+  // { [chiffres E.164]: { registered, jid, checkedAt } }
+  let entries = readJsonFile(file, {});
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) entries = {};
+
+  function isFresh(entry, now = Date.now()) {
+    const ttl = (entry.registered ? ttlHours : negativeTtlHours) * HOUR_MS;
+    return ttl > 0 && Date.parse(entry.checkedAt) + ttl > now;
+  }
+
+  function persist() {
+    const now = Date.now();
+    for (const [digits, entry] of Object.entries(entries)) {
+      if (!isFresh(entry, now)) delete entries[digits];
+    }
+    try {
+      writeJsonFile(file, entries);
+    } catch (e) {
+      logger.error('[numbers] Erreur écriture cache:', e.message);
+    }
+  }
+
+  /**
+   * Entrée du cache encore valide
+   * @param {string} digits - Numéro E.164 sans +
+   * @returns {{ registered, jid, checkedAt }|null}
+   */
+  function cached(digits) {
+    const entry = entries[digits];
+    return entry && isFresh(entry) ? { ...entry } : null;
+  }
+
+  async function query(session, digits) {
+    const name = session || sessions.defaultName;
+    if (!sessions.has(name)) throw registryError('session_not_found', 'session_not_found');
+    if (!sessions.isReady(name)) throw registryError('session_not_ready', 'session_not_ready');
+    if (limiter) await limiter.throttleLookup(name);
+    const numberId = await sessions.getClient(name).getNumberId(digits);
+    const entry = { registered: !!numberId, jid: numberId?._serialized || null, checkedAt: new Date().toISOString() };
+    entries[digits] = entry;
+    return entry;
+  }
+
+  /**
+   * Le numéro est-il sur WhatsApp ? (cache, sinon interroge la session)
+   * @param {string} session - Session qui interroge WhatsApp si besoin
+   * @param {string} digits - Numéro E.164 sans +
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - Ignorer le cache
+   * @returns {Promise<{ registered, jid, checkedAt, cached: boolean }>}
+   * @throws {Error} session_not_found, session_not_ready, ou l'erreur du client
+   */
+  async function lookup(session, digits, { refresh = false } = {}) {
+    const hit = refresh ? null : cached(digits);
+    if (hit) return { ...hit, cached: true };
+    const entry = await query(session, digits);
+    persist();
+    return { ...entry, cached: false };
+  }
+
+  /**
+   * Vérifie une liste de numéros (une seule écriture du cache à la fin)
+   * @param {string} session
+   * @param {string[]} digitsList - Numéros E.164 sans +
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - Ignorer le cache
+   * @returns {Promise<Map<string, { registered, jid, checkedAt, cached }|{ error }>>}
+   */
+  async function checkMany(session, digitsList, { refresh = false } = {}) {
+    const out = new Map();
+    let queried = 0;
+    try {
+      for (const digits of new Set(digitsList)) {
+        const hit = refresh ? null : cached(digits);
+        if (hit) {
+          out.set(digits, { ...hit, cached: true });
+          continue;
+        }
+        try {
+          out.set(digits, { ...(await query(session, digits)), cached: false });
+          queried++;
+        } catch (e) {
+          if (e?.code) throw e;
+          out.set(digits, { error: e?.message || 'unknown' });
+        }
+      }
+    } finally {
+      if (queried) persist();
+    }
+    return out;
+  }
+
+  return { cached, lookup, checkMany };
+}
+
+module.exports = { createNumberRegistry, NUMBERS_FILE };
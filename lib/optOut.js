@@ -0,0 +1,114 @@
+'use strict';
+
+const path = require('path');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./jsonStore');
+
+const OPT_OUT_FILE = path.join(DATA_DIR, 'opt-outs.json');
+const STOP_KEYWORDS = (process.env.OPT_OUT_KEYWORDS || 'STOP,ARRET,DESABONNER,UNSUBSCRIBE')
+  .split(',')
+  .map((k) => keywordOf(k))
+  .filter(Boolean);
+const START_KEYWORDS = (process.env.OPT_IN_KEYWORDS || 'START,REPRENDRE')
+  .split(',')
+  .map((k) => keywordOf(k))
+  .filter(Boolean);
+
+// "Arrêt !" → "ARRET"
+function keywordOf(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z]/g, '')
+    .toUpperCase();
+}
+
+/**
+ * Le message est-il une demande de désinscription (STOP, ARRET...) ?
+ * Seul un message d'un mot est pris en compte.
+ */
+function isStopKeyword(text) {
+  return isSingleKeyword(text, STOP_KEYWORDS);
+}
+
+function isStartKeyword(text) {
+  return isSingleKeyword(text, START_KEYWORDS);
+}
+
+function isSingleKeyword(text, keywords) {
+  const words = String(text || '').trim().split(/\s+/).filter((w) => keywordOf(w));
+  return words.length === 1 && keywords.includes(keywordOf(words[0]));
+}
+
+/**
+ * Registre des numéros désinscrits (opt-out).
+ * Les numéros sont indexés par JID normalisé: "0611..." et "+212 611..."
+ * désignent la même entrée.
+ *
+ * @param {Object} params
+ * @param {Function} params.normalizeToJid - (phone) => jid
+ * @param {string} [params.file] - fichier de persistance
+ * @param {Object} [params.logger] - logger
+ */
+function createOptOutRegistry({ normalizeToJid, file = OPT_OUT_FILE, logger = console }) {
+  let entries = readJsonFile(file, []);
+  if (!Array.isArray(entries)) entries = [];
+
+  function persist() {
+    try {
+      writeJsonFile(file, entries);
+    } catch (e) {
+      logger.error('[opt-out] Erreur écriture registre:', e.message);
+    }
+  }
+
+  function keyOf(phoneOrJid) {
+    const value = String(phoneOrJid || '');
+    if (value.endsWith('@c.us')) return value;
+    return normalizeToJid(value);
+  }
+
+  function get(phoneOrJid) {
+    const jid = keyOf(phoneOrJid);
+    return entries.find((e) => e.jid === jid) || null;
+  }
+
+  function isOptedOut(phoneOrJid) {
+    return !!get(phoneOrJid);
+  }
+
+  /**
+   * Ajoute un numéro (sans effet s'il est déjà présent)
+   * @param {string} phone
+   * @param {Object} [info]
+   * @param {string} [info.source] - 'inbound' (mot-clé reçu) | 'admin'
+   * @param {string} [info.reason]
+   * @returns {{ entry: Object, created: boolean }}
+   */
+  function add(phone, { source = 'admin', reason = null } = {}) {
+    const existing = get(phone);
+    if (existing) return { entry: existing, created: false };
+    const entry = { jid: keyOf(phone), phone: String(phone), source, reason, createdAt: new Date().toISOString() };
+    entries.push(entry);
+    persist();
+    logger.log(`[opt-out] ${entry.jid} added (${source})`);
+    return { entry, created: true };
+  }
+
+  function remove(phone) {
+    const jid = keyOf(phone);
+    const before = entries.length;
+    entries = entries.filter((e) => e.jid !== jid);
+    if (entries.length === before) return false;
+    persist();
+    logger.log(`[opt-out] ${jid} removed`);
+    return true;
+  }
+
+  function list() {
+    return entries.slice().reverse();
+  }
+
+  return { get, isOptedOut, add, remove, list };
+}
+
+module.exports = { createOptOutRegistry, isStopKeyword, isStartKeyword, OPT_OUT_FILE };
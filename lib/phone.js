@@ -0,0 +1,170 @@
+'use strict';
+
+const {
+  parsePhoneNumberWithError,
+  validatePhoneNumberLength,
+  getCountries,
+  getCountryCallingCode,
+  ParseError,
+  isSupportedCountry,
+} = require('libphonenumber-js/max');
+
+// Motifs de rejet, affichés tels quels par l'interface web
+const REASONS = {
+  empty: 'Numéro vide',
+  not_a_number: 'Ce n’est pas un numéro de téléphone',
+  invalid_country: 'Indicatif pays inconnu',
+  too_short: 'Numéro trop court',
+  too_long: 'Numéro trop long',
+  invalid_length: 'Longueur invalide pour ce pays',
+  invalid_number: 'Numéro inexistant pour ce pays',
+};
+
+const TYPES = {
+  MOBILE: 'mobile',
+  FIXED_LINE: 'fixed_line',
+  FIXED_LINE_OR_MOBILE: 'fixed_line_or_mobile',
+  VOIP: 'voip',
+  TOLL_FREE: 'toll_free',
+  PREMIUM_RATE: 'premium_rate',
+  SHARED_COST: 'shared_cost',
+  PERSONAL_NUMBER: 'personal_number',
+  PAGER: 'pager',
+  UAN: 'uan',
+  VOICEMAIL: 'voicemail',
+};
+
+function digitsOf(value) {
+  return String(value || '').replace(/\D+/g, '');
+}
+
+/**
+ * Pays par défaut des numéros nationaux: DEFAULT_COUNTRY ("MA"), sinon le
+ * premier pays de l'indicatif DEFAULT_CC ("212"), sinon le Maroc
+ * @returns {string} Code ISO 3166-1 alpha-2
+ */
+function defaultCountry() {
+  const iso = String(process.env.DEFAULT_COUNTRY || '').trim().toUpperCase();
+  if (iso && getCountries().includes(iso)) return iso;
+  const cc = digitsOf(process.env.DEFAULT_CC);
+  if (cc) {
+    const match = getCountries().find((c) => getCountryCallingCode(c) === cc);
+    if (match) return match;
+  }
+  return 'MA';
+}
+
+function reasonOf(error) {
+  const code = error instanceof ParseError ? String(error.message).toLowerCase() : 'not_a_number';
+  return REASONS[code] ? code : 'not_a_number';
+}
+
+// Essai de lecture: { phone } si le numéro est valide, sinon { reason }
+function attempt(text, country) {
+  let phone;
+  try {
+    phone = parsePhoneNumberWithError(text, country);
+  } catch (e) {
+    return { reason: reasonOf(e) };
+  }
+  if (phone.isValid()) return { phone };
+  const length = validatePhoneNumberLength(text, country);
+  return { reason: length ? String(length).toLowerCase() : 'invalid_number' };
+}
+
+/**
+ * Lit un numéro (E.164) selon les règles du pays: préfixe national (0),
+ * préfixe international (+ ou 00), longueur, type de ligne.
+ *
+ * Sans + ni 00, le numéro est lu comme national dans le pays par défaut, puis
+ * comme international s'il n'y est pas valide ("212611..." ou "33612..." sans +).
+ *
+ * @param {string} input - Numéro tel que saisi
+ * @param {Object} [options]
+ * @param {string} [options.country] - Pays des numéros nationaux (défaut: defaultCountry())
+ * @returns {{ input, valid: boolean, e164, digits, country, countryCallingCode, nationalNumber, type, mobile, reason, message }}
+ *   digits = E.164 sans le + (partie utilisateur du JID WhatsApp) ; type: 'mobile', 'fixed_line'... ou null ;
+ *   mobile: true / false, null si le type n'est pas connu ; reason / message: motif du rejet
+ */
+function parsePhone(input, { country = defaultCountry() } = {}) {
+  const raw = String(input ?? '').trim();
+  const result = {
+    input: raw,
+    valid: false,
+    e164: null,
+    digits: null,
+    country: null,
+    countryCallingCode: null,
+    nationalNumber: null,
+    type: null,
+    mobile: null,
+    reason: null,
+    message: null,
+  };
+  if (!raw) return { ...result, reason: 'empty', message: REASONS.empty };
+  if (!digitsOf(raw)) return { ...result, reason: 'not_a_number', message: REASONS.not_a_number };
+
+  // "00" → "+" ; les séparateurs (espaces, points, tirets, parenthèses) sont acceptés
+  const text = raw.replace(/^\s*00/, '+');
+  let parsed = attempt(text, country);
+  if (!parsed.phone && !text.startsWith('+') && !digitsOf(text).startsWith('0')) {
+    const international = attempt(`+${digitsOf(text)}`);
+    if (international.phone) parsed = international;
+  }
+  if (!parsed.phone) return { ...result, reason: parsed.reason, message: REASONS[parsed.reason] };
+
+  const { phone } = parsed;
+  const type = TYPES[phone.getType()] || null;
+  return {
+    ...result,
+    valid: true,
+    e164: phone.number,
+    digits: phone.number.slice(1),
+    country: phone.country || null,
+    countryCallingCode: phone.countryCallingCode,
+    nationalNumber: phone.nationalNumber,
+    type,
+    mobile: type === 'mobile' || type === 'fixed_line_or_mobile' ? true : type ? false : null,
+  };
+}
+
+/**
+ * Numéro au format international, en chiffres (E.164 sans +).
+ * Un numéro invalide est rendu en chiffres tel quel (00 retiré), pour garder
+ * une clé stable (registre opt-out, logs) ; valider avec parsePhone avant un envoi.
+ * @param {string} input
+ * @returns {string} '' si le numéro est vide
+ */
+function normalizePhone(input) {
+  const parsed = parsePhone(input);
+  if (parsed.valid) return parsed.digits;
+  return digitsOf(input).replace(/^00/, '');
+}
+
+/**
+ * Erreur `invalid_phone` (status 400) d'un numéro rejeté par parsePhone
+ * @param {Object} parsed - Résultat de parsePhone
+ * @returns {Error} err.code, err.status, err.phone, err.reason, err.detail (motif lisible)
+ */
+function phoneError(parsed) {
+  const err = new Error('invalid_phone');
+  err.code = 'invalid_phone';
+  err.status = 400;
+  err.phone = parsed.input;
+  err.reason = parsed.reason;
+  err.detail = parsed.message;
+  return err;
+}
+
+/**
+ * Lit un numéro et lève `invalid_phone` s'il n'est pas valide
+ * @param {string} input
+ * @returns {Object} Résultat de parsePhone (valide)
+ */
+function assertPhone(input) {
+  const parsed = parsePhone(input);
+  if (!parsed.valid) throw phoneError(parsed);
+  return parsed;
+}
+
+module.exports = { parsePhone, normalizePhone, assertPhone, phoneError, defaultCountry, isSupportedCountry, PHONE_REASONS: REASONS };
@@ -0,0 +1,193 @@
+'use strict';
+
+const path = require('path');
+const { DateTime } = require('luxon');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./jsonStore');
+
+const RATE_LIMIT_FILE = path.join(DATA_DIR, 'send-limits.json');
+const LIMIT_MODES = ['defer', 'reject'];
+
+function numberEnv(name, fallback) {
+  const n = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function rateLimitedError(verdict) {
+  const err = new Error('rate_limited');
+  err.code = 'rate_limited';
+  err.status = 429;
+  err.reason = verdict.reason;
+  err.retryAt = verdict.retryAt;
+  return err;
+}
+
+/**
+ * Limiteur d'envoi central, consulté par la file (lib/sendQueue) avant chaque job:
+ *   - rythme par session: au plus `perMinute` messages par minute, plus un
+ *     délai aléatoire de 0 à `jitterMs` entre deux envois
+ *   - espacement minimal entre deux messages au même destinataire
+ *   - plafond quotidien de messages par session (jour dans le fuseau `tz`)
+ *   - rythme des vérifications d'inscription (getNumberId) par session, au plus
+ *     `lookupsPerMinute`, pour ne pas énumérer des numéros en rafale
+ * Un job compte pour un message, quel que soit son nombre de parties. Les
+ * compteurs du jour et les derniers envois par destinataire sont persistés.
+ *
+ * Quand l'espacement ou le plafond est atteint, le job est différé (mode
+ * 'defer') ou refusé avec l'erreur `rate_limited` (mode 'reject'). Les
+ * réponses à un message reçu (meta.isReply) ne sont soumises qu'au rythme.
+ *
+ * @param {Object} [params]
+ * @param {number} [params.perMinute] - Messages par minute et par session (0: sans limite)
+ * @param {number} [params.jitterMs] - Délai aléatoire maximal ajouté entre deux envois
+ * @param {number} [params.recipientSpacingMs] - Délai minimal entre deux messages au même destinataire (0: désactivé)
+ * @param {number} [params.dailyCap] - Messages par jour et par session (0: sans limite)
+ * @param {number} [params.lookupsPerMinute] - Vérifications d'inscription par minute et par session (0: sans limite)
+ * @param {string} [params.mode] - 'defer' (défaut) | 'reject'
+ * @param {string} [params.tz] - Fuseau du plafond quotidien
+ * @param {string} [params.file] - fichier de persistance
+ * @param {Object} [params.logger] - logger
+ */
+function createRateLimiter({
+  perMinute = numberEnv('SEND_RATE_PER_MINUTE', 30),
+  jitterMs = numberEnv('SEND_JITTER_MS', 1000),
+  recipientSpacingMs = numberEnv('SEND_RECIPIENT_SPACING_MS', 0),
+  dailyCap = numberEnv('SEND_DAILY_CAP', 0),
+  lookupsPerMinute = numberEnv('WA_LOOKUP_RATE_PER_MINUTE', 60),
+  mode = (process.env.SEND_LIMIT_MODE || 'defer').toLowerCase(),
+  tz = process.env.REMINDER_TZ || 'Africa/Casablanca',
+  file = RATE_LIMIT_FILE,
+  logger = console,
+} = {}) {
+  if (!LIMIT_MODES.includes(mode)) {
+    logger.warn(`[rate-limit] SEND_LIMIT_MODE inconnu (${mode}), utilisation de "defer"`);
+    mode = 'defer';
+  }
+  const intervalMs = perMinute > 0 ? Math.ceil(60000 / perMinute) : 0;
+  const lookupIntervalMs = lookupsPerMinute > 0 ? Math.ceil(60000 / lookupsPerMinute) : 0;
+
+  const saved = readJsonFile(file, {});
+  // { [session]: { date: 'YYYY-MM-DD', count } }
+  const daily = saved.daily && typeof saved.daily === 'object' ? saved.daily : {};
+  // { [jid]: ms du dernier envoi }
+  const recipients = saved.recipients && typeof saved.recipients === 'object' ? saved.recipients : {};
+  // { [session]: ms avant lequel la session ne doit pas envoyer }
+  const nextSendAt = {};
+  // { [session]: ms avant lequel la session ne doit pas interroger WhatsApp }
+  const nextLookupAt = {};
+  // { [session]: promesse de la dernière vérification réservée (les appels attendent leur tour) }
+  const lookupTurns = {};
+
+  function persist() {
+    const now = Date.now();
+    for (const [jid, at] of Object.entries(recipients)) {
+      if (at + recipientSpacingMs <= now) delete recipients[jid];
+    }
+    try {
+      writeJsonFile(file, { daily, recipients });
+    } catch (e) {
+      logger.error('[rate-limit] Erreur écriture compteurs:', e.message);
+    }
+  }
+
+  function today() {
+    return DateTime.now().setZone(tz).toISODate();
+  }
+
+  function sentToday(session) {
+    const entry = daily[session];
+    return entry && entry.date === today() ? entry.count : 0;
+  }
+
+  /**
+   * Le job peut-il partir maintenant ?
+   * @param {Object} job - job de la file (session, to.jid, meta)
+   * @returns {{ ok: true }|{ ok: false, reason: string, retryAt: string }}
+   *   reason: 'rate' (attendre le rythme de la session), 'recipient_spacing' ou 'daily_cap'
+   */
+  function check(job) {
+    const now = Date.now();
+    const isReply = !!job.meta?.isReply;
+
+    if (!isReply && dailyCap > 0 && sentToday(job.session) >= dailyCap) {
+      const retryAt = DateTime.now().setZone(tz).plus({ days: 1 }).startOf('day').toISO();
+      return { ok: false, reason: 'daily_cap', retryAt };
+    }
+    const last = recipients[job.to?.jid];
+    if (!isReply && recipientSpacingMs > 0 && last && last + recipientSpacingMs > now) {
+      return { ok: false, reason: 'recipient_spacing', retryAt: new Date(last + recipientSpacingMs).toISOString() };
+    }
+    if (nextSendAt[job.session] > now) {
+      return { ok: false, reason: 'rate', retryAt: new Date(nextSendAt[job.session]).toISOString() };
+    }
+    return { ok: true };
+  }
+
+  /**
+   * Refus à la mise en file (mode 'reject'): lève `rate_limited` si le plafond
+   * ou l'espacement du destinataire est déjà atteint
+   * @param {Object} job
+   */
+  function assertAccepted(job) {
+    if (mode !== 'reject') return;
+    const verdict = check(job);
+    if (!verdict.ok && verdict.reason !== 'rate') throw rateLimitedError(verdict);
+  }
+
+  /**
+   * Enregistre une tentative d'envoi (le rythme s'applique aussi aux échecs)
+   * @param {Object} job
+   * @param {Object} result
+   * @param {boolean} result.sent - Message parti
+   */
+  function record(job, { sent }) {
+    const now = Date.now();
+    nextSendAt[job.session] = now + intervalMs + Math.floor(Math.random() * (jitterMs + 1));
+    if (!sent) return;
+    const date = today();
+    const entry = daily[job.session];
+    daily[job.session] = { date, count: entry && entry.date === date ? entry.count + 1 : 1 };
+    if (recipientSpacingMs > 0 && job.to?.jid) recipients[job.to.jid] = now;
+    persist();
+  }
+
+  /**
+   * Attend le tour d'une vérification d'inscription (getNumberId) sur la
+   * session, puis réserve le créneau suivant. Les appels concurrents passent
+   * l'un après l'autre.
+   * @param {string} session
+   * @returns {Promise<void>}
+   */
+  function throttleLookup(session) {
+    const previous = lookupTurns[session] || Promise.resolve();
+    const turn = previous.then(async () => {
+      const waitMs = (nextLookupAt[session] || 0) - Date.now();
+      if (waitMs > 0) await new Promise((resolve) => setTimeout(resolve, waitMs));
+      if (lookupIntervalMs > 0) nextLookupAt[session] = Date.now() + lookupIntervalMs;
+    });
+    lookupTurns[session] = turn;
+    return turn;
+  }
+
+  /**
+   * Limites et compteurs d'une session
+   * @param {string} session
+   */
+  function status(session) {
+    const count = sentToday(session);
+    return {
+      mode,
+      perMinute,
+      jitterMs,
+      recipientSpacingMs,
+      dailyCap,
+      lookupsPerMinute,
+      sentToday: count,
+      remainingToday: dailyCap > 0 ? Math.max(0, dailyCap - count) : null,
+      nextSendAt: nextSendAt[session] > Date.now() ? new Date(nextSendAt[session]).toISOString() : null,
+    };
+  }
+
+  return { mode, check, assertAccepted, record, throttleLookup, status };
+}
+
+module.exports = { createRateLimiter, RATE_LIMIT_FILE };
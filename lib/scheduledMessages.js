@@ -0,0 +1,382 @@
+'use strict';
+
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { DateTime } = require('luxon');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./jsonStore');
+const { storeUploads, mediaParts, removeUploads } = require('./attachments');
+const { parsePhone } = require('./phone');
+
+const SCHEDULED_FILE = path.join(DATA_DIR, 'scheduled-messages.json');
+const ATTACHMENTS_DIR = path.join(DATA_DIR, 'scheduled-attachments');
+const KEEP_FINISHED = process.env.SCHEDULED_KEEP_FINISHED ? Number(process.env.SCHEDULED_KEEP_FINISHED) : 500;
+const POLL_MS = 5000;
+const PERSIST_DELAY_MS = 1000;
+
+// scheduled → dispatched (mis en file) → completed ; ou cancelled / failed
+const FINAL_STATUSES = ['completed', 'cancelled', 'failed'];
+const QUEUE_FINAL_STATUSES = ['sent', 'failed', 'cancelled', 'skipped'];
+
+function scheduledError(message, code = 'scheduled_invalid') {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Horodatage d'envoi: ISO avec fuseau ("2026-10-20T09:00:00+01:00"), ou sans
+ * fuseau, interprété dans `tz`
+ * @param {string} value
+ * @param {string} tz
+ * @returns {DateTime|null}
+ */
+function parseSendAt(value, tz) {
+  if (!value) return null;
+  const dt = DateTime.fromISO(String(value), { zone: tz, setZone: true });
+  return dt.isValid ? dt : null;
+}
+
+function summarize(item) {
+  return {
+    id: item.id,
+    status: item.status,
+    sendAt: item.sendAt,
+    tz: item.tz,
+    session: item.session,
+    urgent: item.urgent,
+    content: item.content,
+    attachments: item.attachments.map((a) => ({ kind: a.kind, filename: a.filename, mimetype: a.mimetype })),
+    total: item.recipients.length,
+    recipients: item.recipients,
+    queued: item.queued,
+    sent: item.sent,
+    failed: item.failed,
+    skipped: item.skipped,
+    errors: item.errors,
+    createdAt: item.createdAt,
+    updatedAt: item.updatedAt,
+    dispatchedAt: item.dispatchedAt,
+    finishedAt: item.finishedAt,
+  };
+}
+
+/**
+ * Messages programmés ("demain à 9:00"): texte, template et/ou pièces jointes,
+ * pour un ou plusieurs destinataires. Les programmations sont persistées et, à
+ * l'heure prévue, chaque destinataire devient un job de la file d'envoi (donc
+ * soumis à l'opt-out, au limiteur et à la plage d'envoi). Une programmation
+ * échue pendant un arrêt part au redémarrage.
+ *
+ * Événements émis: 'dispatched', 'completed' (résumé)
+ *
+ * @param {Object} params
+ * @param {Object} params.sendQueue - file d'envoi (lib/sendQueue)
+ * @param {Function} params.normalizeToJid - (phone) => jid
+ * @param {Function} params.renderTemplate - async (templateKey, params) => { text, templateSource }
+ * @param {Function} [params.hasSession] - (name) => boolean
+ * @param {string} [params.tz] - Fuseau des heures sans décalage
+ * @param {string} [params.file] - fichier de persistance
+ * @param {Object} [params.logger] - logger
+ */
+function createScheduledMessages({
+  sendQueue,
+  normalizeToJid,
+  renderTemplate,
+  hasSession = () => true,
+  tz = 'Africa/Casablanca',
+  file = SCHEDULED_FILE,
+  logger = console,
+}) {
+  const manager = new EventEmitter();
+
+  let items = readJsonFile(file, []);
+  if (!Array.isArray(items)) items = [];
+
+  let timer = null;
+  let dispatching = false;
+  let persistTimer = null;
+
+  function persist() {
+    if (persistTimer) {
+      clearTimeout(persistTimer);
+      persistTimer = null;
+    }
+    const finished = items.filter((i) => FINAL_STATUSES.includes(i.status));
+    if (finished.length > KEEP_FINISHED) {
+      const drop = new Set(finished.slice(0, finished.length - KEEP_FINISHED).map((i) => i.id));
+      items = items.filter((i) => !drop.has(i.id));
+    }
+    try {
+      writeJsonFile(file, items);
+    } catch (e) {
+      logger.error('[scheduled] Erreur écriture programmations:', e.message);
+    }
+  }
+
+  // Progression d'un envoi: écriture groupée (au plus une par PERSIST_DELAY_MS)
+  function schedulePersist() {
+    if (!persistTimer) persistTimer = setTimeout(persist, PERSIST_DELAY_MS);
+  }
+
+  function touch(item, changes, { deferWrite = false } = {}) {
+    Object.assign(item, changes, { updatedAt: new Date().toISOString() });
+    if (deferWrite) schedulePersist();
+    else persist();
+  }
+
+  function removeAttachments(item) {
+    if (item.attachments.length) removeUploads(path.join(ATTACHMENTS_DIR, item.id), logger);
+  }
+
+  function requireSendAt(value, itemTz) {
+    const dt = parseSendAt(value, itemTz);
+    if (!dt) throw scheduledError('sendAt invalide (ISO 8601, ex: 2026-10-20T09:00:00+01:00)');
+    if (dt.toMillis() <= Date.now()) throw scheduledError('sendAt doit être dans le futur', 'send_at_in_past');
+    return dt;
+  }
+
+  /**
+   * Programme un envoi
+   * @param {Object} data
+   * @param {string|string[]} data.phones - Destinataire(s)
+   * @param {string} data.sendAt - Heure d'envoi (ISO, avec ou sans fuseau)
+   * @param {string} [data.tz] - Fuseau d'un sendAt sans décalage (défaut: celui du service)
+   * @param {string} [data.text] - Texte
+   * @param {string} [data.templateKey] - Template rendu à l'heure d'envoi
+   * @param {Object} [data.params] - Paramètres du template
+   * @param {Array} [data.files] - Fichiers uploadés [{ kind: 'image'|'document', path, mimetype, originalname }]
+   * @param {string} [data.session] - Session WhatsApp d'envoi
+   * @param {boolean} [data.urgent] - Envoyer même hors de la plage d'envoi
+   * @returns {Promise<Object>} Résumé de la programmation
+   */
+  async function create({ phones, sendAt, tz: itemTz, text, templateKey, params, files = [], session = null, urgent = false }) {
+    const recipients = (Array.isArray(phones) ? phones : [phones]).map((p) => String(p || '').trim()).filter(Boolean);
+    if (!recipients.length) throw scheduledError('phone ou phones requis');
+    for (const phone of recipients) {
+      const parsed = parsePhone(phone);
+      if (!parsed.valid) throw scheduledError(`numéro invalide: ${phone} (${parsed.message})`);
+    }
+    const zone = itemTz || tz;
+    if (!DateTime.now().setZone(zone).isValid) throw scheduledError(`fuseau invalide: ${itemTz}`);
+    const at = requireSendAt(sendAt, zone);
+    if (!text && !templateKey && !files.length) throw scheduledError('text, templateKey ou fichier requis');
+    if (text && templateKey) throw scheduledError('text et templateKey sont exclusifs');
+    if (session && !hasSession(session)) throw scheduledError('session_not_found', 'session_not_found');
+    // Template inconnu: refusé tout de suite plutôt qu'à l'heure d'envoi
+    if (templateKey) await renderTemplate(templateKey, params || {});
+
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+
+    // Les fichiers multer sont temporaires: ils sont gardés jusqu'à la fin de l'envoi
+    const attachments = storeUploads(path.join(ATTACHMENTS_DIR, id), files);
+
+    const item = {
+      id,
+      status: 'scheduled',
+      sendAt: at.toISO(),
+      tz: zone,
+      session,
+      urgent: !!urgent,
+      content: templateKey ? { type: 'template', templateKey, params: params || {} } : { type: 'text', text: text || null },
+      attachments,
+      recipients,
+      // queued: jobs mis en file ; inFlight: { jobId de la file: numéro } en attente de leur statut final
+      queued: 0,
+      inFlight: {},
+      sent: 0,
+      failed: 0,
+      skipped: 0,
+      errors: [],
+      createdAt: now,
+      updatedAt: now,
+      dispatchedAt: null,
+      finishedAt: null,
+    };
+    items.push(item);
+    persist();
+    logger.log(`[scheduled] ${id} programmé pour ${item.sendAt} (${recipients.length} destinataire(s))`);
+    return summarize(item);
+  }
+
+  function find(id) {
+    return items.find((i) => i.id === id) || null;
+  }
+
+  function get(id) {
+    const item = find(id);
+    return item ? summarize(item) : null;
+  }
+
+  function list({ status } = {}) {
+    const out = status ? items.filter((i) => i.status === status) : items;
+    return out.map(summarize).sort((a, b) => Date.parse(a.sendAt) - Date.parse(b.sendAt));
+  }
+
+  function requirePending(id) {
+    const item = find(id);
+    if (!item) throw scheduledError('scheduled_not_found', 'scheduled_not_found');
+    if (item.status !== 'scheduled') throw scheduledError(`déjà ${item.status}`, 'scheduled_not_pending');
+    return item;
+  }
+
+  /**
+   * Change l'heure d'envoi d'une programmation pas encore partie
+   * @param {string} id
+   * @param {Object} data
+   * @param {string} data.sendAt
+   * @param {string} [data.tz]
+   * @returns {Object} Résumé
+   */
+  function reschedule(id, { sendAt, tz: itemTz }) {
+    const item = requirePending(id);
+    const zone = itemTz || item.tz;
+    const at = requireSendAt(sendAt, zone);
+    touch(item, { sendAt: at.toISO(), tz: zone });
+    return summarize(item);
+  }
+
+  /**
+   * Annule une programmation pas encore partie
+   * @param {string} id
+   * @returns {Object} Résumé
+   */
+  function cancel(id) {
+    const item = requirePending(id);
+    touch(item, { status: 'cancelled', finishedAt: new Date().toISOString() });
+    removeAttachments(item);
+    return summarize(item);
+  }
+
+  async function buildParts(item) {
+    const parts = [];
+    if (item.content.type === 'template') {
+      const { text } = await renderTemplate(item.content.templateKey, item.content.params);
+      if (!String(text || '').trim()) throw new Error('Rendered text empty');
+      parts.push({ type: 'text', body: text });
+    } else if (item.content.text) {
+      parts.push({ type: 'text', body: item.content.text });
+    }
+    return [...parts, ...mediaParts(item.attachments)];
+  }
+
+  // Met chaque destinataire dans la file d'envoi
+  async function dispatch(item) {
+    let parts;
+    try {
+      parts = await buildParts(item);
+    } catch (e) {
+      logger.error(`[scheduled] ${item.id} non envoyé:`, e?.message || e);
+      touch(item, { status: 'failed', errors: [{ phone: null, error: e?.message || 'unknown' }], finishedAt: new Date().toISOString() });
+      removeAttachments(item);
+      manager.emit('completed', summarize(item));
+      return;
+    }
+
+    for (const phone of item.recipients) {
+      try {
+        const job = sendQueue.enqueue({
+          phone,
+          jid: normalizeToJid(phone),
+          parts,
+          checkNumber: true,
+          session: item.session,
+          urgent: item.urgent,
+          meta: {
+            source: 'scheduled',
+            scheduledId: item.id,
+            templateKey: item.content.templateKey || undefined,
+            hasImage: item.attachments.some((a) => a.kind === 'image'),
+            hasDocument: item.attachments.some((a) => a.kind === 'document'),
+          },
+        });
+        item.queued++;
+        // Désinscrit: job de file déjà final, compté tout de suite
+        if (QUEUE_FINAL_STATUSES.includes(job.status)) settle(item, job);
+        else item.inFlight[job.id] = phone;
+      } catch (e) {
+        item.failed++;
+        item.errors.push({ phone, error: e?.message || 'unknown' });
+      }
+    }
+    touch(item, { status: 'dispatched', dispatchedAt: new Date().toISOString() });
+    logger.log(`[scheduled] ${item.id} mis en file (${item.queued}/${item.recipients.length})`);
+    manager.emit('dispatched', summarize(item));
+    finishIfDone(item);
+  }
+
+  // Compte le statut final d'un job de la file
+  function settle(item, queueJob) {
+    if (queueJob.status === 'sent') item.sent++;
+    else if (queueJob.status === 'skipped') item.skipped++;
+    else {
+      item.failed++;
+      item.errors.push({ phone: queueJob.to?.phone || null, error: queueJob.lastError || queueJob.status, jobId: queueJob.id });
+    }
+  }
+
+  // La programmation est terminée quand tous ses jobs le sont
+  function finishIfDone(item) {
+    if (item.status !== 'dispatched' || Object.keys(item.inFlight).length) return;
+    touch(item, { status: 'completed', finishedAt: new Date().toISOString() });
+    removeAttachments(item);
+    manager.emit('completed', summarize(item));
+  }
+
+  async function dispatchDue() {
+    if (dispatching) return;
+    dispatching = true;
+    try {
+      const now = Date.now();
+      for (const item of items.filter((i) => i.status === 'scheduled' && Date.parse(i.sendAt) <= now)) {
+        await dispatch(item);
+      }
+    } catch (e) {
+      logger.error('[scheduled] Erreur dispatch:', e);
+    } finally {
+      dispatching = false;
+    }
+  }
+
+  sendQueue.on('final', (job) => {
+    const item = job.meta?.scheduledId ? find(job.meta.scheduledId) : null;
+    if (!item?.inFlight?.[job.id]) return;
+    delete item.inFlight[job.id];
+    settle(item, job);
+    touch(item, {}, { deferWrite: true });
+    finishIfDone(item);
+  });
+
+  /**
+   * Démarre l'envoi des programmations échues (vérifiées toutes les POLL_MS)
+   */
+  function start() {
+    if (timer) return;
+    // Statuts finaux manqués pendant l'arrêt
+    for (const item of items.filter((i) => i.status === 'dispatched')) {
+      for (const [jobId, phone] of Object.entries(item.inFlight)) {
+        const job = sendQueue.get(jobId);
+        if (job && !QUEUE_FINAL_STATUSES.includes(job.status)) continue;
+        delete item.inFlight[jobId];
+        // Job de file purgé: son résultat est perdu
+        settle(item, job || { id: jobId, status: 'failed', lastError: 'queue_job_lost', to: { phone } });
+      }
+      touch(item, {});
+      finishIfDone(item);
+    }
+    timer = setInterval(dispatchDue, POLL_MS);
+    const pending = items.filter((i) => i.status === 'scheduled').length;
+    logger.log(`[scheduled] ${pending} envoi(s) programmé(s)`);
+    dispatchDue();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return Object.assign(manager, { create, get, list, reschedule, cancel, start, stop });
+}
+
+module.exports = { createScheduledMessages, SCHEDULED_FILE };
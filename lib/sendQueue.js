@@ -0,0 +1,437 @@
+'use strict';
+
+const fs = require('fs');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { MessageMedia } = require('whatsapp-web.js');
+const { logReminder } = require('./logger');
+const { openDocumentTable, STATE_DB_FILE } = require('./stateStore');
+
+const MAX_ATTEMPTS = process.env.QUEUE_MAX_ATTEMPTS ? Number(process.env.QUEUE_MAX_ATTEMPTS) : 5;
+const RETRY_BASE_MS = process.env.QUEUE_RETRY_BASE_MS ? Number(process.env.QUEUE_RETRY_BASE_MS) : 5000;
+const RETRY_MAX_MS = process.env.QUEUE_RETRY_MAX_MS ? Number(process.env.QUEUE_RETRY_MAX_MS) : 10 * 60 * 1000;
+const KEEP_FINISHED = process.env.QUEUE_KEEP_FINISHED ? Number(process.env.QUEUE_KEEP_FINISHED) : 2000;
+const POLL_MS = 1000;
+// Purge des jobs terminés au-delà de KEEP_FINISHED toutes les PRUNE_EVERY fins de job
+const PRUNE_EVERY = 100;
+
+const FINAL_STATUSES = ['sent', 'failed', 'cancelled', 'skipped'];
+
+function permanentError(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+function backoffDelay(attempts) {
+  const delay = RETRY_BASE_MS * Math.pow(2, Math.max(0, attempts - 1));
+  return Math.min(delay, RETRY_MAX_MS);
+}
+
+function firstText(parts) {
+  const text = (parts || []).find((p) => p.type === 'text');
+  return text ? text.body : null;
+}
+
+/**
+ * Crée la file d'envoi persistante.
+ * Chaque envoi (texte, média) devient un job écrit sur disque (une ligne de
+ * data/state.db, réécrite seule à chaque changement) ; le worker le
+ * dépile dès que la session WhatsApp du job est prête et le réessaie avec
+ * backoff en cas d'erreur transitoire. Le statut final est écrit dans les logs.
+ *
+ * Un destinataire désinscrit (registre opt-out) n'est pas contacté: le job est
+ * créé directement au statut 'skipped', sauf si meta.optOutExempt est vrai.
+ *
+ * Le rythme d'envoi est réglé par le limiteur (lib/rateLimiter): un job qui
+ * dépasse l'espacement par destinataire ou le plafond du jour est différé
+ * ('deferred', lastError 'rate_limited') ou refusé selon le mode du limiteur.
+ *
+ * Hors de la plage d'envoi (lib/deliveryWindow), un job est retenu jusqu'à la
+ * prochaine ouverture ('held', heldUntil), sauf envoi urgent ou réponse.
+ *
+ * Événements émis: 'queued', 'held', 'retry', 'deferred', 'sent', 'failed', 'cancelled', 'skipped', 'final' (job)
+ *
+ * @param {Object} params
+ * @param {Object} params.sessions - sessions WhatsApp (lib/sessions): has, isReady, getClient, defaultName
+ * @param {Object} [params.optOut] - registre opt-out (lib/optOut)
+ * @param {Object} [params.limiter] - limiteur d'envoi (lib/rateLimiter)
+ * @param {Object} [params.deliveryWindow] - plage d'envoi (lib/deliveryWindow)
+ * @param {Object} [params.numbers] - cache d'inscription WhatsApp (lib/numberRegistry), pour checkNumber
+ * @param {string} [params.file] - base SQLite de persistance (défaut: data/state.db)
+ * @param {Object} [params.logger] - logger
+ */
+function createSendQueue({ sessions, optOut = null, limiter = null, deliveryWindow = null, numbers = null, file = STATE_DB_FILE, logger = console }) {
+  const queue = new EventEmitter();
+  queue.setMaxListeners(0);
+
+  const store = openDocumentTable('send_queue', { file });
+  let jobs = store.load();
+
+  // Un job resté "sending" vient d'un arrêt en plein envoi: on le remet en file
+  for (const job of jobs) {
+    if (job.status === 'sending') job.status = 'queued';
+    if (!job.session) job.session = sessions.defaultName;
+  }
+
+  let timer = null;
+  let draining = false;
+  let finalsSincePrune = 0;
+
+  // Écrit le seul job qui a changé
+  function persist(job) {
+    try {
+      store.put(job);
+    } catch (e) {
+      logger.error('[queue] Erreur écriture job:', e.message);
+    }
+  }
+
+  function touch(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    persist(job);
+  }
+
+  // Ne garde que les KEEP_FINISHED derniers jobs terminés (vérifié par lots, pas à chaque changement)
+  function pruneFinished({ force = false } = {}) {
+    if (!force && ++finalsSincePrune < PRUNE_EVERY) return;
+    finalsSincePrune = 0;
+    const finished = jobs.filter((j) => FINAL_STATUSES.includes(j.status));
+    if (finished.length <= KEEP_FINISHED) return;
+    const drop = new Set(finished.slice(0, finished.length - KEEP_FINISHED).map((j) => j.id));
+    jobs = jobs.filter((j) => !drop.has(j.id));
+    try {
+      store.removeMany([...drop]);
+    } catch (e) {
+      logger.error('[queue] Erreur purge jobs:', e.message);
+    }
+  }
+
+  // Fin d'un job: événements 'final' et purge périodique
+  function emitFinal(job) {
+    queue.emit('final', job);
+    pruneFinished();
+  }
+
+  function isOptedOut(job) {
+    return !!optOut && !job.meta?.optOutExempt && optOut.isOptedOut(job.to.jid);
+  }
+
+  // Destinataire désinscrit: le job se termine 'skipped' sans envoi (log skipped_opt_out)
+  function skipOptedOut(job) {
+    touch(job, { status: 'skipped', lastError: 'opted_out', nextAttemptAt: null });
+    logReminder({
+      id: job.id,
+      type: 'skipped_opt_out',
+      date: job.updatedAt.split('T')[0],
+      request: { ...job.meta, session: job.session, tel: job.to.phone, message: firstText(job.parts), jobId: job.id },
+      response: { success: false, jid: job.to.jid },
+      error: 'opted_out',
+    });
+    queue.emit('skipped', job);
+    emitFinal(job);
+  }
+
+  // Plage d'envoi fermée pour ce job (les urgences et les réponses passent toujours)
+  function outsideWindow(job) {
+    return !!deliveryWindow && !job.urgent && !job.meta?.isReply && !deliveryWindow.isOpen();
+  }
+
+  // Retient le job jusqu'à la prochaine ouverture de la plage
+  function hold(job) {
+    const heldUntil = deliveryWindow.nextOpening();
+    if (!heldUntil) return false;
+    Object.assign(job, { heldUntil, nextAttemptAt: heldUntil, updatedAt: new Date().toISOString() });
+    logger.log(`[queue] job ${job.id} held until ${heldUntil} (outside delivery window)`);
+    logReminder({
+      type: 'send_held',
+      date: new Date().toISOString().split('T')[0],
+      request: { ...job.meta, session: job.session, tel: job.to.phone, message: firstText(job.parts), jobId: job.id, heldUntil },
+      response: null,
+    });
+    queue.emit('held', job);
+    return true;
+  }
+
+  /**
+   * Ajoute un envoi dans la file
+   * @param {Object} params
+   * @param {string} params.phone - Numéro tel que fourni par l'appelant
+   * @param {string} params.jid - JID WhatsApp normalisé
+   * @param {Array} params.parts - [{ type: 'text', body }] ou [{ type: 'media', file, mimetype, filename, caption }]
+   * @param {boolean} [params.checkNumber] - Vérifier que le numéro est sur WhatsApp avant envoi
+   * @param {Object} [params.meta] - Contexte repris dans les logs (source, endpoint, taskId, ...) ;
+   *   meta.isReply: réponse à un message reçu (hors plafond et espacement du limiteur)
+   * @param {string} [params.session] - Session WhatsApp d'envoi (défaut: session par défaut)
+   * @param {boolean} [params.urgent] - Envoyer même hors de la plage d'envoi
+   * @returns {Object} Le job créé (statut 'skipped' si le destinataire est désinscrit ; heldUntil s'il est retenu hors plage)
+   * @throws {Error} `rate_limited` (code, status 429, retryAt) si le limiteur refuse l'envoi
+   */
+  function enqueue({ phone, jid, parts, checkNumber = false, meta = {}, session = null, urgent = false }) {
+    if (!jid) throw new Error('jid_required');
+    if (!Array.isArray(parts) || parts.length === 0) throw new Error('parts_required');
+    const sessionName = session || sessions.defaultName;
+    if (!sessions.has(sessionName)) throw new Error('session_not_found');
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      createdAt: now,
+      updatedAt: now,
+      attempts: 0,
+      nextAttemptAt: null,
+      lastError: null,
+      session: sessionName,
+      to: { phone: phone || null, jid },
+      parts,
+      partsSent: 0,
+      messageIds: [],
+      checkNumber: !!checkNumber,
+      urgent: !!urgent,
+      heldUntil: null,
+      meta,
+      result: null,
+    };
+
+    if (isOptedOut(job)) {
+      jobs.push(job);
+      skipOptedOut(job);
+      return job;
+    }
+
+    if (limiter) limiter.assertAccepted(job);
+
+    jobs.push(job);
+    if (outsideWindow(job)) hold(job);
+    persist(job);
+    queue.emit('queued', job);
+    kick();
+    return job;
+  }
+
+  function get(id) {
+    return jobs.find((j) => j.id === id) || null;
+  }
+
+  function list({ status, session, limit = 100 } = {}) {
+    let out = status ? jobs.filter((j) => j.status === status) : jobs.slice();
+    if (session) out = out.filter((j) => j.session === session);
+    out = out.slice(-limit).reverse();
+    return out;
+  }
+
+  function stats({ session } = {}) {
+    const counts = { queued: 0, sending: 0, sent: 0, failed: 0, cancelled: 0, skipped: 0 };
+    for (const j of jobs) {
+      if (session && j.session !== session) continue;
+      counts[j.status] = (counts[j.status] || 0) + 1;
+    }
+    return counts;
+  }
+
+  /**
+   * Annule un job encore en file (un job en cours d'envoi ne peut plus être annulé)
+   * @param {string} id - ID du job
+   * @returns {boolean} true si le job a été annulé
+   */
+  function cancel(id) {
+    const job = get(id);
+    if (!job || job.status !== 'queued') return false;
+    touch(job, { status: 'cancelled', nextAttemptAt: null });
+    queue.emit('cancelled', job);
+    emitFinal(job);
+    return true;
+  }
+
+  /**
+   * Attend le statut final d'un job
+   * @param {string} id - ID du job
+   * @param {number} [timeoutMs] - Délai max (sans délai: attend indéfiniment)
+   * @returns {Promise<Object|null>} Le job (final, ou dans son état courant si timeout)
+   */
+  function waitFor(id, timeoutMs) {
+    const job = get(id);
+    if (!job) return Promise.resolve(null);
+    if (FINAL_STATUSES.includes(job.status)) return Promise.resolve(job);
+
+    return new Promise((resolve) => {
+      let t = null;
+      const onFinal = (done) => {
+        if (done.id !== id) return;
+        if (t) clearTimeout(t);
+        queue.off('final', onFinal);
+        resolve(done);
+      };
+      queue.on('final', onFinal);
+      if (timeoutMs) {
+        t = setTimeout(() => {
+          queue.off('final', onFinal);
+          resolve(get(id));
+        }, timeoutMs);
+      }
+    });
+  }
+
+  function finalize(job, { sent, error }) {
+    const messageId = job.messageIds.find(Boolean) || null;
+    touch(job, {
+      status: sent ? 'sent' : 'failed',
+      lastError: sent ? null : error,
+      nextAttemptAt: null,
+      result: sent ? { jid: job.to.jid, messageId, messageIds: job.messageIds } : null,
+    });
+
+    logReminder({
+      // En échec il n'y a pas de messageId: l'ID du job sert de clé de dédup
+      id: sent ? undefined : job.id,
+      type: sent ? 'reminder_success' : 'reminder_error',
+      date: new Date().toISOString().split('T')[0],
+      request: {
+        ...job.meta,
+        session: job.session,
+        tel: job.to.phone,
+        message: firstText(job.parts),
+        jobId: job.id,
+        attempts: job.attempts,
+        heldUntil: job.heldUntil || undefined,
+      },
+      response: sent
+        ? { success: true, jid: job.to.jid, messageId, messageIds: job.messageIds.length > 1 ? job.messageIds : undefined }
+        : { success: false },
+      error: sent ? undefined : error,
+    });
+
+    queue.emit(sent ? 'sent' : 'failed', job);
+    emitFinal(job);
+  }
+
+  async function buildContent(part) {
+    if (part.type === 'text') return { content: part.body, options: {} };
+    if (part.type === 'media') {
+      if (!part.file || !fs.existsSync(part.file)) throw permanentError('media_missing');
+      const data = fs.readFileSync(part.file, { encoding: 'base64' });
+      const media = new MessageMedia(part.mimetype, data, part.filename);
+      return { content: media, options: part.caption ? { caption: part.caption } : {} };
+    }
+    throw permanentError(`unknown_part_type:${part.type}`);
+  }
+
+  async function processJob(job) {
+    // Désinscrit pendant l'attente en file (STOP reçu entre-temps): rien n'est envoyé
+    if (job.partsSent === 0 && isOptedOut(job)) {
+      skipOptedOut(job);
+      return;
+    }
+    touch(job, { status: 'sending', attempts: job.attempts + 1 });
+    try {
+      const client = sessions.getClient(job.session);
+      if (!client) throw permanentError('session_not_found');
+
+      // Un groupe (@g.us) n'est pas un numéro: rien à vérifier
+      if (job.checkNumber && job.partsSent === 0 && !job.to.jid.endsWith('@g.us')) {
+        const digits = job.to.jid.replace('@c.us', '');
+        const registered = numbers
+          ? (await numbers.lookup(job.session, digits)).registered
+          : !!(await client.getNumberId(digits));
+        if (!registered) throw permanentError('not_on_whatsapp');
+      }
+
+      // Reprendre à la partie suivante: une partie déjà envoyée n'est pas renvoyée
+      for (let i = job.partsSent; i < job.parts.length; i++) {
+        const { content, options } = await buildContent(job.parts[i]);
+        const msg = await client.sendMessage(job.to.jid, content, options);
+        job.messageIds.push(msg?.id?._serialized || null);
+        touch(job, { partsSent: i + 1 });
+      }
+
+      if (limiter) limiter.record(job, { sent: true });
+      finalize(job, { sent: true });
+    } catch (e) {
+      if (limiter) limiter.record(job, { sent: false });
+      const error = e?.message || String(e);
+      if (e?.permanent || job.attempts >= MAX_ATTEMPTS) {
+        logger.warn(`[queue] job ${job.id} failed after ${job.attempts} attempt(s): ${error}`);
+        finalize(job, { sent: false, error });
+        return;
+      }
+      const nextAttemptAt = new Date(Date.now() + backoffDelay(job.attempts)).toISOString();
+      logger.warn(`[queue] job ${job.id} attempt ${job.attempts} failed (${error}), retry at ${nextAttemptAt}`);
+      touch(job, { status: 'queued', lastError: error, nextAttemptAt });
+      queue.emit('retry', job);
+    }
+  }
+
+  // Limite atteinte: job différé jusqu'à retryAt, ou en échec en mode 'reject'
+  function applyLimit(job, verdict) {
+    if (limiter.mode === 'reject') {
+      logger.warn(`[queue] job ${job.id} rejected (rate_limited: ${verdict.reason})`);
+      finalize(job, { sent: false, error: 'rate_limited' });
+      return;
+    }
+    logger.log(`[queue] job ${job.id} deferred until ${verdict.retryAt} (${verdict.reason})`);
+    touch(job, { lastError: 'rate_limited', limitReason: verdict.reason, nextAttemptAt: verdict.retryAt });
+    queue.emit('deferred', job);
+  }
+
+  // Prochain job dû dont la session est prête et que le limiteur laisse partir
+  // (une session supprimée fait échouer ses jobs)
+  function nextDueJob() {
+    const now = Date.now();
+    const paced = new Set();
+    for (const j of jobs) {
+      if (j.status !== 'queued' || (j.nextAttemptAt && Date.parse(j.nextAttemptAt) > now)) continue;
+      if (!sessions.has(j.session)) return j;
+      if (!sessions.isReady(j.session) || paced.has(j.session)) continue;
+      // Plage fermée entre-temps (job différé, session revenue la nuit...): retenu à nouveau
+      if (outsideWindow(j) && hold(j)) {
+        persist(j);
+        continue;
+      }
+      if (!limiter) return j;
+      const verdict = limiter.check(j);
+      if (verdict.ok) return j;
+      // Rythme de la session: ses jobs attendent leur tour, les autres sessions continuent
+      if (verdict.reason === 'rate') paced.add(j.session);
+      else applyLimit(j, verdict);
+    }
+    return null;
+  }
+
+  async function drain() {
+    if (draining) return;
+    draining = true;
+    try {
+      let job;
+      while ((job = nextDueJob())) {
+        await processJob(job);
+      }
+    } catch (e) {
+      logger.error('[queue] Erreur worker:', e);
+    } finally {
+      draining = false;
+    }
+  }
+
+  function kick() {
+    setImmediate(drain);
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(drain, POLL_MS);
+    pruneFinished({ force: true });
+    const pending = jobs.filter((j) => j.status === 'queued').length;
+    logger.log(`[queue] worker started (${pending} job(s) en attente)`);
+    kick();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return Object.assign(queue, { enqueue, get, list, stats, cancel, waitFor, kick, start, stop });
+}
+
+module.exports = { createSendQueue };
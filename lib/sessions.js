@@ -0,0 +1,303 @@
+'use strict';
+
+const path = require('path');
+const EventEmitter = require('events');
+const qrcodeTerminal = require('qrcode-terminal');
+const { Client, LocalAuth } = require('whatsapp-web.js');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./jsonStore');
+
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+
+function sessionError(message, code = 'session_invalid') {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Sessions WhatsApp nommées (un numéro par session).
+ * Chaque session a son client whatsapp-web.js avec son propre LocalAuth
+ * (clientId), son QR, son état et sa disponibilité. La session par défaut
+ * vient de l'environnement (WWEBJS_CLIENT_ID / WWEBJS_AUTH_DIR) ; les autres
+ * sont persistées et relancées au démarrage.
+ *
+ * Événements émis (premier argument: nom de la session):
+ *   'qr', 'ready', 'authenticated', 'auth_failure', 'disconnected',
+ *   'message_ack' (name, msg, ack), 'message' (name, msg), 'removed'
+ *
+ * @param {Object} params
+ * @param {Object} params.puppeteer - options puppeteer communes
+ * @param {string} [params.authDir] - dossier LocalAuth (défaut: .wwebjs_auth)
+ * @param {string} [params.defaultName] - nom de la session par défaut
+ * @param {string} [params.defaultClientId] - clientId LocalAuth de la session par défaut
+ * @param {string} [params.file] - fichier de persistance des sessions ajoutées
+ * @param {Object} [params.logger] - logger
+ */
+function createSessionManager({
+  puppeteer,
+  authDir,
+  defaultName = 'default',
+  defaultClientId,
+  file = SESSIONS_FILE,
+  logger = console,
+}) {
+  const manager = new EventEmitter();
+  const sessions = new Map();
+
+  function persist() {
+    const saved = [...sessions.values()]
+      .filter((s) => s.name !== defaultName)
+      .map((s) => ({ name: s.name, clientId: s.clientId, description: s.description, createdAt: s.createdAt }));
+    try {
+      writeJsonFile(file, saved);
+    } catch (e) {
+      logger.error('[sessions] Erreur écriture sessions:', e.message);
+    }
+  }
+
+  // Démarre le client ; un échec (navigateur introuvable, profil verrouillé...)
+  // laisse la session en état INIT_FAILURE
+  function initialize(s) {
+    Promise.resolve()
+      .then(() => s.client.initialize())
+      .catch((e) => {
+        if (s.removed) return;
+        logger.error(`[${s.name}] Échec du démarrage du client WhatsApp:`, e?.message || e);
+        s.ready = false;
+        s.state = 'INIT_FAILURE';
+      });
+  }
+
+  function scheduleReinit(s, delayMs = 3000) {
+    if (s.reinitTimer || s.removed) return;
+    s.reinitTimer = setTimeout(() => {
+      s.reinitTimer = null;
+      logger.log(`[${s.name}] Reinitialisation du client WhatsApp...`);
+      initialize(s);
+    }, delayMs);
+  }
+
+  function attach(s) {
+    const { client, name } = s;
+
+    client.on('qr', (qr) => {
+      logger.log(`[${name}] QR Code généré`);
+      s.ready = false;
+      s.qr = qr;
+      try {
+        logger.log(`[${name}] Scanne ce QR avec WhatsApp > Appareils liés (Linked devices):`);
+        qrcodeTerminal.generate(qr, { small: true });
+      } catch (e) {
+        logger.warn('Impossible d\'afficher le QR en ASCII:', e?.message);
+      }
+      manager.emit('qr', name, qr);
+    });
+
+    client.on('ready', () => {
+      logger.log(`[${name}] Client prêt ✅`);
+      s.ready = true;
+      s.qr = null;
+      s.state = 'CONNECTED';
+      s.lastReadyAt = Date.now();
+      s.number = client.info?.wid?.user || s.number;
+      manager.emit('ready', name);
+    });
+
+    client.on('authenticated', () => {
+      logger.log(`[${name}] Authentifié ✅`);
+      manager.emit('authenticated', name);
+    });
+
+    client.on('auth_failure', (msg) => {
+      logger.error(`[${name}] Erreur d'authentification :`, msg);
+      s.ready = false;
+      s.state = 'AUTH_FAILURE';
+      manager.emit('auth_failure', name, msg);
+      scheduleReinit(s, 5000);
+    });
+
+    client.on('disconnected', (reason) => {
+      logger.log(`[${name}] Déconnecté :`, reason);
+      s.ready = false;
+      s.state = 'DISCONNECTED';
+      manager.emit('disconnected', name, reason);
+      scheduleReinit(s, 3000);
+    });
+
+    client.on('change_state', (state) => {
+      s.state = state || s.state;
+    });
+
+    client.on('message_ack', (msg, ack) => manager.emit('message_ack', name, msg, ack));
+    client.on('message', (msg) => manager.emit('message', name, msg));
+  }
+
+  function build({ name, clientId, description = null, createdAt = new Date().toISOString() }) {
+    const client = new Client({
+      authStrategy: new LocalAuth({ clientId: clientId || undefined, dataPath: authDir || undefined }),
+      puppeteer,
+    });
+    const s = {
+      name,
+      clientId: clientId || null,
+      description,
+      createdAt,
+      client,
+      ready: false,
+      qr: null,
+      state: 'INIT',
+      lastReadyAt: null,
+      number: null,
+      reinitTimer: null,
+      removed: false,
+    };
+    attach(s);
+    sessions.set(name, s);
+    return s;
+  }
+
+  function describe(s) {
+    return {
+      name: s.name,
+      clientId: s.clientId,
+      description: s.description,
+      default: s.name === defaultName,
+      ready: s.ready,
+      state: s.state,
+      hasQr: !!s.qr,
+      number: s.number,
+      lastReadyAt: s.lastReadyAt,
+      createdAt: s.createdAt,
+    };
+  }
+
+  function has(name) {
+    return sessions.has(name || defaultName);
+  }
+
+  function get(name) {
+    const s = sessions.get(name || defaultName);
+    return s ? describe(s) : null;
+  }
+
+  function list() {
+    return [...sessions.values()].map(describe);
+  }
+
+  function getClient(name) {
+    return sessions.get(name || defaultName)?.client || null;
+  }
+
+  function isReady(name) {
+    return !!sessions.get(name || defaultName)?.ready;
+  }
+
+  function getQr(name) {
+    return sessions.get(name || defaultName)?.qr || null;
+  }
+
+  /**
+   * État détaillé (interroge le client, garde le dernier état connu en cas d'erreur)
+   */
+  async function status(name) {
+    const s = sessions.get(name || defaultName);
+    if (!s) return null;
+    let state = s.state;
+    try {
+      state = (await s.client.getState()) || state;
+    } catch (_) {
+      // keep lastState
+    }
+    return {
+      session: s.name,
+      ready: s.ready && (state === 'CONNECTED' || s.state === 'CONNECTED'),
+      state,
+      lastState: s.state,
+      hasQr: !!s.qr,
+      lastReadyAt: s.lastReadyAt,
+      now: Date.now(),
+    };
+  }
+
+  /**
+   * Crée et démarre une session (scanner son QR pour la lier à un numéro)
+   * @param {Object} data
+   * @param {string} data.name - Nom (lettres, chiffres, _ -)
+   * @param {string} [data.clientId] - clientId LocalAuth (défaut: le nom)
+   * @param {string} [data.description]
+   * @returns {Object} La session
+   */
+  function create({ name, clientId, description }) {
+    if (!name || !NAME_PATTERN.test(name)) throw sessionError('name invalide (lettres, chiffres, _ -)');
+    if (clientId && !NAME_PATTERN.test(clientId)) throw sessionError('clientId invalide (lettres, chiffres, _ -)');
+    if (sessions.has(name)) throw sessionError('session_exists', 'session_exists');
+    const id = clientId || name;
+    if ([...sessions.values()].some((s) => (s.clientId || null) === id)) throw sessionError('clientId déjà utilisé', 'session_exists');
+
+    const s = build({ name, clientId: id, description: description || null });
+    persist();
+    initialize(s);
+    logger.log(`[sessions] session "${name}" created (clientId=${id})`);
+    return describe(s);
+  }
+
+  /**
+   * Arrête et supprime une session (la session par défaut ne peut pas être supprimée)
+   * @param {string} name
+   * @param {Object} [options]
+   * @param {boolean} [options.logout] - Délier l'appareil et effacer les données LocalAuth
+   * @returns {Promise<boolean>} false si la session n'existe pas
+   */
+  async function remove(name, { logout = false } = {}) {
+    if (name === defaultName) throw sessionError('la session par défaut ne peut pas être supprimée', 'session_default');
+    const s = sessions.get(name);
+    if (!s) return false;
+    s.removed = true;
+    s.ready = false;
+    if (s.reinitTimer) clearTimeout(s.reinitTimer);
+    sessions.delete(name);
+    persist();
+    try {
+      if (logout) await s.client.logout();
+      await s.client.destroy();
+    } catch (e) {
+      logger.warn(`[sessions] Arrêt de "${name}" incomplet:`, e?.message || e);
+    }
+    manager.emit('removed', name);
+    logger.log(`[sessions] session "${name}" removed${logout ? ' (logout)' : ''}`);
+    return true;
+  }
+
+  // Session par défaut + sessions ajoutées via l'API (démarrées par start())
+  build({ name: defaultName, clientId: defaultClientId || null });
+  const saved = readJsonFile(file, []);
+  for (const entry of Array.isArray(saved) ? saved : []) {
+    if (!entry?.name || sessions.has(entry.name)) continue;
+    build(entry);
+  }
+
+  /**
+   * Démarre les clients de toutes les sessions
+   */
+  function start() {
+    for (const s of sessions.values()) initialize(s);
+    logger.log(`[sessions] ${sessions.size} session(s): ${[...sessions.keys()].join(', ')}`);
+  }
+
+  return Object.assign(manager, {
+    defaultName,
+    has,
+    get,
+    list,
+    getClient,
+    isReady,
+    getQr,
+    status,
+    create,
+    remove,
+    start,
+  });
+}
+
+module.exports = { createSessionManager, SESSIONS_FILE };
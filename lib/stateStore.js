@@ -0,0 +1,87 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./jsonStore');
+
+// Base SQLite locale des états qui changent souvent (file d'envoi, livraisons de webhooks)
+const STATE_DB_FILE = path.join(DATA_DIR, 'state.db');
+const TABLE_PATTERN = /^[a-z_]+$/;
+
+// Une connexion par fichier, partagée par les tables
+const databases = new Map();
+
+function openDatabase(file) {
+  if (!databases.has(file)) {
+    const Database = require('better-sqlite3');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    databases.set(file, db);
+  }
+  return databases.get(file);
+}
+
+/**
+ * Table de documents JSON (un par ligne, clé `id`): un changement n'écrit que
+ * le document concerné, au lieu de réécrire tout un fichier JSON. Les
+ * documents sont relus dans leur ordre d'insertion.
+ *
+ * @param {string} table - Nom de la table ([a-z_]+)
+ * @param {Object} [options]
+ * @param {string} [options.file] - Base SQLite (défaut: data/state.db)
+ * @returns {{ load, put, putMany, remove, removeMany }}
+ */
+function openDocumentTable(table, { file = STATE_DB_FILE } = {}) {
+  if (!TABLE_PATTERN.test(table)) throw new Error(`table invalide: ${table}`);
+  const db = openDatabase(file);
+  db.exec(`CREATE TABLE IF NOT EXISTS ${table} (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL UNIQUE,
+    data TEXT NOT NULL
+  )`);
+
+  const upsert = db.prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?) ON CONFLICT (id) DO UPDATE SET data = excluded.data`);
+  const del = db.prepare(`DELETE FROM ${table} WHERE id = ?`);
+  const selectAll = db.prepare(`SELECT data FROM ${table} ORDER BY seq`);
+
+  /**
+   * Écrit (ou remplace) un document
+   * @param {Object} doc - Document avec un `id`
+   */
+  function put(doc) {
+    upsert.run(String(doc.id), JSON.stringify(doc));
+  }
+
+  const putMany = db.transaction((docs) => {
+    for (const doc of docs) put(doc);
+  });
+
+  function remove(id) {
+    del.run(String(id));
+  }
+
+  const removeMany = db.transaction((ids) => {
+    for (const id of ids) remove(id);
+  });
+
+  /**
+   * Tous les documents, dans l'ordre d'insertion
+   * @returns {Object[]}
+   */
+  function load() {
+    const docs = [];
+    for (const row of selectAll.all()) {
+      try {
+        docs.push(JSON.parse(row.data));
+      } catch (_) {
+        // ligne illisible: ignorée
+      }
+    }
+    return docs;
+  }
+
+  return { load, put, putMany, remove, removeMany };
+}
+
+module.exports = { openDocumentTable, STATE_DB_FILE };
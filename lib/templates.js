@@ -0,0 +1,257 @@
+'use strict';
+
+const path = require('path');
+const { DateTime } = require('luxon');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./jsonStore');
+
+const TEMPLATES_FILE = path.join(DATA_DIR, 'templates.json');
+const TEMPLATE_TZ = process.env.TEMPLATE_TZ || process.env.REMINDER_TZ || 'Africa/Casablanca';
+const TEMPLATE_LOCALE = process.env.TEMPLATE_LOCALE || 'fr';
+const KEY_PATTERN = /^[A-Za-z0-9_.-]{1,100}$/;
+
+/*
+ * Syntaxe des templates:
+ *   {{prenom}}                        variable (chemin pointé: {{task.title}})
+ *   {{date echeance "dd/MM/yyyy"}}    date formatée avec luxon (fuseau TEMPLATE_TZ)
+ *   {{#if x}}...{{else}}...{{/if}}    conditionnel ({{#unless x}}...{{/unless}} pour l'inverse)
+ *   {{#each tasks}}...{{/each}}       boucle; dans le bloc: champs de l'élément, {{@index}}, {{@number}}
+ */
+
+function templateError(message) {
+  const err = new Error(message);
+  err.code = 'template_invalid';
+  return err;
+}
+
+function parseTag(raw) {
+  const tag = raw.trim();
+  let m;
+  if ((m = /^#(if|unless|each)\s+([\w.@]+)$/.exec(tag))) return { kind: 'open', block: m[1], path: m[2] };
+  if ((m = /^\/(if|unless|each)$/.exec(tag))) return { kind: 'close', block: m[1] };
+  if (tag === 'else') return { kind: 'else' };
+  if ((m = /^date\s+([\w.@]+)(?:\s+"([^"]*)")?$/.exec(tag))) return { kind: 'date', path: m[1], format: m[2] || 'dd/MM/yyyy' };
+  if ((m = /^([\w.@]+)$/.exec(tag))) return { kind: 'var', path: m[1] };
+  throw templateError(`Balise invalide: {{${tag}}}`);
+}
+
+/**
+ * Analyse un template en arbre de nœuds
+ * @param {string} body
+ * @returns {Array} nœuds
+ */
+function parseTemplate(body) {
+  const root = { children: [] };
+  const stack = [root];
+  const re = /\{\{([\s\S]*?)\}\}/g;
+  let last = 0;
+  let m;
+
+  const current = () => {
+    const top = stack[stack.length - 1];
+    return top.inElse ? top.otherwise : top.children;
+  };
+
+  while ((m = re.exec(body)) !== null) {
+    if (m.index > last) current().push({ type: 'text', value: body.slice(last, m.index) });
+    last = re.lastIndex;
+
+    const tag = parseTag(m[1]);
+    if (tag.kind === 'open') {
+      const node = { type: tag.block, path: tag.path, children: [], otherwise: [], inElse: false };
+      current().push(node);
+      stack.push(node);
+    } else if (tag.kind === 'else') {
+      const top = stack[stack.length - 1];
+      if (stack.length === 1 || top.type === 'each' || top.inElse) throw templateError('{{else}} hors d\'un bloc {{#if}}/{{#unless}}');
+      top.inElse = true;
+    } else if (tag.kind === 'close') {
+      const top = stack.pop();
+      if (!top || stack.length === 0 || top.type !== tag.block) throw templateError(`{{/${tag.block}}} sans {{#${tag.block}}} correspondant`);
+      delete top.inElse;
+    } else {
+      current().push({ type: tag.kind, path: tag.path, format: tag.format });
+    }
+  }
+  if (stack.length > 1) throw templateError(`Bloc {{#${stack[stack.length - 1].type}}} non fermé`);
+  if (last < body.length) current().push({ type: 'text', value: body.slice(last) });
+  return root.children;
+}
+
+function lookup(scopes, dotted) {
+  for (const scope of scopes) {
+    let value = scope;
+    let found = true;
+    for (const key of dotted.split('.')) {
+      if (value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key)) {
+        value = value[key];
+      } else {
+        found = false;
+        break;
+      }
+    }
+    if (found) return { found: true, value };
+  }
+  return { found: false, value: undefined };
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return !(value === undefined || value === null || value === '' || value === false || value === 0 || value === '0');
+}
+
+function toDateTime(value) {
+  if (value instanceof Date) return DateTime.fromJSDate(value, { zone: TEMPLATE_TZ });
+  if (typeof value === 'number') return DateTime.fromMillis(value, { zone: TEMPLATE_TZ });
+  const str = String(value || '').trim();
+  if (str === 'now' || str === 'today') return DateTime.now().setZone(TEMPLATE_TZ);
+  let dt = DateTime.fromISO(str, { zone: TEMPLATE_TZ });
+  if (!dt.isValid) dt = DateTime.fromSQL(str, { zone: TEMPLATE_TZ });
+  return dt;
+}
+
+function renderNodes(nodes, scopes, missing) {
+  let out = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      out += node.value;
+      continue;
+    }
+
+    const { found, value } = lookup(scopes, node.path);
+    if (!found && node.type !== 'if' && node.type !== 'unless') missing.add(node.path);
+
+    if (node.type === 'var') {
+      out += value === undefined || value === null ? '' : String(value);
+    } else if (node.type === 'date') {
+      if (!found || value === null || value === '') continue;
+      const dt = toDateTime(value);
+      out += dt.isValid ? dt.setLocale(TEMPLATE_LOCALE).toFormat(node.format) : String(value);
+    } else if (node.type === 'if' || node.type === 'unless') {
+      const truthy = isTruthy(value);
+      const branch = (node.type === 'if' ? truthy : !truthy) ? node.children : node.otherwise;
+      out += renderNodes(branch, scopes, missing);
+    } else if (node.type === 'each') {
+      const items = Array.isArray(value) ? value : [];
+      items.forEach((item, index) => {
+        const itemScope = item !== null && typeof item === 'object' ? item : { this: item };
+        out += renderNodes(node.children, [{ '@index': index, '@number': index + 1 }, itemScope, ...scopes], missing);
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * Rend un template avec ses paramètres
+ * @param {string} body - Texte du template
+ * @param {Object} [params] - Variables
+ * @returns {{ text: string, missing: string[] }} Texte rendu et variables absentes des paramètres
+ */
+function renderTemplate(body, params = {}) {
+  const missing = new Set();
+  const text = renderNodes(parseTemplate(String(body || '')), [params || {}], missing);
+  return { text, missing: [...missing] };
+}
+
+/**
+ * Liste les variables de premier niveau utilisées par un template
+ * (les champs lus à l'intérieur d'un {{#each}} sont ceux des éléments, non listés)
+ * @param {string} body
+ * @returns {string[]}
+ */
+function extractVariables(body) {
+  const vars = new Set();
+  const walk = (nodes) => {
+    for (const node of nodes) {
+      if (node.type === 'text') continue;
+      if (!node.path.startsWith('@')) vars.add(node.path.split('.')[0]);
+      if (node.type === 'if' || node.type === 'unless') {
+        walk(node.children);
+        walk(node.otherwise);
+      }
+    }
+  };
+  walk(parseTemplate(String(body || '')));
+  return [...vars];
+}
+
+// Store local (fichier JSON, rechargé au démarrage)
+let templates = readJsonFile(TEMPLATES_FILE, []);
+if (!Array.isArray(templates)) templates = [];
+
+function persist() {
+  writeJsonFile(TEMPLATES_FILE, templates);
+}
+
+function describe(t) {
+  return { ...t, variables: extractVariables(t.body) };
+}
+
+function listTemplates() {
+  return templates.map(describe);
+}
+
+function getTemplate(key) {
+  const t = templates.find((x) => x.key === key);
+  return t ? describe(t) : null;
+}
+
+/**
+ * Crée ou met à jour un template (le texte est validé avant enregistrement)
+ * @param {Object} data
+ * @param {string} data.key - Identifiant (utilisé par /send-template: templateKey)
+ * @param {string} data.body - Texte du template
+ * @param {string} [data.description]
+ * @param {boolean} [create] - true: échoue si la clé existe déjà
+ * @returns {Object} Le template enregistré
+ */
+function saveTemplate({ key, body, description }, { create = false } = {}) {
+  if (!key || !KEY_PATTERN.test(key)) throw templateError('key invalide (lettres, chiffres, _ . -)');
+  if (typeof body !== 'string' || !body.trim()) throw templateError('body requis');
+  parseTemplate(body);
+
+  const now = new Date().toISOString();
+  const existing = templates.find((t) => t.key === key);
+  if (existing && create) {
+    const err = new Error('template_exists');
+    err.code = 'template_exists';
+    throw err;
+  }
+
+  if (existing) {
+    Object.assign(existing, { body, description: description ?? existing.description ?? null, updatedAt: now });
+  } else {
+    templates.push({ key, body, description: description || null, createdAt: now, updatedAt: now });
+  }
+  persist();
+  return getTemplate(key);
+}
+
+function deleteTemplate(key) {
+  const before = templates.length;
+  templates = templates.filter((t) => t.key !== key);
+  if (templates.length === before) return false;
+  persist();
+  return true;
+}
+
+/**
+ * Rend un template du store
+ * @returns {{ text: string, missing: string[] }|null} null si le template n'existe pas localement
+ */
+function renderTemplateByKey(key, params = {}) {
+  const t = templates.find((x) => x.key === key);
+  if (!t) return null;
+  return renderTemplate(t.body, params);
+}
+
+module.exports = {
+  renderTemplate,
+  extractVariables,
+  listTemplates,
+  getTemplate,
+  saveTemplate,
+  deleteTemplate,
+  renderTemplateByKey,
+  TEMPLATES_FILE,
+};
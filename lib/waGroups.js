@@ -0,0 +1,227 @@
+'use strict';
+
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./jsonStore');
+const { storeUploads, mediaParts, removeUploads } = require('./attachments');
+const { parsePhone } = require('./phone');
+
+const GROUP_SUFFIX = '@g.us';
+const ATTACHMENTS_DIR = path.join(DATA_DIR, 'group-attachments');
+
+function groupError(message, code = 'wa_group_invalid') {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * JID d'un groupe WhatsApp ("120363...@g.us" ou "120363..." seul)
+ * @param {string} id
+ * @returns {string|null}
+ */
+function toGroupJid(id) {
+  const value = String(id || '').trim();
+  if (!value) return null;
+  if (value.endsWith(GROUP_SUFFIX)) return value;
+  return /^[\d-]+$/.test(value) ? value + GROUP_SUFFIX : null;
+}
+
+function isGroupJid(jid) {
+  return String(jid || '').endsWith(GROUP_SUFFIX);
+}
+
+function describeGroup(chat) {
+  return {
+    id: chat.id._serialized,
+    name: chat.name,
+    participantsCount: chat.participants?.length || 0,
+    isReadOnly: !!chat.isReadOnly,
+    unreadCount: chat.unreadCount || 0,
+  };
+}
+
+/**
+ * Groupes WhatsApp dont une session fait partie: liste, détail, création et
+ * gestion des participants. L'envoi de messages passe par la file d'envoi
+ * (lib/sendQueue) avec le JID du groupe, comme pour un numéro: il est loggé de
+ * la même façon (source 'wa_group', groupJid, groupName).
+ *
+ * Les erreurs portent un code: session_not_found, session_not_ready,
+ * wa_group_invalid, wa_group_not_found, wa_group_failed (refus de WhatsApp).
+ *
+ * @param {Object} params
+ * @param {Object} params.sessions - sessions WhatsApp (lib/sessions)
+ * @param {Object} params.sendQueue - file d'envoi (lib/sendQueue)
+ * @param {Function} params.normalizeToJid - (phone) => jid
+ * @param {Object} [params.logger] - logger
+ */
+function createWaGroupManager({ sessions, sendQueue, normalizeToJid, logger = console }) {
+  // Pièces jointes d'un envoi de groupe: supprimées quand le job est terminé
+  sendQueue.on('final', (job) => {
+    if (job.meta?.source !== 'wa_group') return;
+    for (const part of job.parts) {
+      if (part.type === 'media' && part.file?.startsWith(ATTACHMENTS_DIR)) removeUploads(path.dirname(part.file), logger);
+    }
+  });
+
+  function clientOf(session) {
+    const name = session || sessions.defaultName;
+    if (!sessions.has(name)) throw groupError('session_not_found', 'session_not_found');
+    if (!sessions.isReady(name)) throw groupError('session_not_ready', 'session_not_ready');
+    return sessions.getClient(name);
+  }
+
+  async function groupChat(session, id) {
+    const jid = toGroupJid(id);
+    if (!jid) throw groupError(`id de groupe invalide: ${id}`);
+    let chat = null;
+    try {
+      chat = await clientOf(session).getChatById(jid);
+    } catch (e) {
+      if (e?.code) throw e;
+    }
+    if (!chat || !chat.isGroup) throw groupError('wa_group_not_found', 'wa_group_not_found');
+    return chat;
+  }
+
+  function participantJids(phones) {
+    const list = (Array.isArray(phones) ? phones : [phones]).map((p) => String(p || '').trim()).filter(Boolean);
+    if (!list.length) throw groupError('phones requis');
+    for (const phone of list) {
+      const parsed = parsePhone(phone);
+      if (!parsed.valid) throw groupError(`numéro invalide: ${phone} (${parsed.message})`);
+    }
+    return [...new Set(list.map(normalizeToJid))];
+  }
+
+  /**
+   * Groupes de la session
+   * @param {string} [session]
+   * @returns {Promise<Array<{ id, name, participantsCount, isReadOnly, unreadCount }>>}
+   */
+  async function list(session) {
+    const chats = await clientOf(session).getChats();
+    return chats.filter((c) => c.isGroup).map(describeGroup).sort((a, b) => String(a.name).localeCompare(String(b.name)));
+  }
+
+  /**
+   * Détail d'un groupe, avec ses participants
+   * @param {string} session
+   * @param {string} id - JID du groupe
+   */
+  async function get(session, id) {
+    const chat = await groupChat(session, id);
+    return {
+      ...describeGroup(chat),
+      description: chat.description || null,
+      participants: (chat.participants || []).map((p) => ({
+        jid: p.id._serialized,
+        phone: p.id.user,
+        isAdmin: !!p.isAdmin,
+        isSuperAdmin: !!p.isSuperAdmin,
+      })),
+    };
+  }
+
+  /**
+   * Crée un groupe avec une liste de numéros
+   * @param {string} session
+   * @param {Object} data
+   * @param {string} data.name
+   * @param {string[]} data.phones
+   * @returns {Promise<{ id, name, participants: Object }>} participants: résultat WhatsApp par JID
+   */
+  async function create(session, { name, phones }) {
+    const title = String(name || '').trim();
+    if (!title) throw groupError('name requis');
+    const jids = participantJids(phones);
+    const result = await clientOf(session).createGroup(title, jids);
+    if (!result || typeof result === 'string') throw groupError(result || 'createGroup failed', 'wa_group_failed');
+    logger.log(`[wa-groups] Groupe "${title}" créé (${jids.length} participant(s))`);
+    return { id: result.gid._serialized, name: result.title || title, participants: result.participants || {} };
+  }
+
+  /**
+   * Ajoute des participants
+   * @param {string} session
+   * @param {string} id - JID du groupe
+   * @param {string[]} phones
+   * @returns {Promise<Object>} Résultat WhatsApp par JID ({ code, message, isInviteV4Sent })
+   */
+  async function addParticipants(session, id, phones) {
+    const chat = await groupChat(session, id);
+    const result = await chat.addParticipants(participantJids(phones));
+    if (typeof result === 'string') throw groupError(result, 'wa_group_failed');
+    return result;
+  }
+
+  /**
+   * Retire des participants
+   * @param {string} session
+   * @param {string} id - JID du groupe
+   * @param {string[]} phones
+   */
+  async function removeParticipants(session, id, phones) {
+    const chat = await groupChat(session, id);
+    return chat.removeParticipants(participantJids(phones));
+  }
+
+  /**
+   * Vérifie qu'un groupe existe et renvoie { jid, name } (avant un envoi)
+   * @param {string} session
+   * @param {string} id
+   */
+  async function resolve(session, id) {
+    const chat = await groupChat(session, id);
+    return { jid: chat.id._serialized, name: chat.name };
+  }
+
+  /**
+   * Met en file un message pour un groupe. Si la session est prête, le groupe
+   * est vérifié d'abord ; sinon le message attend la session comme les autres.
+   * @param {string} session
+   * @param {string} id - JID du groupe
+   * @param {Object} data
+   * @param {string} [data.text] - Texte (déjà rendu pour un template)
+   * @param {Array} [data.files] - Fichiers uploadés [{ kind: 'image'|'document', path, mimetype, originalname }]
+   * @param {boolean} [data.urgent] - Envoyer même hors de la plage d'envoi
+   * @param {Object} [data.meta] - Contexte ajouté aux logs (endpoint, templateKey...)
+   * @returns {Promise<Object>} Le job de la file
+   */
+  async function send(session, id, { text, files = [], urgent = false, meta = {} }) {
+    const name = session || sessions.defaultName;
+    if (!sessions.has(name)) throw groupError('session_not_found', 'session_not_found');
+    const group = sessions.isReady(name) ? await resolve(name, id) : { jid: toGroupJid(id), name: null };
+    if (!group.jid) throw groupError(`id de groupe invalide: ${id}`);
+    if (!text && !files.length) throw groupError('text, templateKey ou fichier requis');
+
+    const dir = path.join(ATTACHMENTS_DIR, crypto.randomUUID());
+    const attachments = storeUploads(dir, files);
+    const parts = [...(text ? [{ type: 'text', body: text }] : []), ...mediaParts(attachments)];
+    try {
+      return sendQueue.enqueue({
+        phone: group.jid,
+        jid: group.jid,
+        parts,
+        session: name,
+        urgent,
+        meta: {
+          source: 'wa_group',
+          ...meta,
+          groupJid: group.jid,
+          groupName: group.name || undefined,
+          hasImage: files.some((f) => f.kind === 'image'),
+          hasDocument: files.some((f) => f.kind === 'document'),
+        },
+      });
+    } catch (e) {
+      if (attachments.length) removeUploads(dir, logger);
+      throw e;
+    }
+  }
+
+  return { list, get, create, addParticipants, removeParticipants, resolve, send };
+}
+
+module.exports = { createWaGroupManager, toGroupJid, isGroupJid };
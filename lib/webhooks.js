@@ -0,0 +1,392 @@
+'use strict';
+
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./jsonStore');
+const { openDocumentTable, STATE_DB_FILE } = require('./stateStore');
+
+const WEBHOOKS_FILE = path.join(DATA_DIR, 'webhooks.json');
+const MAX_ATTEMPTS = process.env.WEBHOOK_MAX_ATTEMPTS ? Number(process.env.WEBHOOK_MAX_ATTEMPTS) : 6;
+const RETRY_BASE_MS = process.env.WEBHOOK_RETRY_BASE_MS ? Number(process.env.WEBHOOK_RETRY_BASE_MS) : 10000;
+const RETRY_MAX_MS = process.env.WEBHOOK_RETRY_MAX_MS ? Number(process.env.WEBHOOK_RETRY_MAX_MS) : 60 * 60 * 1000;
+const TIMEOUT_MS = process.env.WEBHOOK_TIMEOUT_MS ? Number(process.env.WEBHOOK_TIMEOUT_MS) : 10000;
+const KEEP_DELIVERIES = process.env.WEBHOOK_KEEP_DELIVERIES ? Number(process.env.WEBHOOK_KEEP_DELIVERIES) : 2000;
+const POLL_MS = 1000;
+// Purge des livraisons terminées au-delà de KEEP_DELIVERIES toutes les PRUNE_EVERY fins de livraison
+const PRUNE_EVERY = 100;
+
+const WEBHOOK_EVENTS = [
+  'qr',
+  'ready',
+  'authenticated',
+  'disconnected',
+  'auth_failure',
+  'message.sent',
+  'message.failed',
+  'message.skipped',
+  'message.ack',
+  'message.inbound',
+];
+const FINAL_STATUSES = ['delivered', 'failed'];
+
+function webhookError(message) {
+  const err = new Error(message);
+  err.code = 'webhook_invalid';
+  return err;
+}
+
+function backoffDelay(attempts) {
+  const delay = RETRY_BASE_MS * Math.pow(2, Math.max(0, attempts - 1));
+  return Math.min(delay, RETRY_MAX_MS);
+}
+
+/**
+ * Signature HMAC-SHA256 d'une livraison, calculée sur "<timestamp>.<body>"
+ * (à refaire côté récepteur avec le secret de l'abonnement)
+ * @param {string} secret
+ * @param {string} timestamp - En-tête X-Webhook-Timestamp
+ * @param {string} body - Corps JSON brut
+ * @returns {string} "sha256=<hex>"
+ */
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function validateEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) throw webhookError('events requis (liste, ou ["*"])');
+  for (const e of events) {
+    if (e !== '*' && !WEBHOOK_EVENTS.includes(e)) throw webhookError(`événement inconnu: ${e}`);
+  }
+  return [...new Set(events)];
+}
+
+function validateUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url || ''));
+  } catch (_) {
+    throw webhookError('url invalide');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) throw webhookError('url invalide (http ou https)');
+  return parsed.toString();
+}
+
+/**
+ * Webhooks sortants: abonnements (URL, secret, événements) et livraisons
+ * signées, persistées et réessayées avec backoff jusqu'à MAX_ATTEMPTS.
+ * Chaque abonnement a son propre worker: un récepteur lent ou en panne ne
+ * retarde pas les livraisons des autres.
+ *
+ * @param {Object} [params]
+ * @param {string} [params.file] - fichier des abonnements
+ * @param {string} [params.deliveriesFile] - base SQLite des livraisons (défaut: data/state.db)
+ * @param {Object} [params.logger] - logger
+ */
+function createWebhookManager({ file = WEBHOOKS_FILE, deliveriesFile = STATE_DB_FILE, logger = console } = {}) {
+  let subscriptions = readJsonFile(file, []);
+  if (!Array.isArray(subscriptions)) subscriptions = [];
+  const store = openDocumentTable('webhook_deliveries', { file: deliveriesFile });
+  let deliveries = store.load();
+
+  // Une livraison restée "sending" vient d'un arrêt en plein envoi
+  for (const d of deliveries) {
+    if (d.status === 'sending') d.status = 'pending';
+  }
+
+  let timer = null;
+  // Abonnements dont le worker tourne
+  const draining = new Set();
+  let finalsSincePrune = 0;
+
+  function persistSubscriptions() {
+    writeJsonFile(file, subscriptions);
+  }
+
+  // Écrit les seules livraisons qui ont changé
+  function persistDeliveries(...changed) {
+    try {
+      store.putMany(changed);
+    } catch (e) {
+      logger.error('[webhooks] Erreur écriture livraisons:', e.message);
+    }
+  }
+
+  // Ne garde que les KEEP_DELIVERIES dernières livraisons terminées (vérifié par lots)
+  function pruneFinished() {
+    if (++finalsSincePrune < PRUNE_EVERY) return;
+    finalsSincePrune = 0;
+    const finished = deliveries.filter((d) => FINAL_STATUSES.includes(d.status));
+    if (finished.length <= KEEP_DELIVERIES) return;
+    const drop = new Set(finished.slice(0, finished.length - KEEP_DELIVERIES).map((d) => d.id));
+    deliveries = deliveries.filter((d) => !drop.has(d.id));
+    try {
+      store.removeMany([...drop]);
+    } catch (e) {
+      logger.error('[webhooks] Erreur purge livraisons:', e.message);
+    }
+  }
+
+  // Les livraisons d'un abonnement désactivé ne partent plus (sauf un ping explicite)
+  function isDeliverable(sub, d) {
+    return !!sub && (sub.enabled || d.event === 'ping');
+  }
+
+  // Abandonne les livraisons en attente d'un abonnement supprimé ou désactivé
+  function dropPending(subscriptionId, reason) {
+    const sub = find(subscriptionId);
+    const dropped = deliveries.filter(
+      (d) => d.subscriptionId === subscriptionId && d.status === 'pending' && !isDeliverable(sub, d)
+    );
+    const now = new Date().toISOString();
+    for (const d of dropped) Object.assign(d, { status: 'failed', lastError: reason, nextAttemptAt: null, updatedAt: now });
+    if (dropped.length) persistDeliveries(...dropped);
+  }
+
+  // Le secret n'est renvoyé qu'à la création
+  function describe(sub, { withSecret = false } = {}) {
+    const { secret, ...rest } = sub;
+    return withSecret ? { ...rest, secret } : { ...rest, secret: secret ? `${secret.slice(0, 4)}…` : null };
+  }
+
+  function find(id) {
+    return subscriptions.find((s) => s.id === id) || null;
+  }
+
+  function list() {
+    return subscriptions.map((s) => describe(s));
+  }
+
+  function get(id) {
+    const s = find(id);
+    return s ? describe(s) : null;
+  }
+
+  /**
+   * Crée un abonnement
+   * @param {Object} data
+   * @param {string} data.url - URL appelée en POST
+   * @param {string[]} data.events - Événements (WEBHOOK_EVENTS) ou ["*"]
+   * @param {string} [data.secret] - Secret HMAC (généré si absent)
+   * @param {string} [data.description]
+   * @returns {Object} L'abonnement, secret compris
+   */
+  function create({ url, events, secret, description }) {
+    const now = new Date().toISOString();
+    const sub = {
+      id: crypto.randomUUID(),
+      url: validateUrl(url),
+      events: validateEvents(events),
+      secret: secret ? String(secret) : crypto.randomBytes(24).toString('hex'),
+      description: description || null,
+      enabled: true,
+      createdAt: now,
+      updatedAt: now,
+    };
+    subscriptions.push(sub);
+    persistSubscriptions();
+    return describe(sub, { withSecret: true });
+  }
+
+  function update(id, { url, events, secret, description, enabled }) {
+    const sub = find(id);
+    if (!sub) return null;
+    const changes = {};
+    if (url !== undefined) changes.url = validateUrl(url);
+    if (events !== undefined) changes.events = validateEvents(events);
+    if (secret !== undefined) {
+      if (!secret) throw webhookError('secret vide');
+      changes.secret = String(secret);
+    }
+    if (description !== undefined) changes.description = description || null;
+    if (enabled !== undefined) changes.enabled = !!enabled;
+    Object.assign(sub, changes, { updatedAt: new Date().toISOString() });
+    persistSubscriptions();
+    if (!sub.enabled) dropPending(id, 'subscription_disabled');
+    return describe(sub);
+  }
+
+  function remove(id) {
+    const before = subscriptions.length;
+    subscriptions = subscriptions.filter((s) => s.id !== id);
+    if (subscriptions.length === before) return false;
+    persistSubscriptions();
+    // Les livraisons en attente vers cet abonnement n'ont plus de destinataire
+    // (une livraison en cours d'envoi est terminée par deliver)
+    dropPending(id, 'subscription_deleted');
+    return true;
+  }
+
+  function enqueueDelivery(sub, event, data) {
+    const now = new Date().toISOString();
+    const delivery = {
+      id: crypto.randomUUID(),
+      subscriptionId: sub.id,
+      event,
+      payload: { id: null, event, timestamp: now, data },
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: null,
+      lastError: null,
+      responseStatus: null,
+      createdAt: now,
+      updatedAt: now,
+      deliveredAt: null,
+    };
+    delivery.payload.id = delivery.id;
+    deliveries.push(delivery);
+    return delivery;
+  }
+
+  /**
+   * Publie un événement vers les abonnements concernés
+   * @param {string} event - Un des WEBHOOK_EVENTS
+   * @param {Object} data - Données de l'événement
+   * @returns {number} Nombre de livraisons créées
+   */
+  function dispatch(event, data = {}) {
+    const targets = subscriptions.filter((s) => s.enabled && (s.events.includes('*') || s.events.includes(event)));
+    if (!targets.length) return 0;
+    persistDeliveries(...targets.map((sub) => enqueueDelivery(sub, event, data)));
+    kick();
+    return targets.length;
+  }
+
+  /**
+   * Envoie un événement "ping" à un abonnement (même s'il est désactivé)
+   * @returns {Object|null} La livraison créée
+   */
+  function test(id) {
+    const sub = find(id);
+    if (!sub) return null;
+    const delivery = enqueueDelivery(sub, 'ping', { message: 'test', subscriptionId: id });
+    persistDeliveries(delivery);
+    kick();
+    return delivery;
+  }
+
+  function listDeliveries({ subscriptionId, status, event, limit = 100 } = {}) {
+    let out = deliveries;
+    if (subscriptionId) out = out.filter((d) => d.subscriptionId === subscriptionId);
+    if (status) out = out.filter((d) => d.status === status);
+    if (event) out = out.filter((d) => d.event === event);
+    return out.slice(-limit).reverse();
+  }
+
+  /**
+   * Relance une livraison échouée (nouvelle série de tentatives)
+   * @returns {{ ok: boolean, error?: string, delivery?: Object }}
+   */
+  function redeliver(deliveryId) {
+    const d = deliveries.find((x) => x.id === deliveryId);
+    if (!d) return { ok: false, error: 'delivery_not_found' };
+    const sub = find(d.subscriptionId);
+    if (!sub) return { ok: false, error: 'subscription_not_found' };
+    if (!isDeliverable(sub, d)) return { ok: false, error: 'subscription_disabled' };
+    if (d.status !== 'failed') return { ok: false, error: `delivery_${d.status}` };
+    Object.assign(d, { status: 'pending', attempts: 0, nextAttemptAt: null, updatedAt: new Date().toISOString() });
+    persistDeliveries(d);
+    kick();
+    return { ok: true, delivery: d };
+  }
+
+  async function deliver(d) {
+    const sub = find(d.subscriptionId);
+    if (!isDeliverable(sub, d)) {
+      const lastError = sub ? 'subscription_disabled' : 'subscription_deleted';
+      Object.assign(d, { status: 'failed', lastError, nextAttemptAt: null, updatedAt: new Date().toISOString() });
+      persistDeliveries(d);
+      pruneFinished();
+      return;
+    }
+
+    Object.assign(d, { status: 'sending', attempts: d.attempts + 1, updatedAt: new Date().toISOString() });
+    const body = JSON.stringify(d.payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+
+    let error = null;
+    try {
+      const resp = await fetch(sub.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'whtsp-service-webhooks',
+          'X-Webhook-Id': d.id,
+          'X-Webhook-Event': d.event,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': signPayload(sub.secret, timestamp, body),
+        },
+        body,
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      });
+      d.responseStatus = resp.status;
+      if (!resp.ok) error = `http_${resp.status}`;
+    } catch (e) {
+      d.responseStatus = null;
+      error = e?.name === 'TimeoutError' ? 'timeout' : (e?.cause?.code || e?.message || 'unknown');
+    }
+
+    const now = new Date().toISOString();
+    if (!error) {
+      Object.assign(d, { status: 'delivered', lastError: null, nextAttemptAt: null, deliveredAt: now, updatedAt: now });
+    } else if (d.attempts >= MAX_ATTEMPTS) {
+      logger.warn(`[webhooks] delivery ${d.id} (${d.event} → ${sub.url}) failed after ${d.attempts} attempt(s): ${error}`);
+      Object.assign(d, { status: 'failed', lastError: error, nextAttemptAt: null, updatedAt: now });
+    } else {
+      const nextAttemptAt = new Date(Date.now() + backoffDelay(d.attempts)).toISOString();
+      Object.assign(d, { status: 'pending', lastError: error, nextAttemptAt, updatedAt: now });
+    }
+    persistDeliveries(d);
+    if (FINAL_STATUSES.includes(d.status)) pruneFinished();
+  }
+
+  function isDue(d, now = Date.now()) {
+    return d.status === 'pending' && (!d.nextAttemptAt || Date.parse(d.nextAttemptAt) <= now);
+  }
+
+  function nextDue(subscriptionId) {
+    const now = Date.now();
+    return deliveries.find((d) => d.subscriptionId === subscriptionId && isDue(d, now)) || null;
+  }
+
+  // Worker d'un abonnement: ses livraisons partent une par une, dans l'ordre
+  async function drainSubscription(subscriptionId) {
+    draining.add(subscriptionId);
+    try {
+      let d;
+      while ((d = nextDue(subscriptionId))) {
+        await deliver(d);
+      }
+    } catch (e) {
+      logger.error('[webhooks] Erreur worker:', e);
+    } finally {
+      draining.delete(subscriptionId);
+    }
+  }
+
+  function drain() {
+    const now = Date.now();
+    const due = new Set(deliveries.filter((d) => isDue(d, now)).map((d) => d.subscriptionId));
+    for (const subscriptionId of due) {
+      if (!draining.has(subscriptionId)) drainSubscription(subscriptionId);
+    }
+  }
+
+  function kick() {
+    setImmediate(drain);
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(drain, POLL_MS);
+    kick();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { list, get, create, update, remove, dispatch, test, listDeliveries, redeliver, start, stop };
+}
+
+module.exports = { createWebhookManager, signPayload, WEBHOOK_EVENTS, WEBHOOKS_FILE };
@@ -2,6 +2,19 @@
 
 const { DateTime } = require('luxon');
 const { logReminder } = require('../lib/logger');
+const { renderTemplateByKey } = require('../lib/templates');
+
+// Templates locaux optionnels remplaçant les textes par défaut (voir /api/templates)
+const REMINDER_TEMPLATE_KEY = process.env.REMINDER_TEMPLATE_KEY || 'task_reminder';
+const REMINDER_DIGEST_TEMPLATE_KEY = process.env.REMINDER_DIGEST_TEMPLATE_KEY || 'task_reminder_digest';
+
+// Taille max d'un message de synthèse avant découpage (limite WhatsApp ~65k, lisibilité bien avant)
+const REMINDER_DIGEST_MAX_CHARS = process.env.REMINDER_DIGEST_MAX_CHARS ? Number(process.env.REMINDER_DIGEST_MAX_CHARS) : 3000;
+
+// Table MySQL des rappels envoyés (task_id, remind_date): créée au besoin
+const REMINDER_SENT_TABLE = (process.env.REMINDER_SENT_TABLE || 'whatsapp_task_reminders').replace(/[^A-Za-z0-9_]/g, '');
+const sentTableReady = new WeakSet();
+const QUEUE_FINAL_STATUSES = ['sent', 'failed', 'cancelled', 'skipped'];
 
 function getTodayDateString(tz) {
   return DateTime.now().setZone(tz).toISODate(); // YYYY-MM-DD
@@ -11,7 +24,32 @@ function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
+/**
+ * Variables d'une tâche exposées aux templates de rappel
+ */
+function reminderVars(row) {
+  return {
+    id: row.id,
+    label: row.description || row.title || `Tâche #${row.id}`,
+    description: row.description || null,
+    project: row.project_title || row.projectTitle || null,
+    list: row.list_title || row.listTitle || null,
+    status: row.status || null,
+    type: row.type || null,
+    pourcentage: row.pourcentage ?? 0,
+    start: row.effective_start || row.start_date || null,
+    end: row.effective_end || row.end_date || null,
+    prenom: row.prenom || null,
+    name: row.name || null,
+    assignee: [row.prenom, row.name].filter(Boolean).join(' ').trim() || null,
+    tel: row.tel || null,
+  };
+}
+
 function makeReminderText(row) {
+  const custom = renderTemplateByKey(REMINDER_TEMPLATE_KEY, reminderVars(row));
+  if (custom) return custom.text;
+
   const assignee = [row.prenom, row.name].filter(Boolean).join(' ').trim() || '—';
 
   const start = row.effective_start || row.start_date || '—';
@@ -38,6 +76,87 @@ function makeReminderText(row) {
   ].join('\n');
 }
 
+function makeDigestTaskBlock(row, index) {
+  const label = row.description || row.title || `Tâche #${row.id}`;
+  const project = row.project_title || row.projectTitle || '—';
+  const end = row.effective_end || row.end_date || '—';
+  const pct = row.pourcentage ?? 0;
+  const status = row.status || '—';
+
+  return [
+    `${index}. 📝 ${label}`,
+    `   📁 Projet: ${project}`,
+    `   ⏳ Échéance: ${end} · 📊 ${pct}% · 🏷️ ${status}`,
+  ].join('\n');
+}
+
+/**
+ * Message de synthèse: toutes les tâches d'un employé dans un seul message,
+ * découpé en plusieurs parties seulement au-delà de REMINDER_DIGEST_MAX_CHARS
+ * @param {Array} rows - Tâches d'un même employé
+ * @returns {string[]} Parties du message
+ */
+function makeDigestTexts(rows, maxChars = REMINDER_DIGEST_MAX_CHARS) {
+  const first = rows[0] || {};
+  const assignee = [first.prenom, first.name].filter(Boolean).join(' ').trim();
+  const blocks = rows.map((row, i) => makeDigestTaskBlock(row, i + 1));
+
+  // Regrouper les blocs en parties (place réservée pour l'en-tête ajouté ensuite)
+  const budget = maxChars - 150;
+  const chunks = [];
+  let current = [];
+  let length = 0;
+  blocks.forEach((block, index) => {
+    if (current.length && length + block.length + 2 > budget) {
+      chunks.push(current);
+      current = [];
+      length = 0;
+    }
+    current.push(index);
+    length += block.length + 2;
+  });
+  if (current.length) chunks.push(current);
+
+  return chunks.map((chunk, i) => {
+    // Template personnalisé: le découpage reste celui calculé sur le texte par défaut
+    const custom = renderTemplateByKey(REMINDER_DIGEST_TEMPLATE_KEY, {
+      ...reminderVars(first),
+      count: rows.length,
+      part: i + 1,
+      parts: chunks.length,
+      tasks: chunk.map((index) => reminderVars(rows[index])),
+    });
+    if (custom) return custom.text;
+
+    const part = chunks.length > 1 ? ` (${i + 1}/${chunks.length})` : '';
+    const header = [
+      `⏰ Rappel de tâches — ${rows.length} tâche${rows.length > 1 ? 's' : ''} en cours${part}`,
+      assignee ? `👤 ${assignee}` : null,
+    ].filter(Boolean).join('\n');
+    return `${header}\n\n${chunk.map((index) => blocks[index]).join('\n\n')}`;
+  });
+}
+
+/**
+ * Regroupe les tâches à envoyer en messages:
+ * - mode 'task': un message par tâche
+ * - mode 'digest': un message (éventuellement découpé) par employé (tel)
+ * @returns {Array<{ tel: string, rows: Array, texts: string[] }>}
+ */
+function buildReminderMessages(rows, mode) {
+  if (mode !== 'digest') {
+    return rows.map((row) => ({ tel: row.tel, rows: [row], texts: [makeReminderText(row)] }));
+  }
+
+  const byTel = new Map();
+  for (const row of rows) {
+    const key = String(row.tel || '').replace(/\D+/g, '');
+    if (!byTel.has(key)) byTel.set(key, []);
+    byTel.get(key).push(row);
+  }
+  return [...byTel.values()].map((group) => ({ tel: group[0].tel, rows: group, texts: makeDigestTexts(group) }));
+}
+
 async function fetchTasksToRemindFromApi({ apiBase, apiKey, today, tz, onlyEnvoyerAuto }) {
   const base = (apiBase || '').replace(/\/$/, '');
   if (!base) throw new Error('REMINDER_API_BASE not configured');
@@ -62,7 +181,57 @@ async function fetchTasksToRemindFromApi({ apiBase, apiKey, today, tz, onlyEnvoy
   return Array.isArray(data?.items) ? data.items : [];
 }
 
+/**
+ * Enregistre auprès de sirh-back les rappels envoyés (source api)
+ * POST {apiBase}/reminders/daily-tasks/sent { date, tz, items: [{ taskId, messageId, sentAt, schedule }] }
+ */
+async function recordRemindersSentViaApi({ apiBase, apiKey, date, tz, items }) {
+  const base = (apiBase || '').replace(/\/$/, '');
+  if (!base) throw new Error('REMINDER_API_BASE not configured');
+
+  const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json' };
+  if (apiKey) headers['X-Api-Key'] = apiKey;
+
+  const resp = await fetch(`${base}/reminders/daily-tasks/sent`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ date, tz, items }),
+  });
+  if (!resp.ok) {
+    const t = await resp.text();
+    throw new Error(`Reminders API record failed ${resp.status} ${t}`);
+  }
+}
+
+async function ensureSentTable(pool) {
+  if (sentTableReady.has(pool)) return;
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS \`${REMINDER_SENT_TABLE}\` (
+      task_id BIGINT UNSIGNED NOT NULL,
+      remind_date DATE NOT NULL,
+      message_id VARCHAR(191) NULL,
+      schedule VARCHAR(64) NULL,
+      sent_at DATETIME NOT NULL,
+      PRIMARY KEY (task_id, remind_date)
+    )
+  `);
+  sentTableReady.add(pool);
+}
+
+/**
+ * Enregistre en base un rappel envoyé (source db). INSERT IGNORE: idempotent.
+ */
+async function recordReminderSentInDb(pool, { taskId, date, messageId, schedule }) {
+  await ensureSentTable(pool);
+  await pool.query(
+    `INSERT IGNORE INTO \`${REMINDER_SENT_TABLE}\` (task_id, remind_date, message_id, schedule, sent_at) VALUES (?, ?, ?, ?, UTC_TIMESTAMP())`,
+    [taskId, date, messageId || null, schedule || null]
+  );
+}
+
 async function fetchTasksToRemind(pool, today, { onlyEnvoyerAuto }) {
+  await ensureSentTable(pool);
+
   // In this codebase, envoyer_auto is used as "already sent" for auto reminders.
   // When filtering is enabled, keep tasks that are NOT marked as sent.
   const whereAuto = onlyEnvoyerAuto ? 'AND (t.envoyer_auto IS NULL OR t.envoyer_auto = 0)' : '';
@@ -97,22 +266,148 @@ async function fetchTasksToRemind(pool, today, { onlyEnvoyerAuto }) {
       AND COALESCE(t.end_date, t.date_fin_prevu) >= ?
       AND t.status <> 'Terminée'
       AND (t.pourcentage IS NULL OR t.pourcentage < 100)
+      AND NOT EXISTS (
+        SELECT 1 FROM \`${REMINDER_SENT_TABLE}\` r WHERE r.task_id = t.id AND r.remind_date = ?
+      )
       ${whereAuto}
     ORDER BY u.id, t.id
   `;
 
-  const [rows] = await pool.query(sql, [today, today]);
+  const [rows] = await pool.query(sql, [today, today, today]);
   return rows;
 }
 
+async function recordDelivery({ ledger, recordSent, today, taskId, messageId, schedule, logger }) {
+  ledger.markSent(today, taskId, { messageId });
+  try {
+    await recordSent({ taskId, date: today, messageId, schedule });
+    ledger.markRecorded(today, taskId);
+  } catch (e) {
+    // Le registre local suffit à éviter un renvoi; l'enregistrement sera retenté au prochain run
+    logger.warn(`[reminders] record sent failed taskId=${taskId} err=${e?.message || e}`);
+  }
+}
+
+/**
+ * Reporte le statut final d'un job de la file sur les tâches qu'il rappelle
+ * @returns {Promise<boolean>} false si le job n'est pas encore final
+ */
+async function settleJob({ job, taskIds, ledger, recordSent, today, schedule, logger }) {
+  if (job.status === 'sent') {
+    for (const taskId of taskIds) {
+      await recordDelivery({ ledger, recordSent, today, taskId, messageId: job.result?.messageId, schedule, logger });
+    }
+  } else if (job.status === 'skipped') {
+    for (const taskId of taskIds) ledger.markSkipped(today, taskId, { reason: job.lastError });
+  } else if (job.status === 'failed' || job.status === 'cancelled') {
+    for (const taskId of taskIds) ledger.markFailed(today, taskId, { error: job.lastError || job.status });
+  } else {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Finalise les rappels du jour laissés en suspens par un run interrompu
+ * (job encore en file au redémarrage, ou enregistrement SIRH en échec)
+ */
+async function settlePendingDeliveries({ ledger, sendQueue, recordSent, today, logger }) {
+  for (const entry of ledger.pending(today)) {
+    if (entry.status === 'sent') {
+      await recordDelivery({ ledger, recordSent, today, taskId: entry.taskId, messageId: entry.messageId, schedule: entry.schedule, logger });
+      continue;
+    }
+    const job = entry.jobId ? sendQueue.get(entry.jobId) : null;
+    if (!job) continue; // job introuvable: on reste sur "réservé" (au plus un envoi)
+    await settleJob({ job, taskIds: [entry.taskId], ledger, recordSent, today, schedule: entry.schedule, logger });
+  }
+}
+
+/**
+ * Envoie les rappels via la file d'envoi et attend le résultat de chaque message
+ * (au plus `waitMs`). Un message retenu hors plage d'envoi ou encore en file
+ * après ce délai est compté dans `queued`: sa réservation est finalisée à son
+ * statut final, sans bloquer les rappels suivants.
+ * Les tâches déjà rappelées aujourd'hui (registre local) sont sautées; chaque
+ * envoi réussi est enregistré via `recordSent` (MySQL ou API sirh-back).
+ * En mode 'digest', les parties d'un même employé forment un seul job de la file.
+ * Les succès/échecs sont loggés par la file (avec taskId(s) et source).
+ * Un employé désinscrit (opt-out) n'est pas relancé dans la journée.
+ * @returns {Promise<{ sent: number, failed: number, skipped: number, optedOut: number, queued: number, messages: number, errors: Array }>}
+ */
+async function sendReminders({ tasks, mode = 'task', sendQueue, normalizeToJid, sendDelayMs, waitMs, meta, session = null, ledger, recordSent, today, logger }) {
+  let sent = 0;
+  let failed = 0;
+  let optedOut = 0;
+  let queued = 0;
+  let messages = 0;
+  const errors = [];
+
+  const toSend = tasks.filter((row) => !ledger.isReminded(today, row.id));
+  const skipped = tasks.length - toSend.length;
+
+  for (const { tel, rows, texts } of buildReminderMessages(toSend, mode)) {
+    const taskIds = rows.map((row) => row.id);
+    try {
+      const job = sendQueue.enqueue({
+        phone: tel,
+        jid: normalizeToJid(tel),
+        parts: texts.map((body) => ({ type: 'text', body })),
+        meta: mode === 'digest' ? { ...meta, digest: true, taskIds } : { ...meta, taskId: taskIds[0] },
+        session,
+      });
+      for (const taskId of taskIds) ledger.reserve(today, taskId, { jobId: job.id, schedule: meta.schedule });
+
+      const done = job.heldUntil ? job : await sendQueue.waitFor(job.id, waitMs);
+      if (!QUEUE_FINAL_STATUSES.includes(done?.status)) {
+        queued += taskIds.length;
+        sendQueue
+          .waitFor(job.id)
+          .then((final) => final && settleJob({ job: final, taskIds, ledger, recordSent, today, schedule: meta.schedule, logger }))
+          .catch((e) => logger.error(`[reminders] settle failed taskId=${taskIds.join(',')} err=${e?.message || e}`));
+        continue;
+      }
+      if (done.status === 'skipped') {
+        for (const taskId of taskIds) ledger.markSkipped(today, taskId, { reason: done.lastError });
+        optedOut += taskIds.length;
+        continue;
+      }
+      if (done.status !== 'sent') {
+        for (const taskId of taskIds) ledger.markFailed(today, taskId, { error: done.lastError || done.status });
+        throw new Error(done.lastError || 'send_failed');
+      }
+      sent += taskIds.length;
+      messages++;
+      for (const taskId of taskIds) {
+        await recordDelivery({ ledger, recordSent, today, taskId, messageId: done.result?.messageId, schedule: meta.schedule, logger });
+      }
+
+      if (sendDelayMs) await sleep(sendDelayMs);
+    } catch (e) {
+      failed += taskIds.length;
+      const errorMsg = e?.message || e;
+      for (const taskId of taskIds) errors.push({ taskId, tel, error: errorMsg });
+      logger.error(`[reminders] send failed taskId=${taskIds.join(',')} userTel=${tel} err=${errorMsg}`);
+    }
+  }
+
+  return { sent, failed, skipped, optedOut, queued, messages, errors };
+}
+
 async function runDailyTaskReminders({
-  client,
+  sendQueue,
   pool,
   normalizeToJid,
   isWaConnected,
   tz,
   onlyEnvoyerAuto,
   sendDelayMs,
+  waitMs,
+  ledger,
+  mode = 'task',
+  schedule = null,
+  optOutExempt = false,
+  session = null,
   logger = console,
 }) {
   const today = getTodayDateString(tz);
@@ -121,7 +416,7 @@ async function runDailyTaskReminders({
   logReminder({
     type: 'reminder_start',
     date: today,
-    request: { source: 'db', tz, onlyEnvoyerAuto }
+    request: { source: 'db', tz, onlyEnvoyerAuto, schedule, mode }
   });
 
   if (!isWaConnected()) {
@@ -137,6 +432,9 @@ async function runDailyTaskReminders({
     return errorResult;
   }
 
+  const recordSent = (item) => recordReminderSentInDb(pool, item);
+  await settlePendingDeliveries({ ledger, sendQueue, recordSent, today, logger });
+
   const tasks = await fetchTasksToRemind(pool, today, { onlyEnvoyerAuto });
   logger.log(`[reminders] tasks to remind=${tasks.length} (today=${today})`);
 
@@ -148,44 +446,22 @@ async function runDailyTaskReminders({
     response: { tasks: tasks.map(t => ({ id: t.id, tel: t.tel, description: t.description })) }
   });
 
-  let sent = 0;
-  let failed = 0;
-  const errors = [];
-
-  for (const row of tasks) {
-    try {
-      const jid = normalizeToJid(row.tel);
-      const text = makeReminderText(row);
-      await client.sendMessage(jid, text);
-      sent++;
-      
-      // Log succès d'envoi
-      logReminder({
-        type: 'reminder_success',
-        date: today,
-        request: { taskId: row.id, tel: row.tel, message: text },
-        response: { success: true, jid }
-      });
-      
-      if (sendDelayMs) await sleep(sendDelayMs);
-    } catch (e) {
-      failed++;
-      const errorMsg = e?.message || e;
-      errors.push({ taskId: row.id, tel: row.tel, error: errorMsg });
-      logger.error(`[reminders] send failed taskId=${row.id} userTel=${row.tel} err=${errorMsg}`);
-      
-      // Log erreur d'envoi
-      logReminder({
-        type: 'reminder_error',
-        date: today,
-        request: { taskId: row.id, tel: row.tel },
-        response: { success: false },
-        error: errorMsg
-      });
-    }
-  }
+  const { sent, failed, skipped, optedOut, queued, messages, errors } = await sendReminders({
+    tasks,
+    mode,
+    sendQueue,
+    normalizeToJid,
+    sendDelayMs,
+    waitMs,
+    meta: { source: 'reminder_db', schedule, optOutExempt },
+    session,
+    ledger,
+    recordSent,
+    today,
+    logger,
+  });
 
-  const result = { ok: true, today, total: tasks.length, sent, failed, errors };
+  const result = { ok: true, today, mode, total: tasks.length, sent, failed, skipped, optedOut, queued, messages, errors, schedule };
   
   // Log complétion
   logReminder({
@@ -199,7 +475,7 @@ async function runDailyTaskReminders({
 }
 
 async function runDailyTaskRemindersViaApi({
-  client,
+  sendQueue,
   apiBase,
   apiKey,
   normalizeToJid,
@@ -207,6 +483,12 @@ async function runDailyTaskRemindersViaApi({
   tz,
   onlyEnvoyerAuto,
   sendDelayMs,
+  waitMs,
+  ledger,
+  mode = 'task',
+  schedule = null,
+  optOutExempt = false,
+  session = null,
   logger = console,
 }) {
   const today = getTodayDateString(tz);
@@ -215,7 +497,7 @@ async function runDailyTaskRemindersViaApi({
   logReminder({
     type: 'reminder_start',
     date: today,
-    request: { source: 'api', apiBase, tz, onlyEnvoyerAuto }
+    request: { source: 'api', apiBase, tz, onlyEnvoyerAuto, schedule, mode }
   });
 
   if (!isWaConnected()) {
@@ -231,6 +513,16 @@ async function runDailyTaskRemindersViaApi({
     return errorResult;
   }
 
+  const recordSent = ({ taskId, date, messageId, schedule: scheduleName }) =>
+    recordRemindersSentViaApi({
+      apiBase,
+      apiKey,
+      date,
+      tz,
+      items: [{ taskId, messageId: messageId || null, sentAt: new Date().toISOString(), schedule: scheduleName || null }],
+    });
+  await settlePendingDeliveries({ ledger, sendQueue, recordSent, today, logger });
+
   const tasks = await fetchTasksToRemindFromApi({ apiBase, apiKey, today, tz, onlyEnvoyerAuto });
   logger.log(`[reminders] tasks to remind=${tasks.length} (today=${today}) [source=api]`);
 
@@ -242,44 +534,22 @@ async function runDailyTaskRemindersViaApi({
     response: { tasks: tasks.map(t => ({ id: t.id, tel: t.tel, description: t.description })) }
   });
 
-  let sent = 0;
-  let failed = 0;
-  const errors = [];
-
-  for (const row of tasks) {
-    try {
-      const jid = normalizeToJid(row.tel);
-      const text = makeReminderText(row);
-      await client.sendMessage(jid, text);
-      sent++;
-      
-      // Log succès d'envoi
-      logReminder({
-        type: 'reminder_success',
-        date: today,
-        request: { taskId: row.id, tel: row.tel, message: text },
-        response: { success: true, jid }
-      });
-      
-      if (sendDelayMs) await sleep(sendDelayMs);
-    } catch (e) {
-      failed++;
-      const errorMsg = e?.message || e;
-      errors.push({ taskId: row.id, tel: row.tel, error: errorMsg });
-      logger.error(`[reminders] send failed taskId=${row.id} userTel=${row.tel} err=${errorMsg}`);
-      
-      // Log erreur d'envoi
-      logReminder({
-        type: 'reminder_error',
-        date: today,
-        request: { taskId: row.id, tel: row.tel },
-        response: { success: false },
-        error: errorMsg
-      });
-    }
-  }
+  const { sent, failed, skipped, optedOut, queued, messages, errors } = await sendReminders({
+    tasks,
+    mode,
+    sendQueue,
+    normalizeToJid,
+    sendDelayMs,
+    waitMs,
+    meta: { source: 'reminder_api', schedule, optOutExempt },
+    session,
+    ledger,
+    recordSent,
+    today,
+    logger,
+  });
 
-  const result = { ok: true, today, total: tasks.length, sent, failed, errors, source: 'api' };
+  const result = { ok: true, today, mode, total: tasks.length, sent, failed, skipped, optedOut, queued, messages, errors, source: 'api', schedule };
   
   // Log complétion
   logReminder({
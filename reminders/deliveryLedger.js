@@ -0,0 +1,91 @@
+'use strict';
+
+const path = require('path');
+const { DateTime } = require('luxon');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('../lib/jsonStore');
+
+const LEDGER_FILE = path.join(DATA_DIR, 'reminder-deliveries.json');
+const KEEP_DAYS = process.env.REMINDER_LEDGER_KEEP_DAYS ? Number(process.env.REMINDER_LEDGER_KEEP_DAYS) : 30;
+
+/**
+ * Registre local des rappels envoyés, par (date, tâche).
+ * Une tâche est réservée AVANT sa mise en file: un second run (ou un run après
+ * redémarrage PM2) la saute, ce qui garantit au plus un rappel par jour.
+ * Seul un échec définitif libère la tâche pour un run suivant.
+ *
+ * Statuts: 'queued' (réservée, en file), 'sent', 'failed', 'skipped' (destinataire désinscrit)
+ *
+ * @param {Object} [params]
+ * @param {string} [params.file] - fichier de persistance
+ */
+function createDeliveryLedger({ file = LEDGER_FILE, logger = console } = {}) {
+  let days = readJsonFile(file, {});
+  if (!days || typeof days !== 'object' || Array.isArray(days)) days = {};
+
+  function persist() {
+    const minDay = DateTime.now().minus({ days: KEEP_DAYS }).toISODate();
+    for (const day of Object.keys(days)) {
+      if (day < minDay) delete days[day];
+    }
+    try {
+      writeJsonFile(file, days);
+    } catch (e) {
+      logger.error('[reminders] Erreur écriture registre envois:', e.message);
+    }
+  }
+
+  function get(date, taskId) {
+    return days[date]?.[String(taskId)] || null;
+  }
+
+  function set(date, taskId, changes) {
+    if (!days[date]) days[date] = {};
+    const key = String(taskId);
+    days[date][key] = { ...(days[date][key] || {}), ...changes, updatedAt: new Date().toISOString() };
+    persist();
+    return days[date][key];
+  }
+
+  /**
+   * La tâche a-t-elle déjà un rappel (envoyé ou en cours) pour cette date ?
+   */
+  function isReminded(date, taskId) {
+    const entry = get(date, taskId);
+    return !!entry && entry.status !== 'failed';
+  }
+
+  function reserve(date, taskId, { jobId, schedule }) {
+    return set(date, taskId, { status: 'queued', jobId, schedule: schedule || null });
+  }
+
+  function markSent(date, taskId, { messageId, recorded = false }) {
+    return set(date, taskId, { status: 'sent', messageId: messageId || null, sentAt: new Date().toISOString(), recorded });
+  }
+
+  function markRecorded(date, taskId) {
+    return set(date, taskId, { recorded: true });
+  }
+
+  function markFailed(date, taskId, { error }) {
+    return set(date, taskId, { status: 'failed', error: error || null });
+  }
+
+  function markSkipped(date, taskId, { reason }) {
+    return set(date, taskId, { status: 'skipped', reason: reason || null });
+  }
+
+  /**
+   * Entrées d'une date à finaliser: en file (job à vérifier) ou envoyées mais
+   * pas encore enregistrées côté SIRH
+   * @returns {Array<{ taskId: string, status: string, jobId: string, messageId: string }>}
+   */
+  function pending(date) {
+    return Object.entries(days[date] || {})
+      .filter(([, e]) => e.status === 'queued' || (e.status === 'sent' && !e.recorded))
+      .map(([taskId, e]) => ({ taskId: /^\d+$/.test(taskId) ? Number(taskId) : taskId, ...e }));
+  }
+
+  return { get, isReminded, reserve, markSent, markRecorded, markFailed, markSkipped, pending };
+}
+
+module.exports = { createDeliveryLedger, LEDGER_FILE };
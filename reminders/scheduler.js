@@ -0,0 +1,192 @@
+'use strict';
+
+const path = require('path');
+const cron = require('node-cron');
+const { cronFromTime, nextCronRun } = require('../lib/cron');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('../lib/jsonStore');
+
+const SCHEDULES_STATE_FILE = path.join(DATA_DIR, 'reminder-schedules.json');
+const MODES = ['task', 'digest'];
+
+/**
+ * Lit les plannings de rappels depuis l'environnement.
+ *
+ * REMINDER_SCHEDULES="matin=08:00|digest;soir=16:00;hebdo=0 9 * * 1"
+ * (chaque valeur est une heure HH:mm ou une expression cron, suivie
+ * optionnellement de "|task" ou "|digest"; défaut: REMINDER_MODE).
+ * Sans REMINDER_SCHEDULES: un planning "default" depuis REMINDER_CRON ou REMINDER_AT.
+ *
+ * @param {Object} [env]
+ * @returns {Array<{ name: string, cron: string, at: string|null, mode: string }>}
+ */
+function parseReminderSchedules(env = process.env) {
+  const raw = (env.REMINDER_SCHEDULES || '').trim();
+  const entries = raw
+    ? raw.split(';').map((s) => s.trim()).filter(Boolean)
+    : [`default=${env.REMINDER_CRON || env.REMINDER_AT || '08:00'}`];
+
+  const defaultMode = (env.REMINDER_MODE || 'task').toLowerCase();
+  if (!MODES.includes(defaultMode)) throw new Error(`Invalid REMINDER_MODE "${env.REMINDER_MODE}" (task|digest)`);
+
+  const schedules = [];
+  for (const entry of entries) {
+    const eq = entry.indexOf('=');
+    if (eq === -1) throw new Error(`Invalid REMINDER_SCHEDULES entry "${entry}" (expected name=HH:mm)`);
+    const name = entry.slice(0, eq).trim();
+    const [value, modeRaw] = entry.slice(eq + 1).split('|').map((s) => s.trim());
+    const mode = modeRaw ? modeRaw.toLowerCase() : defaultMode;
+    if (!MODES.includes(mode)) throw new Error(`Invalid mode for schedule "${name}": "${modeRaw}" (task|digest)`);
+    const fromTime = cronFromTime(value);
+    const expression = fromTime || value;
+    if (!name) throw new Error(`Invalid REMINDER_SCHEDULES entry "${entry}" (missing name)`);
+    if (!cron.validate(expression)) throw new Error(`Invalid schedule "${name}": "${value}"`);
+    if (schedules.some((s) => s.name === name)) throw new Error(`Duplicate schedule name "${name}"`);
+    schedules.push({ name, cron: expression, at: fromTime ? value : null, mode });
+  }
+  return schedules;
+}
+
+/**
+ * Planificateur des rappels quotidiens.
+ * Chaque planning nommé a sa tâche node-cron ; l'état activé/désactivé et le
+ * dernier résultat sont persistés pour survivre à un redémarrage.
+ * Une seule exécution à la fois (les plannings visent les mêmes tâches).
+ *
+ * @param {Object} params
+ * @param {Array} params.schedules - Résultat de parseReminderSchedules
+ * @param {string} params.tz - Fuseau horaire des plannings
+ * @param {Function} params.run - async (schedule) => résultat d'un run de rappels
+ * @param {Object} [params.logger] - logger
+ */
+function createReminderScheduler({ schedules, tz, run, file = SCHEDULES_STATE_FILE, logger = console }) {
+  const state = readJsonFile(file, {});
+  const tasks = new Map();
+  let current = null;
+
+  const items = schedules.map((s) => ({
+    ...s,
+    enabled: state[s.name]?.enabled !== false,
+    lastRunAt: state[s.name]?.lastRunAt || null,
+    lastTrigger: state[s.name]?.lastTrigger || null,
+    lastResult: state[s.name]?.lastResult || null,
+  }));
+
+  function persist() {
+    const out = {};
+    for (const s of items) {
+      out[s.name] = { enabled: s.enabled, lastRunAt: s.lastRunAt, lastTrigger: s.lastTrigger, lastResult: s.lastResult };
+    }
+    try {
+      writeJsonFile(file, out);
+    } catch (e) {
+      logger.error('[reminders] Erreur écriture état plannings:', e.message);
+    }
+  }
+
+  function find(name) {
+    return items.find((s) => s.name === name) || null;
+  }
+
+  function describe(s) {
+    let nextRunAt = null;
+    if (s.enabled) {
+      try {
+        nextRunAt = nextCronRun(s.cron, tz)?.toISO() || null;
+      } catch (_) {
+        // expression acceptée par node-cron mais pas par notre parseur: pas de date
+      }
+    }
+    return {
+      name: s.name,
+      cron: s.cron,
+      at: s.at,
+      mode: s.mode,
+      tz,
+      enabled: s.enabled,
+      running: current === s.name,
+      nextRunAt,
+      lastRunAt: s.lastRunAt,
+      lastTrigger: s.lastTrigger,
+      lastResult: s.lastResult,
+    };
+  }
+
+  async function execute(s, trigger) {
+    if (current) {
+      logger.warn(`[reminders] schedule "${s.name}" skipped: "${current}" is still running`);
+      return { ok: false, skipped: true, reason: 'already_running', running: current };
+    }
+    current = s.name;
+    logger.log(`[reminders] schedule "${s.name}" started (${trigger})`);
+    let result;
+    try {
+      result = await run(s);
+    } catch (e) {
+      logger.error(`[reminders] schedule "${s.name}" failed:`, e?.message || e);
+      result = { ok: false, error: e?.message || 'unknown' };
+    } finally {
+      current = null;
+    }
+
+    // On garde un résumé (sans la liste d'erreurs complète)
+    const { errors, ...summary } = result || {};
+    Object.assign(s, {
+      lastRunAt: new Date().toISOString(),
+      lastTrigger: trigger,
+      lastResult: { ...summary, errorsCount: Array.isArray(errors) ? errors.length : 0 },
+    });
+    persist();
+    return result;
+  }
+
+  function start() {
+    for (const s of items) {
+      const task = cron.schedule(s.cron, () => execute(s, 'cron'), { timezone: tz, scheduled: s.enabled });
+      tasks.set(s.name, task);
+      logger.log(`[reminders] schedule "${s.name}" cron="${s.cron}" tz=${tz} ${s.enabled ? 'enabled' : 'disabled'}`);
+    }
+  }
+
+  function stop() {
+    for (const task of tasks.values()) task.stop();
+    tasks.clear();
+  }
+
+  function list() {
+    return items.map(describe);
+  }
+
+  function get(name) {
+    const s = find(name);
+    return s ? describe(s) : null;
+  }
+
+  /**
+   * Déclenche un planning manuellement (même s'il est désactivé)
+   * @returns {{ ok: boolean, error?: string, promise?: Promise }}
+   */
+  function trigger(name) {
+    const s = find(name);
+    if (!s) return { ok: false, error: 'schedule_not_found' };
+    if (current) return { ok: false, error: 'already_running', running: current };
+    return { ok: true, promise: execute(s, 'manual') };
+  }
+
+  function setEnabled(name, enabled) {
+    const s = find(name);
+    if (!s) return { ok: false, error: 'schedule_not_found' };
+    s.enabled = !!enabled;
+    const task = tasks.get(name);
+    if (task) {
+      if (s.enabled) task.start();
+      else task.stop();
+    }
+    persist();
+    logger.log(`[reminders] schedule "${name}" ${s.enabled ? 'enabled' : 'disabled'}`);
+    return { ok: true, schedule: describe(s) };
+  }
+
+  return { start, stop, list, get, trigger, setEnabled };
+}
+
+module.exports = { parseReminderSchedules, createReminderScheduler };
@@ -0,0 +1,289 @@
+'use strict';
+
+const { DateTime } = require('luxon');
+const { logReminder, getLogs } = require('../lib/logger');
+const { normalizePhone } = require('../lib/phone');
+
+const DONE_STATUS = process.env.TASK_DONE_STATUS || 'Terminée';
+
+const USAGE = [
+  'Commandes disponibles :',
+  '• FAIT 123 → tâche terminée',
+  '• 50% 123 → avancement à 50%',
+  '• REPORT 123 2026-11-02 → nouvelle échéance',
+  'Le numéro de tâche est facultatif si vous répondez directement au rappel.',
+].join('\n');
+
+function commandError(code, taskId = null) {
+  return { error: code, taskId };
+}
+
+function parseTaskId(raw) {
+  if (!raw) return null;
+  const m = /^#?(\d+)$/.exec(raw);
+  return m ? Number(m[1]) : undefined;
+}
+
+function parseDate(raw, tz) {
+  if (!raw) return null;
+  let dt = DateTime.fromISO(raw, { zone: tz });
+  if (!dt.isValid) dt = DateTime.fromFormat(raw, 'dd/MM/yyyy', { zone: tz });
+  if (!dt.isValid) dt = DateTime.fromFormat(raw, 'd/M/yyyy', { zone: tz });
+  return dt.isValid ? dt.toISODate() : null;
+}
+
+/**
+ * Reconnaît une commande dans la réponse d'un employé
+ *   FAIT 123 | DONE 123 | TERMINE 123
+ *   50% 123
+ *   REPORT 123 2026-11-02 (ou 02/11/2026)
+ *   AIDE
+ * Le numéro de tâche peut être omis (il vient alors du rappel cité).
+ *
+ * @param {string} text
+ * @param {string} tz - Fuseau des dates
+ * @returns {Object|null} { action, taskId, pourcentage?, date? }, { error } si la commande est mal formée, null si ce n'est pas une commande
+ */
+function parseTaskCommand(text, tz = 'Africa/Casablanca') {
+  const words = String(text || '')
+    .trim()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/\s+/)
+    .filter(Boolean);
+  if (!words.length || words.length > 4) return null;
+  const keyword = words[0].toUpperCase();
+
+  if (['AIDE', 'HELP', '?'].includes(keyword) && words.length === 1) return { action: 'help' };
+
+  if (['FAIT', 'DONE', 'TERMINE', 'TERMINEE'].includes(keyword)) {
+    if (words.length > 2) return commandError('usage');
+    const taskId = parseTaskId(words[1]);
+    if (taskId === undefined) return commandError('usage');
+    return { action: 'done', taskId };
+  }
+
+  // "50% 123" ou "50 % 123"
+  const pct = /^(\d{1,3})%$/.exec(keyword) || (words[1] === '%' && /^(\d{1,3})$/.exec(keyword));
+  if (pct) {
+    const rest = words[1] === '%' ? words.slice(2) : words.slice(1);
+    const pourcentage = Number(pct[1]);
+    const taskId = parseTaskId(rest[0]);
+    if (rest.length > 1 || taskId === undefined) return commandError('usage');
+    if (pourcentage > 100) return commandError('invalid_percentage', taskId);
+    return { action: 'progress', taskId, pourcentage };
+  }
+
+  if (keyword === 'REPORT' || keyword === 'REPORTER') {
+    // "REPORT 123 2026-11-02" ou, en réponse au rappel, "REPORT 2026-11-02"
+    const args = words.slice(1);
+    const taskId = args.length === 2 ? parseTaskId(args[0]) : null;
+    const rawDate = args.length === 2 ? args[1] : args[0];
+    if (taskId === undefined || !rawDate || args.length > 2) return commandError('usage');
+    const date = parseDate(rawDate, tz);
+    if (!date) return commandError('invalid_date', taskId);
+    return { action: 'postpone', taskId, date };
+  }
+
+  return null;
+}
+
+// "0611..." et "+212 611...": même numéro une fois normalisé en E.164
+function samePhone(a, b) {
+  const na = normalizePhone(a);
+  return !!na && na === normalizePhone(b);
+}
+
+function formatDate(iso) {
+  const dt = DateTime.fromISO(String(iso || ''));
+  return dt.isValid ? dt.toFormat('dd/MM/yyyy') : String(iso || '—');
+}
+
+function replyText(result) {
+  const ref = result.taskId ? `#${result.taskId}` : '';
+  switch (result.error || result.action) {
+    case 'help':
+      return USAGE;
+    case 'done':
+      return result.alreadyDone ? `ℹ️ La tâche ${ref} est déjà terminée.` : `✅ Tâche ${ref} marquée comme terminée. Merci !`;
+    case 'progress':
+      return `📊 Tâche ${ref} : avancement mis à jour à ${result.pourcentage}%.`;
+    case 'postpone':
+      return `📅 Tâche ${ref} : échéance reportée au ${formatDate(result.date)}.`;
+    case 'task_required':
+      return `❓ Précisez le numéro de tâche, ex : FAIT 123.\n\n${USAGE}`;
+    // Tâche d'un autre employé: même réponse qu'une tâche inconnue, pour ne pas révéler quels numéros existent
+    case 'task_not_found':
+    case 'not_assignee':
+      return `❌ Tâche ${ref} introuvable.`;
+    case 'invalid_percentage':
+      return '❌ Pourcentage invalide (0 à 100).';
+    case 'invalid_date':
+      return '❌ Date invalide. Format : REPORT 123 2026-11-02';
+    case 'past_date':
+      return `❌ La nouvelle échéance doit être aujourd'hui ou plus tard.`;
+    case 'usage':
+      return `❓ Commande non reconnue.\n\n${USAGE}`;
+    default:
+      return `⚠️ Impossible de mettre à jour la tâche ${ref}, réessayez plus tard.`;
+  }
+}
+
+// Accès aux tâches: base SIRH (todo_tasks)
+function dbTaskStore(pool) {
+  return {
+    async get(taskId) {
+      const [rows] = await pool.query(
+        `SELECT t.id, t.description, t.status, t.pourcentage,
+                COALESCE(t.end_date, t.date_fin_prevu) AS effective_end, u.tel
+         FROM todo_tasks t
+         LEFT JOIN users u ON u.id = t.assigned_to
+         WHERE t.id = ?`,
+        [taskId]
+      );
+      return rows[0] || null;
+    },
+    async update(taskId, changes) {
+      const sets = [];
+      const values = [];
+      for (const [col, value] of Object.entries(changes)) {
+        sets.push(`${col} = ?`);
+        values.push(value);
+      }
+      await pool.query(`UPDATE todo_tasks SET ${sets.join(', ')} WHERE id = ?`, [...values, taskId]);
+    },
+  };
+}
+
+// Accès aux tâches: sirh-back
+//   GET   {apiBase}/reminders/tasks/{id}  → { item: { id, description, status, pourcentage, effective_end, tel } }
+//   PATCH {apiBase}/reminders/tasks/{id}  { status?, pourcentage?, end_date?, source: 'whatsapp', phone }
+function apiTaskStore({ apiBase, apiKey }) {
+  const base = (apiBase || '').replace(/\/$/, '');
+  const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json' };
+  if (apiKey) headers['X-Api-Key'] = apiKey;
+
+  return {
+    async get(taskId) {
+      if (!base) throw new Error('REMINDER_API_BASE not configured');
+      const resp = await fetch(`${base}/reminders/tasks/${encodeURIComponent(taskId)}`, { method: 'GET', headers });
+      if (resp.status === 404) return null;
+      if (!resp.ok) throw new Error(`Tasks API failed ${resp.status} ${await resp.text()}`);
+      const data = await resp.json();
+      return data?.item || null;
+    },
+    async update(taskId, changes, { phone }) {
+      if (!base) throw new Error('REMINDER_API_BASE not configured');
+      const resp = await fetch(`${base}/reminders/tasks/${encodeURIComponent(taskId)}`, {
+        method: 'PATCH',
+        headers,
+        body: JSON.stringify({ ...changes, source: 'whatsapp', phone }),
+      });
+      if (!resp.ok) throw new Error(`Tasks API update failed ${resp.status} ${await resp.text()}`);
+    },
+  };
+}
+
+/**
+ * Traite les réponses des employés aux rappels ("FAIT 123", "50% 123",
+ * "REPORT 123 2026-11-02"): vérifie que l'expéditeur est l'assigné de la
+ * tâche, met la tâche à jour et répond dans la même conversation.
+ * Une commande sans tâche (FAIT seul, AIDE, commande mal formée) n'obtient de
+ * réponse que d'un employé qui a déjà reçu un rappel de tâche.
+ *
+ * @param {Object} params
+ * @param {string} params.source - 'db' | 'api'
+ * @param {Object} [params.pool] - pool MySQL (source db)
+ * @param {string} [params.apiBase] - URL sirh-back (source api)
+ * @param {string} [params.apiKey]
+ * @param {Object} params.sendQueue - file d'envoi (réponses)
+ * @param {string} params.tz - Fuseau des dates
+ * @param {Object} [params.logger]
+ */
+function createTaskCommandHandler({ source, pool, apiBase, apiKey, sendQueue, tz, logger = console }) {
+  const store = source === 'api' ? apiTaskStore({ apiBase, apiKey }) : dbTaskStore(pool);
+
+  // Assigné connu: a cité un de nos rappels, ou a déjà reçu un rappel de tâche (logs d'envoi)
+  async function isKnownAssignee(entry) {
+    if (entry.quoted?.fromMe && String(entry.quoted.source || '').startsWith('reminder_')) return true;
+    const sent = await getLogs({ type: 'reminder_success', tel: entry.phone, source: `reminder_${source}`, limit: 1 });
+    return sent.length > 0;
+  }
+
+  async function execute(command, entry) {
+    if (command.error || command.action === 'help') return command;
+
+    // Sans numéro: la tâche du rappel cité (un rappel de synthèse ne désigne pas une seule tâche)
+    const quotedTasks = entry.quoted?.taskId ? [entry.quoted.taskId] : (entry.quoted?.taskIds || []);
+    const taskId = command.taskId || (quotedTasks.length === 1 ? Number(quotedTasks[0]) : null);
+    if (!taskId) return commandError('task_required');
+
+    const task = await store.get(taskId);
+    if (!task) return commandError('task_not_found', taskId);
+    if (!samePhone(entry.phone, task.tel)) return commandError('not_assignee', taskId);
+
+    const changes = {};
+    if (command.action === 'done') {
+      if (task.status === DONE_STATUS) return { ...command, taskId, alreadyDone: true };
+      Object.assign(changes, { status: DONE_STATUS, pourcentage: 100 });
+    } else if (command.action === 'progress') {
+      changes.pourcentage = command.pourcentage;
+      if (command.pourcentage === 100) changes.status = DONE_STATUS;
+    } else if (command.action === 'postpone') {
+      if (command.date < DateTime.now().setZone(tz).toISODate()) return commandError('past_date', taskId);
+      changes.end_date = command.date;
+    }
+
+    await store.update(taskId, changes, { phone: entry.phone });
+    return { ...command, taskId, changes };
+  }
+
+  /**
+   * Traite un message reçu (entrée de lib/inbox)
+   * @param {Object} entry
+   * @returns {Promise<Object|null>} Résultat de la commande, null si le message n'en est pas une
+   */
+  async function handle(entry) {
+    if (!entry || entry.isGroup || entry.hasMedia) return null;
+    const command = parseTaskCommand(entry.body, tz);
+    if (!command) return null;
+
+    let result;
+    try {
+      result = await execute(command, entry);
+    } catch (e) {
+      logger.error('[task-commands] Erreur:', e?.message || e);
+      result = { ...command, error: 'update_failed', detail: e?.message || 'unknown' };
+    }
+
+    // Sans tâche, le message d'un inconnu ("Fait", "100%"...) n'est pas une commande
+    if (!result.taskId && !(await isKnownAssignee(entry))) return null;
+
+    logReminder({
+      type: result.error ? 'task_command_error' : 'task_command',
+      date: DateTime.now().setZone(tz).toISODate(),
+      request: { source: 'task_command', session: entry.session || null, tel: entry.phone, message: entry.body, taskId: result.taskId || null, action: command.action || null },
+      response: null,
+      error: result.error ? result.detail || result.error : undefined,
+    });
+
+    try {
+      sendQueue.enqueue({
+        phone: entry.phone,
+        jid: entry.from,
+        parts: [{ type: 'text', body: replyText(result) }],
+        // Répondre depuis le numéro qui a reçu la commande
+        session: entry.session || null,
+        // Réponse à une demande de l'employé: envoyée même s'il est désinscrit
+        meta: { source: 'task_command', taskId: result.taskId || null, action: command.action || null, optOutExempt: true, isReply: true },
+      });
+    } catch (e) {
+      logger.error('[task-commands] Réponse impossible:', e?.message || e);
+    }
+    return result;
+  }
+
+  return { handle };
+}
+
+module.exports = { createTaskCommandHandler, parseTaskCommand };
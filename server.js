@@ -6,18 +6,54 @@ if (dotenvResult?.error) {
   console.warn('[config] .env not loaded:', dotenvResult.error.message);
 }
 
-const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
-const qrcodeTerminal = require('qrcode-terminal');
 const cron = require('node-cron');
 const multer = require('multer');
 const fs = require('fs');
+const { DateTime } = require('luxon');
 
 const { createPoolFromEnv } = require('./lib/db');
-// const { runDailyTaskReminders, runDailyTaskRemindersViaApi } = require('./reminders/dailyTaskReminders');
-const { getLogs, getSentMessages, clearLogs, logReminder } = require('./lib/logger');
+const { runDailyTaskReminders, runDailyTaskRemindersViaApi } = require('./reminders/dailyTaskReminders');
+const { parseReminderSchedules, createReminderScheduler } = require('./reminders/scheduler');
+const { createDeliveryLedger } = require('./reminders/deliveryLedger');
+const { createTaskCommandHandler } = require('./reminders/taskCommands');
+const {
+  getLogs,
+  iterateLogs,
+  countLogs,
+  getLogStatistics,
+  getSentMessages,
+  clearLogs,
+  logReminder,
+  updateMessageStatus,
+  LOG_SORT_FIELDS,
+  LOG_STATS_GRANULARITIES,
+} = require('./lib/logger');
+const { writeLogsExport, EXPORT_FORMATS, EXPORT_CONTENT_TYPES } = require('./lib/logExport');
+const { createSendQueue } = require('./lib/sendQueue');
+const { createNumberRegistry } = require('./lib/numberRegistry');
+const { createRateLimiter } = require('./lib/rateLimiter');
+const { createDeliveryWindow } = require('./lib/deliveryWindow');
+const { createScheduledMessages } = require('./lib/scheduledMessages');
+const { createCampaignManager } = require('./lib/campaigns');
+const { createContactBook } = require('./lib/contacts');
+const { createWaGroupManager, isGroupJid } = require('./lib/waGroups');
+const { parsePhone, normalizePhone, assertPhone, isSupportedCountry } = require('./lib/phone');
+const { createBulkJobManager, recipientsFromCsv, normalizeVariables, personalize } = require('./lib/bulkJobs');
+const { createInbox } = require('./lib/inbox');
+const { createWebhookManager } = require('./lib/webhooks');
+const { createOptOutRegistry, isStopKeyword, isStartKeyword } = require('./lib/optOut');
+const { createSessionManager } = require('./lib/sessions');
+const {
+  renderTemplate,
+  listTemplates,
+  getTemplate,
+  saveTemplate,
+  deleteTemplate,
+  renderTemplateByKey,
+} = require('./lib/templates');
 
 const app = express();
 const server = http.createServer(app);
@@ -33,53 +69,130 @@ function requireApiKey(req, res, next) {
   next();
 }
 
-const client = new Client({
-  authStrategy: new LocalAuth(),
+// Sessions WhatsApp: la session par défaut + celles ajoutées via /api/sessions
+// (chacune lance son propre Chrome)
+const sessions = createSessionManager({
   puppeteer: {
     headless: true,
     // If Chrome is installed locally, you can set CHROME_PATH env to its executable
     executablePath: process.env.CHROME_PATH,
     args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu', '--no-zygote']
-  }
+  },
+  authDir: process.env.WWEBJS_AUTH_DIR || undefined,
+  defaultClientId: process.env.WWEBJS_CLIENT_ID || undefined,
 });
 
-// REMINDERS DÉSACTIVÉS
-// const REMINDER_SOURCE = (process.env.REMINDER_SOURCE || 'db').toLowerCase(); // 'db' | 'api'
+// Reminders (activés via REMINDERS_ENABLED=true)
+const REMINDERS_ENABLED = (process.env.REMINDERS_ENABLED || 'false').toLowerCase() === 'true';
+const REMINDER_SOURCE = (process.env.REMINDER_SOURCE || 'db').toLowerCase(); // 'db' | 'api'
+// Réponses "FAIT 123", "50% 123", "REPORT 123 2026-11-02" (même source que les reminders)
+const TASK_COMMANDS_ENABLED = (process.env.TASK_COMMANDS_ENABLED || 'false').toLowerCase() === 'true';
 
 // DB pool (SIRH back database)
-// let dbPool = null;
-// if (REMINDER_SOURCE !== 'api') {
-//   try {
-//     dbPool = createPoolFromEnv();
-//     console.log('[db] MySQL pool created');
-//   } catch (e) {
-//     console.warn('[db] Not configured, reminders disabled until DB_* env vars are set:', e?.message);
-//   }
-// }
-
-let isClientReady = false;
-let lastQr = null;
-let lastState = 'INIT';
-let lastReadyAt = null;
-let reinitTimer = null;
-function scheduleReinit(delayMs = 3000) {
-  if (reinitTimer) return;
-  reinitTimer = setTimeout(() => {
-    reinitTimer = null;
-    try {
-      console.log('Reinitialisation du client WhatsApp...');
-      client.initialize();
-    } catch (e) {
-      console.warn('Erreur lors de la réinitialisation:', e?.message);
-    }
-  }, delayMs);
+let dbPool = null;
+if ((REMINDERS_ENABLED || TASK_COMMANDS_ENABLED) && REMINDER_SOURCE !== 'api') {
+  try {
+    dbPool = createPoolFromEnv();
+    console.log('[db] MySQL pool created');
+  } catch (e) {
+    console.warn('[db] Not configured, reminders disabled until DB_* env vars are set:', e?.message);
+  }
 }
 
+// Numéros désinscrits (STOP / ARRET): vérifiés par la file pour tous les chemins d'envoi
+const optOut = createOptOutRegistry({ normalizeToJid });
+// Les rappels de tâches peuvent ignorer le registre (messages transactionnels)
+const OPT_OUT_EXEMPT_REMINDERS = (process.env.OPT_OUT_EXEMPT_REMINDERS || 'false').toLowerCase() === 'true';
+
+// Rythme, espacement par destinataire et plafond quotidien (SEND_RATE_PER_MINUTE, SEND_DAILY_CAP, ...)
+const rateLimiter = createRateLimiter();
+
+// Plage d'envoi (DELIVERY_WINDOW_HOURS, DELIVERY_WINDOW_DAYS, DELIVERY_HOLIDAYS): hors plage, les envois attendent l'ouverture
+const deliveryWindow = createDeliveryWindow({ tz: process.env.REMINDER_TZ || 'Africa/Casablanca' });
+
+// Numéros inscrits sur WhatsApp (WA_NUMBER_CACHE_TTL_HOURS): évite un getNumberId par envoi,
+// et les vérifications restantes suivent le rythme du limiteur (WA_LOOKUP_RATE_PER_MINUTE)
+const numberRegistry = createNumberRegistry({ sessions, limiter: rateLimiter });
+
+// File d'envoi persistante: tous les chemins d'envoi passent par elle
+const sendQueue = createSendQueue({ sessions, optOut, limiter: rateLimiter, deliveryWindow, numbers: numberRegistry });
+
+// Envois en masse en arrière-plan (pause / reprise / annulation, reprise après redémarrage)
+const bulkJobs = createBulkJobManager({ sendQueue, normalizeToJid });
+bulkJobs.on('progress', (summary) => io.emit('bulk_progress', summary));
+
+// Messages programmés: mis en file à l'heure prévue par ce processus (propriétaire des clients WhatsApp)
+const scheduledMessages = createScheduledMessages({
+  sendQueue,
+  normalizeToJid,
+  renderTemplate: (templateKey, params) => renderTemplateText(templateKey, params),
+  hasSession: (name) => sessions.has(name),
+  tz: process.env.REMINDER_TZ || 'Africa/Casablanca',
+});
+scheduledMessages.on('dispatched', (summary) => io.emit('scheduled_status', summary));
+scheduledMessages.on('completed', (summary) => io.emit('scheduled_status', summary));
+
+// Carnet de contacts et groupes nommés (cibles des envois en masse et des campagnes)
+const contactBook = createContactBook();
+
+// Campagnes récurrentes (cron): chaque exécution met un job par destinataire dans la file
+const campaigns = createCampaignManager({
+  sendQueue,
+  normalizeToJid,
+  renderTemplate: (templateKey, params) => renderTemplateText(templateKey, params),
+  hasSession: (name) => sessions.has(name),
+  resolveContacts: (target) => contactBook.resolve(target),
+  tz: process.env.REMINDER_TZ || 'Africa/Casablanca',
+});
+campaigns.on('run', (campaignId, run) => io.emit('campaign_status', { campaignId, run }));
+
+// Groupes WhatsApp des sessions (annonces d'équipe): envoi par la file, gestion des participants
+const waGroups = createWaGroupManager({ sessions, sendQueue, normalizeToJid });
+
+// Messages reçus (réponses aux rappels)
+const inbox = createInbox();
+
+// Webhooks sortants (état de la session, cycle de vie des messages)
+const webhooks = createWebhookManager();
+
+sendQueue.on('sent', (job) => {
+  webhooks.dispatch('message.sent', {
+    jobId: job.id,
+    session: job.session,
+    to: job.to,
+    messageId: job.result?.messageId || null,
+    messageIds: job.messageIds,
+    attempts: job.attempts,
+    meta: job.meta,
+  });
+});
+
+sendQueue.on('skipped', (job) => {
+  webhooks.dispatch('message.skipped', { jobId: job.id, session: job.session, to: job.to, reason: job.lastError, meta: job.meta });
+});
+
+sendQueue.on('failed', (job) => {
+  webhooks.dispatch('message.failed', {
+    jobId: job.id,
+    session: job.session,
+    to: job.to,
+    error: job.lastError,
+    attempts: job.attempts,
+    meta: job.meta,
+  });
+});
+
+// Si un templateKey n'existe pas dans le store local, le demander à sirh-back
+const TEMPLATE_REMOTE_FALLBACK = (process.env.TEMPLATE_REMOTE_FALLBACK || 'true').toLowerCase() !== 'false';
+
+// Délai pendant lequel /send-* attend le résultat avant de répondre 202 (job toujours en file)
+const SEND_WAIT_MS = process.env.SEND_WAIT_MS ? Number(process.env.SEND_WAIT_MS) : 15000;
+
 // CORS (allow calls from frontend)
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
-  res.header('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, X-Api-Key');
+  res.header('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
   if (req.method === 'OPTIONS') return res.sendStatus(200);
   next();
 });
@@ -92,54 +205,94 @@ app.use(express.json({ limit: '10mb' }));
 const upload = multer({
   dest: path.join(__dirname, 'uploads'),
   limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB max
+    fileSize: 10 * 1024 * 1024, // 10MB max
+    fieldSize: 10 * 1024 * 1024 // destinataires et variables d'un envoi en masse (JSON)
   }
 });
 
-client.on('qr', (qr) => {
-  console.log('QR Code généré');
-  isClientReady = false;
-  lastQr = qr;
-  try {
-    console.log('Scanne ce QR avec WhatsApp > Appareils liés (Linked devices):');
-    qrcodeTerminal.generate(qr, { small: true });
-  } catch (e) {
-    console.warn('Impossible d\'afficher le QR en ASCII:', e?.message);
+// Événements des sessions: les événements socket historiques ('qr', 'ready'...)
+// concernent la session par défaut, 'session_status' toutes les sessions
+function emitSessionEvent(name, event, payload) {
+  if (name === sessions.defaultName) {
+    if (payload === undefined) io.emit(event);
+    else io.emit(event, payload);
   }
-  io.emit('qr', qr);
+  io.emit('session_status', { session: name, event, ...sessions.get(name) });
+}
+
+sessions.on('qr', (name, qr) => {
+  emitSessionEvent(name, 'qr', qr);
+  webhooks.dispatch('qr', { session: name, qr });
 });
 
-client.on('ready', () => {
-  console.log('Client prêt ✅');
-  isClientReady = true;
-  lastState = 'CONNECTED';
-  lastReadyAt = Date.now();
-  io.emit('ready');
+sessions.on('ready', (name) => {
+  const info = sessions.get(name);
+  emitSessionEvent(name, 'ready');
+  webhooks.dispatch('ready', { session: name, number: info?.number || null, readyAt: new Date(info?.lastReadyAt || Date.now()).toISOString() });
+  sendQueue.kick();
 });
 
-client.on('authenticated', () => {
-  console.log('Authentifié ✅');
-  io.emit('authenticated');
+sessions.on('authenticated', (name) => {
+  emitSessionEvent(name, 'authenticated');
+  webhooks.dispatch('authenticated', { session: name });
 });
 
-client.on('auth_failure', (msg) => {
-  console.error('Erreur d\'authentification :', msg);
-  isClientReady = false;
-  lastState = 'AUTH_FAILURE';
-  io.emit('auth_failure', msg);
-  scheduleReinit(5000);
+sessions.on('auth_failure', (name, msg) => {
+  emitSessionEvent(name, 'auth_failure', msg);
+  webhooks.dispatch('auth_failure', { session: name, message: msg });
 });
 
-client.on('disconnected', (reason) => {
-  console.log('Déconnecté :', reason);
-  isClientReady = false;
-  lastState = 'DISCONNECTED';
-  io.emit('disconnected', reason);
-  scheduleReinit(3000);
+sessions.on('disconnected', (name, reason) => {
+  emitSessionEvent(name, 'disconnected', reason);
+  webhooks.dispatch('disconnected', { session: name, reason });
 });
 
-client.on('change_state', (state) => {
-  lastState = state || lastState;
+sessions.on('removed', (name) => {
+  io.emit('session_status', { session: name, event: 'removed' });
+  // Les jobs en attente de cette session échouent (session_not_found)
+  sendQueue.kick();
+});
+
+// Accusés de réception: -1 erreur, 0 en attente, 1 serveur, 2 reçu, 3 lu, 4 écouté
+const ACK_STATUS = { '-1': 'failed', 1: 'sent', 2: 'delivered', 3: 'read', 4: 'read' };
+
+sessions.on('message_ack', async (session, msg, ack) => {
+  const status = ACK_STATUS[ack];
+  if (!status || !msg?.fromMe) return;
+  const messageId = msg.id?._serialized;
+  const updated = await updateMessageStatus(messageId, status);
+  if (updated) {
+    io.emit('message_ack', { session, messageId, status: updated.status, at: updated.statusAt });
+    webhooks.dispatch('message.ack', {
+      session,
+      messageId,
+      status: updated.status,
+      at: updated.statusAt,
+      tel: updated.request?.tel || null,
+      jobId: updated.request?.jobId || null,
+    });
+  }
+});
+
+sessions.on('message', async (session, msg) => {
+  try {
+    const entry = await inbox.record(msg, { session });
+    if (!entry) return;
+    io.emit('inbound_message', entry);
+    webhooks.dispatch('message.inbound', entry);
+
+    if (!entry.isGroup && (isStopKeyword(entry.body) || isStartKeyword(entry.body))) {
+      handleOptOutKeyword(entry);
+      return;
+    }
+
+    if (taskCommands) {
+      const result = await taskCommands.handle(entry);
+      if (result) io.emit('task_command', { messageId: entry.id, phone: entry.phone, ...result });
+    }
+  } catch (e) {
+    console.error('[inbox] Erreur enregistrement message reçu:', e?.message || e);
+  }
 });
 
 // Gérer les connexions Socket.IO
@@ -147,32 +300,73 @@ io.on('connection', (socket) => {
   console.log('Nouveau client connecté');
 
   // Envoyer l'état actuel du client
-  if (isClientReady) {
+  if (sessions.isReady()) {
     socket.emit('ready');
   }
 
-  socket.on('send_message', async ({ phoneNumber, message }) => {
+  // Socket sans clé API: pas de "urgent", la plage d'envoi s'applique toujours
+  socket.on('send_message', async ({ phoneNumber, message, session }) => {
     try {
-      // Vérifier que le client est prêt
-      if (!isClientReady) {
-        socket.emit('message_error', 'Le client WhatsApp n\'est pas encore prêt. Veuillez scanner le QR code.');
+      if (!phoneNumber || !message) {
+        socket.emit('message_error', 'Numéro et message requis');
         return;
       }
-
-      const chatId = normalizeToJid(phoneNumber);
-      
-      // Vérifier que le numéro est valide
-      const numberId = await client.getNumberId(chatId.replace('@c.us',''));
-      if (!numberId) {
-        socket.emit('message_error', 'Numéro WhatsApp invalide ou non enregistré');
+      if (session && !sessions.has(session)) {
+        socket.emit('message_error', `Session inconnue: ${session}`);
+        return;
+      }
+      const parsed = parsePhone(phoneNumber);
+      if (!parsed.valid && !isGroupJid(phoneNumber)) {
+        socket.emit('message_error', `Numéro invalide (${phoneNumber}): ${parsed.message}`);
         return;
       }
 
-      await client.sendMessage(chatId, message);
-      console.log('Message envoyé à', phoneNumber);
-      socket.emit('message_success', { phoneNumber });
+      const job = sendQueue.enqueue({
+        phone: phoneNumber,
+        jid: normalizeToJid(phoneNumber),
+        parts: [{ type: 'text', body: message }],
+        checkNumber: true,
+        meta: { source: 'socket', endpoint: 'send_message' },
+        session,
+      });
+      socket.emit('message_queued', {
+        phoneNumber,
+        jobId: job.id,
+        session: job.session,
+        ready: sessions.isReady(job.session),
+        heldUntil: job.heldUntil,
+      });
+
+      // Retenu hors plage, différé ou en reprise: pas d'attente au-delà de SEND_WAIT_MS,
+      // le client suit le job par son ID (GET /api/queue/:id)
+      const done = job.heldUntil ? job : await sendQueue.waitFor(job.id, SEND_WAIT_MS);
+      if (done?.status === 'queued' || done?.status === 'sending') {
+        socket.emit('message_pending', {
+          phoneNumber,
+          jobId: job.id,
+          status: done.status,
+          heldUntil: done.heldUntil || null,
+          nextAttemptAt: done.nextAttemptAt || null,
+          reason: done.lastError || null,
+        });
+      } else if (done?.status === 'sent') {
+        console.log('Message envoyé à', phoneNumber);
+        socket.emit('message_success', { phoneNumber, jobId: job.id });
+      } else if (done?.lastError === 'not_on_whatsapp') {
+        socket.emit('message_error', 'Numéro WhatsApp invalide ou non enregistré');
+      } else if (done?.status === 'skipped') {
+        socket.emit('message_error', 'Ce numéro s\'est désinscrit (STOP): message non envoyé');
+      } else if (done?.lastError === 'rate_limited') {
+        socket.emit('message_error', 'Limite d\'envoi atteinte: message non envoyé');
+      } else {
+        socket.emit('message_error', done?.lastError || 'Erreur lors de l\'envoi du message');
+      }
     } catch (err) {
       console.error('Erreur envoi message ❌', err);
+      if (err.code === 'rate_limited') {
+        socket.emit('message_error', `Limite d'envoi atteinte, réessayez après ${err.retryAt}`);
+        return;
+      }
       socket.emit('message_error', err.message || 'Erreur lors de l\'envoi du message');
     }
   });
@@ -182,92 +376,251 @@ io.on('connection', (socket) => {
   });
 });
 
-// Helpers
-function normalizeDigits(p) {
-  return (p || '').toString().replace(/\D+/g, '');
-}
-
-function normalizePhone(phone) {
-  let p = normalizeDigits(phone);
-  if (!p) return p;
-  // If starts with 0 and DEFAULT_CC is provided, use it (e.g. 212)
-  if (p.startsWith('0') && process.env.DEFAULT_CC) {
-    p = process.env.DEFAULT_CC.replace(/\D+/g, '') + p.slice(1);
-  }
-  // If no country code, default to 212 if provided via env or fallback to 212
-  if (!p.startsWith('212') && process.env.DEFAULT_CC) {
-    const cc = process.env.DEFAULT_CC.replace(/\D+/g, '');
-    if (cc && !p.startsWith(cc)) p = cc + p;
+// STOP / ARRET → désinscription, START → réinscription; confirmation dans la conversation
+function handleOptOutKeyword(entry) {
+  const stop = isStopKeyword(entry.body);
+  let changed;
+  if (stop) {
+    changed = optOut.add(entry.phone, { source: 'inbound', reason: entry.body.trim() }).created;
+  } else {
+    changed = optOut.remove(entry.phone);
   }
-  return p;
+  if (!changed) return;
+
+  logReminder({
+    type: stop ? 'opt_out' : 'opt_in',
+    date: new Date().toISOString().split('T')[0],
+    request: { source: 'inbound', session: entry.session, tel: entry.phone, message: entry.body },
+  });
+  sendQueue.enqueue({
+    phone: entry.phone,
+    jid: entry.from,
+    session: entry.session,
+    parts: [{
+      type: 'text',
+      body: stop
+        ? 'Vous ne recevrez plus nos messages. Répondez START pour vous réinscrire.'
+        : 'Vous êtes de nouveau inscrit(e) à nos messages.',
+    }],
+    meta: { source: stop ? 'opt_out' : 'opt_in', optOutExempt: true, isReply: true },
+  });
 }
 
+// Helpers (numéros: lib/phone, règles E.164 par pays)
 function normalizeToJid(phone) {
+  // JID de groupe WhatsApp: transmis tel quel
+  if (isGroupJid(phone)) return String(phone).trim();
   const digits = normalizePhone(phone);
   return `${digits}@c.us`;
 }
 
-// Daily reminders - DÉSACTIVÉS
-// const REMINDER_TZ = process.env.REMINDER_TZ || 'Africa/Casablanca';
-// const REMINDER_AT = '16:00';
-// const REMINDER_CRON = process.env.REMINDER_CRON || cronFromReminderAt(REMINDER_AT) || '0 8 * * *';
-// const REMINDER_ONLY_ENVOYER_AUTO = (process.env.REMINDER_ONLY_ENVOYER_AUTO || 'true').toLowerCase() !== 'false';
-// const REMINDER_SEND_DELAY_MS = process.env.REMINDER_SEND_DELAY_MS ? Number(process.env.REMINDER_SEND_DELAY_MS) : 600;
-// const REMINDER_API_BASE = process.env.REMINDER_API_BASE || null;
-// const REMINDER_API_KEY = process.env.REMINDER_API_KEY || process.env.TEMPLATE_API_KEY || null;
+// Booléen d'une requête: true (JSON) ou "true" (formulaire multipart)
+function parseFlag(value) {
+  return value === true || String(value).toLowerCase() === 'true';
+}
 
-console.log('[config] Reminders automatiques désactivés');
+// Supprime les fichiers temporaires de multer (requête en échec, CSV déjà lu)
+function discardUploads(files) {
+  for (const f of files) {
+    try { fs.unlinkSync(f.path); } catch (_) {}
+  }
+}
+
+// Répond à un appel /send-* après mise en file: résultat si le job se termine
+// dans SEND_WAIT_MS, sinon 202 avec le jobId pour consultation ultérieure
+async function respondWithJob(res, job) {
+  // Retenu hors plage d'envoi: inutile d'attendre
+  if (job.heldUntil) {
+    return res.status(202).json({ ok: true, queued: true, held: true, heldUntil: job.heldUntil, jobId: job.id, status: job.status });
+  }
+  const done = await sendQueue.waitFor(job.id, SEND_WAIT_MS);
+  if (done?.status === 'sent') {
+    return res.json({ ok: true, id: done.result?.messageId || null, jobId: job.id, status: done.status });
+  }
+  if (done?.status === 'failed') {
+    const status = done.lastError === 'rate_limited' ? 429 : 500;
+    return res.status(status).json({ ok: false, error: done.lastError || 'unknown', jobId: job.id, status: done.status });
+  }
+  if (done?.status === 'skipped') {
+    return res.status(409).json({ ok: false, skipped: true, error: done.lastError, jobId: job.id, status: done.status });
+  }
+  // Différé par le limiteur: envoi prévu à nextAttemptAt
+  const deferred = done?.lastError === 'rate_limited' ? { deferred: true, reason: done.limitReason, nextAttemptAt: done.nextAttemptAt } : {};
+  return res.status(202).json({ ok: true, queued: true, jobId: job.id, status: done?.status || 'queued', ...deferred });
+}
+
+// Envoi refusé: numéro invalide, ou mise en file refusée par le limiteur (SEND_LIMIT_MODE=reject)
+function sendErrorBody(e) {
+  const body = { ok: false, error: e?.message || 'unknown' };
+  if (e?.code === 'rate_limited') Object.assign(body, { reason: e.reason, retryAt: e.retryAt });
+  if (e?.code === 'invalid_phone') Object.assign(body, { phone: e.phone, reason: e.reason, message: e.detail });
+  return body;
+}
+
+// Numéro d'un appel d'envoi: lève invalid_phone (400) sauf pour un JID de groupe
+function assertSendablePhone(phone) {
+  if (!isGroupJid(phone)) assertPhone(phone);
+}
+
+// Daily reminders
+const REMINDER_TZ = process.env.REMINDER_TZ || 'Africa/Casablanca';
+const REMINDER_ONLY_ENVOYER_AUTO = (process.env.REMINDER_ONLY_ENVOYER_AUTO || 'true').toLowerCase() !== 'false';
+// Délai supplémentaire entre deux rappels (le rythme général est celui du limiteur d'envoi)
+const REMINDER_SEND_DELAY_MS = process.env.REMINDER_SEND_DELAY_MS ? Number(process.env.REMINDER_SEND_DELAY_MS) : 0;
+const REMINDER_API_BASE = process.env.REMINDER_API_BASE || null;
+const REMINDER_API_KEY = process.env.REMINDER_API_KEY || process.env.TEMPLATE_API_KEY || null;
+// Session WhatsApp qui envoie les rappels (défaut: session par défaut)
+const REMINDER_SESSION = process.env.REMINDER_SESSION || sessions.defaultName;
+
+// Registre (tâche, date) des rappels envoyés: au plus un rappel par tâche et par jour
+const reminderLedger = createDeliveryLedger();
+
+async function runReminderSchedule(schedule) {
+  const common = {
+    sendQueue,
+    normalizeToJid,
+    isWaConnected: () => sessions.isReady(REMINDER_SESSION),
+    session: REMINDER_SESSION,
+    tz: REMINDER_TZ,
+    onlyEnvoyerAuto: REMINDER_ONLY_ENVOYER_AUTO,
+    sendDelayMs: REMINDER_SEND_DELAY_MS,
+    waitMs: SEND_WAIT_MS,
+    ledger: reminderLedger,
+    mode: schedule.mode,
+    schedule: schedule.name,
+    optOutExempt: OPT_OUT_EXEMPT_REMINDERS,
+  };
+  if (REMINDER_SOURCE === 'api') {
+    return runDailyTaskRemindersViaApi({ ...common, apiBase: REMINDER_API_BASE, apiKey: REMINDER_API_KEY });
+  }
+  if (!dbPool) throw new Error('DB not configured (DB_* env vars)');
+  return runDailyTaskReminders({ ...common, pool: dbPool });
+}
+
+let reminderScheduler = null;
+if (REMINDERS_ENABLED) {
+  reminderScheduler = createReminderScheduler({
+    schedules: parseReminderSchedules(),
+    tz: REMINDER_TZ,
+    run: runReminderSchedule,
+  });
+  console.log(`[config] Reminders activés (source=${REMINDER_SOURCE}, tz=${REMINDER_TZ})`);
+} else {
+  console.log('[config] Reminders automatiques désactivés (REMINDERS_ENABLED=false)');
+}
+
+let taskCommands = null;
+if (TASK_COMMANDS_ENABLED) {
+  if (REMINDER_SOURCE !== 'api' && !dbPool) {
+    console.warn('[config] Commandes de tâches désactivées: DB non configurée (DB_* env vars)');
+  } else {
+    taskCommands = createTaskCommandHandler({
+      source: REMINDER_SOURCE,
+      pool: dbPool,
+      apiBase: REMINDER_API_BASE,
+      apiKey: REMINDER_API_KEY,
+      sendQueue,
+      tz: REMINDER_TZ,
+    });
+    console.log(`[config] Commandes de tâches activées (source=${REMINDER_SOURCE})`);
+  }
+}
+
+function requireReminders(_req, res, next) {
+  if (!reminderScheduler) return res.status(503).json({ ok: false, error: 'reminders_disabled' });
+  next();
+}
 
 // REST endpoints
 app.get('/health', (_req, res) => {
   res.json({ status: 'ok' });
 });
 
-app.get('/status', async (_req, res) => {
-  let state = lastState;
+// ?session=<nom> pour une autre session que la session par défaut
+app.get('/status', async (req, res) => {
+  const status = await sessions.status(req.query.session);
+  if (!status) return res.status(404).json({ error: 'session_not_found' });
+  res.json(status);
+});
+
+app.get('/qr', (req, res) => {
+  if (!sessions.has(req.query.session)) return res.status(404).json({ error: 'session_not_found' });
+  const qr = sessions.getQr(req.query.session);
+  if (!qr) return res.status(404).json({ error: 'no_qr' });
+  res.json({ qr });
+});
+
+// Sessions WhatsApp (un numéro par session)
+function sessionErrorStatus(e) {
+  if (e?.code === 'session_invalid') return 400;
+  if (e?.code === 'session_exists' || e?.code === 'session_default') return 409;
+  return 500;
+}
+
+// Session demandée par un appel d'envoi: 404 si elle n'existe pas
+function requireKnownSession(session, res) {
+  if (session && !sessions.has(session)) {
+    res.status(404).json({ ok: false, error: 'session_not_found' });
+    return false;
+  }
+  return true;
+}
+
+app.get('/api/sessions', (_req, res) => {
+  res.json({ ok: true, defaultSession: sessions.defaultName, sessions: sessions.list() });
+});
+
+app.get('/api/sessions/:name', (req, res) => {
+  const session = sessions.get(req.params.name);
+  if (!session) return res.status(404).json({ ok: false, error: 'session_not_found' });
+  res.json({ ok: true, session, queue: sendQueue.stats({ session: req.params.name }), limits: rateLimiter.status(req.params.name) });
+});
+
+app.get('/api/sessions/:name/qr', (req, res) => {
+  if (!sessions.has(req.params.name)) return res.status(404).json({ ok: false, error: 'session_not_found' });
+  const qr = sessions.getQr(req.params.name);
+  if (!qr) return res.status(404).json({ ok: false, error: 'no_qr' });
+  res.json({ ok: true, qr });
+});
+
+app.post('/api/sessions', requireApiKey, (req, res) => {
   try {
-    state = await client.getState();
+    const { name, clientId, description } = req.body || {};
+    res.status(201).json({ ok: true, session: sessions.create({ name, clientId, description }) });
   } catch (e) {
-    // keep lastState
+    res.status(sessionErrorStatus(e)).json({ ok: false, error: e.message });
   }
-  res.json({
-    ready: isClientReady && (state === 'CONNECTED' || lastState === 'CONNECTED'),
-    state,
-    lastState,
-    hasQr: !!lastQr,
-    lastReadyAt,
-    now: Date.now()
-  });
 });
 
-app.get('/qr', (_req, res) => {
-  if (!lastQr) return res.status(404).json({ error: 'no_qr' });
-  res.json({ qr: lastQr });
+// ?logout=true pour délier l'appareil et effacer la session LocalAuth
+app.delete('/api/sessions/:name', requireApiKey, async (req, res) => {
+  try {
+    const removed = await sessions.remove(req.params.name, { logout: req.query.logout === 'true' });
+    if (!removed) return res.status(404).json({ ok: false, error: 'session_not_found' });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(sessionErrorStatus(e)).json({ ok: false, error: e.message });
+  }
 });
 
 // Send plain text
 app.post('/send-text', requireApiKey, async (req, res) => {
   try {
-    const { phone, text } = req.body || {};
-    let state = lastState;
-    try { state = await client.getState(); } catch (_) {}
-    const connected = isClientReady && (state === 'CONNECTED' || lastState === 'CONNECTED');
-    if (!connected) {
-      return res.status(503).json({ ok: false, error: 'wa_not_ready', state, lastState, isClientReady });
-    }
+    const { phone, text, session, urgent } = req.body || {};
     if (!phone || !text) return res.status(400).json({ ok: false, error: 'phone_and_text_required' });
-    const jid = normalizeToJid(phone);
-    const msg = await client.sendMessage(jid, text);
-    
-    // Logger le message envoyé
-    logReminder({
-      type: 'reminder_success',
-      date: new Date().toISOString().split('T')[0],
-      request: { tel: phone, message: text, source: 'manual_api', endpoint: '/send-text' },
-      response: { success: true, jid, messageId: msg.id?._serialized }
+    if (!requireKnownSession(session, res)) return;
+    assertSendablePhone(phone);
+
+    // Mise en file: le statut final (succès/échec) est loggé par la file
+    const job = sendQueue.enqueue({
+      phone,
+      jid: normalizeToJid(phone),
+      parts: [{ type: 'text', body: text }],
+      meta: { source: 'manual_api', endpoint: '/send-text' },
+      session,
+      urgent: parseFlag(urgent),
     });
-    
-    res.json({ ok: true, id: msg.id?._serialized });
+    await respondWithJob(res, job);
   } catch (e) {
     console.error('send-text error', e);
     
@@ -280,53 +633,63 @@ app.post('/send-text', requireApiKey, async (req, res) => {
       error: e?.message || 'unknown'
     });
     
-    res.status(500).json({ ok: false, error: e?.message || 'unknown' });
+    res.status(e?.status || 500).json(sendErrorBody(e));
   }
 });
 
-// Send template rendered by Laravel API
+// Rendu d'un template par l'API Laravel (sirh-back)
+async function renderRemoteTemplate(templateKey, params) {
+  const apiBase = process.env.API_BASE || 'http://localhost';
+  const url = `${apiBase.replace(/\/$/, '')}/api/templates/render`;
+  const headers = { 'Content-Type': 'application/json' };
+  const apiKey = process.env.TEMPLATE_API_KEY;
+  if (apiKey) headers['X-Api-Key'] = apiKey;
+
+  const resp = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ key: templateKey, params: params || {} })
+  });
+  if (!resp.ok) {
+    const t = await resp.text();
+    throw new Error(`API render failed ${resp.status} ${t}`);
+  }
+  const data = await resp.json();
+  return data?.text || '';
+}
+
+// Template local d'abord, puis rendu Laravel en repli (TEMPLATE_REMOTE_FALLBACK)
+async function renderTemplateText(templateKey, params) {
+  const local = renderTemplateByKey(templateKey, params || {});
+  if (local) return { text: local.text, templateSource: 'local', missing: local.missing };
+  if (!TEMPLATE_REMOTE_FALLBACK) {
+    const err = new Error('template_not_found');
+    err.status = 404;
+    throw err;
+  }
+  return { text: await renderRemoteTemplate(templateKey, params), templateSource: 'remote', missing: [] };
+}
+
+// Send template (store local, repli sur le rendu Laravel)
 app.post('/send-template', requireApiKey, async (req, res) => {
   try {
-    const { phone, templateKey, params } = req.body || {};
-    let state = lastState;
-    try { state = await client.getState(); } catch (_) {}
-    const connected = isClientReady && (state === 'CONNECTED' || lastState === 'CONNECTED');
-    if (!connected) {
-      return res.status(503).json({ ok: false, error: 'wa_not_ready', state, lastState, isClientReady });
-    }
+    const { phone, templateKey, params, session, urgent } = req.body || {};
     if (!phone || !templateKey) return res.status(400).json({ ok: false, error: 'phone_and_templateKey_required' });
-
-    const apiBase = process.env.API_BASE || 'http://localhost';
-    const url = `${apiBase.replace(/\/$/, '')}/api/templates/render`;
-    const headers = { 'Content-Type': 'application/json' };
-    const apiKey = process.env.TEMPLATE_API_KEY;
-    if (apiKey) headers['X-Api-Key'] = apiKey;
-
-    const resp = await fetch(url, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify({ key: templateKey, params: params || {} })
-    });
-    if (!resp.ok) {
-      const t = await resp.text();
-      throw new Error(`API render failed ${resp.status} ${t}`);
-    }
-    const data = await resp.json();
-    const text = data?.text || '';
-    if (!text) throw new Error('Rendered text empty');
-
-    const jid = normalizeToJid(phone);
-    const msg = await client.sendMessage(jid, text);
-    
-    // Logger le message envoyé
-    logReminder({
-      type: 'reminder_success',
-      date: new Date().toISOString().split('T')[0],
-      request: { tel: phone, message: text, source: 'manual_api', endpoint: '/send-template', templateKey },
-      response: { success: true, jid, messageId: msg.id?._serialized }
+    if (!requireKnownSession(session, res)) return;
+    assertSendablePhone(phone);
+
+    const { text, templateSource } = await renderTemplateText(templateKey, params);
+    if (!text.trim()) throw new Error('Rendered text empty');
+
+    const job = sendQueue.enqueue({
+      phone,
+      jid: normalizeToJid(phone),
+      parts: [{ type: 'text', body: text }],
+      meta: { source: 'manual_api', endpoint: '/send-template', templateKey, templateSource },
+      session,
+      urgent: parseFlag(urgent),
     });
-    
-    res.json({ ok: true, id: msg.id?._serialized });
+    await respondWithJob(res, job);
   } catch (e) {
     console.error('send-template error', e);
     
@@ -339,85 +702,594 @@ app.post('/send-template', requireApiKey, async (req, res) => {
       error: e?.message || 'unknown'
     });
     
-    res.status(500).json({ ok: false, error: e?.message || 'unknown' });
+    res.status(e?.status || 500).json(sendErrorBody(e));
   }
 });
 
-// Endpoints pour les logs (nouveaux messages JSON uniquement)
-app.get('/api/logs', async (req, res) => {
+// Groupes WhatsApp de la session (?session= / "session", défaut: session par défaut)
+function waGroupErrorStatus(e) {
+  if (e?.code === 'wa_group_invalid') return 400;
+  if (e?.code === 'session_not_found' || e?.code === 'wa_group_not_found' || e?.status === 404) return 404;
+  if (e?.code === 'session_not_ready') return 503;
+  if (e?.code === 'wa_group_failed') return 502;
+  return e?.status || 500;
+}
+
+app.get('/api/wa-groups', requireApiKey, async (req, res) => {
   try {
-    const { limit, type, date, tel, exclude } = req.query;
-    const options = {};
-    
-    if (limit) options.limit = parseInt(limit);
-    if (type) options.type = type;
-    if (date) options.date = date;
-
-    // Liste des numéros à exclure (uniquement via query param)
-    const defaultExcluded = [];
-    const excludedNumbers = exclude ? [...defaultExcluded, ...exclude.split(',').map(n => n.trim())] : defaultExcluded;
-
-    // Fonction pour normaliser et vérifier si un numéro est exclu
-    const isExcluded = (phone) => {
-      const normalized = normalizeDigits(phone);
-      return excludedNumbers.some(ex => {
-        const exNorm = normalizeDigits(ex);
-        return normalized === exNorm || normalized.endsWith(exNorm) || exNorm.endsWith(normalized);
-      });
-    };
+    res.json({ ok: true, groups: await waGroups.list(req.query.session) });
+  } catch (e) {
+    res.status(waGroupErrorStatus(e)).json({ ok: false, error: e?.message || 'unknown' });
+  }
+});
 
-    // Récupérer tous les logs pour les erreurs
-    const allLogs = getLogs({ date: options.date });
-    
-    // Séparer les erreurs et les succès, puis filtrer
-    let errors = allLogs.filter(log => log.type === 'reminder_error' || log.type === 'error');
-    let messages = getSentMessages({ limit: options.limit || 1000, date: options.date });
-
-    // Filtrer par numéro de téléphone si spécifié
-    if (tel) {
-      const telNorm = normalizeDigits(tel);
-      messages = messages.filter(msg => {
-        const msgTel = normalizeDigits(msg.tel || '');
-        return msgTel.includes(telNorm) || telNorm.includes(msgTel);
-      });
-      errors = errors.filter(err => {
-        const errTel = normalizeDigits(err.request?.tel || '');
-        return errTel.includes(telNorm) || telNorm.includes(errTel);
-      });
+app.get('/api/wa-groups/:id', requireApiKey, async (req, res) => {
+  try {
+    res.json({ ok: true, group: await waGroups.get(req.query.session, req.params.id) });
+  } catch (e) {
+    res.status(waGroupErrorStatus(e)).json({ ok: false, error: e?.message || 'unknown' });
+  }
+});
+
+app.post('/api/wa-groups', requireApiKey, async (req, res) => {
+  try {
+    const { name, phones, session } = req.body || {};
+    res.status(201).json({ ok: true, group: await waGroups.create(session, { name, phones }) });
+  } catch (e) {
+    res.status(waGroupErrorStatus(e)).json({ ok: false, error: e?.message || 'unknown' });
+  }
+});
+
+app.post('/api/wa-groups/:id/participants', requireApiKey, async (req, res) => {
+  try {
+    const { phones, session } = req.body || {};
+    res.json({ ok: true, result: await waGroups.addParticipants(session, req.params.id, phones) });
+  } catch (e) {
+    res.status(waGroupErrorStatus(e)).json({ ok: false, error: e?.message || 'unknown' });
+  }
+});
+
+app.delete('/api/wa-groups/:id/participants', requireApiKey, async (req, res) => {
+  try {
+    const { phones, session } = req.body || {};
+    res.json({ ok: true, result: await waGroups.removeParticipants(session, req.params.id, phones) });
+  } catch (e) {
+    res.status(waGroupErrorStatus(e)).json({ ok: false, error: e?.message || 'unknown' });
+  }
+});
+
+// Message au groupe: text, ou templateKey + params ; image / document en multipart
+app.post('/api/wa-groups/:id/send', requireApiKey, upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'document', maxCount: 1 }
+]), async (req, res) => {
+  const files = [];
+  for (const kind of ['image', 'document']) {
+    const f = req.files?.[kind]?.[0];
+    if (f) files.push({ kind, ...f });
+  }
+  try {
+    const { text, templateKey, params, session, urgent } = req.body || {};
+    let body = text;
+    let meta = { endpoint: '/api/wa-groups/send' };
+    if (templateKey) {
+      const rendered = await renderTemplateText(templateKey, jsonField(params));
+      if (!rendered.text.trim()) throw new Error('Rendered text empty');
+      body = rendered.text;
+      meta = { ...meta, templateKey, templateSource: rendered.templateSource };
     }
+    const job = await waGroups.send(session, req.params.id, { text: body, files, urgent: parseFlag(urgent), meta });
+    await respondWithJob(res, job);
+  } catch (e) {
+    discardUploads(files);
+    if (e?.code === 'rate_limited') return res.status(429).json(sendErrorBody(e));
+    res.status(waGroupErrorStatus(e)).json({ ok: false, error: e?.message || 'unknown' });
+  }
+});
+
+// Messages programmés (JSON, ou multipart avec image / document)
+function scheduledErrorStatus(e) {
+  if (e?.code === 'scheduled_invalid' || e?.code === 'send_at_in_past') return 400;
+  if (e?.code === 'scheduled_not_found' || e?.code === 'session_not_found' || e?.status === 404) return 404;
+  if (e?.code === 'scheduled_not_pending') return 409;
+  return 500;
+}
+
+// Champ multipart envoyé en JSON (tableau de numéros, paramètres de template)
+function jsonField(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return value;
+  }
+}
+
+app.post('/api/scheduled', requireApiKey, upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'document', maxCount: 1 }
+]), async (req, res) => {
+  const files = [];
+  for (const kind of ['image', 'document']) {
+    const f = req.files?.[kind]?.[0];
+    if (f) files.push({ kind, ...f });
+  }
+  try {
+    const { phone, phones, sendAt, tz, text, templateKey, params, session, urgent } = req.body || {};
+    const item = await scheduledMessages.create({
+      phones: phones !== undefined ? jsonField(phones) : phone,
+      sendAt,
+      tz,
+      text,
+      templateKey,
+      params: jsonField(params),
+      files,
+      session: session || null,
+      urgent: parseFlag(urgent),
+    });
+    res.status(201).json({ ok: true, scheduled: item });
+  } catch (e) {
+    discardUploads(files);
+    res.status(scheduledErrorStatus(e)).json({ ok: false, error: e?.message || 'unknown' });
+  }
+});
+
+app.get('/api/scheduled', requireApiKey, (req, res) => {
+  res.json({ ok: true, scheduled: scheduledMessages.list({ status: req.query.status }) });
+});
+
+app.get('/api/scheduled/:id', requireApiKey, (req, res) => {
+  const item = scheduledMessages.get(req.params.id);
+  if (!item) return res.status(404).json({ ok: false, error: 'scheduled_not_found' });
+  res.json({ ok: true, scheduled: item });
+});
+
+app.patch('/api/scheduled/:id', requireApiKey, (req, res) => {
+  try {
+    const { sendAt, tz } = req.body || {};
+    res.json({ ok: true, scheduled: scheduledMessages.reschedule(req.params.id, { sendAt, tz }) });
+  } catch (e) {
+    res.status(scheduledErrorStatus(e)).json({ ok: false, error: e?.message || 'unknown' });
+  }
+});
+
+app.delete('/api/scheduled/:id', requireApiKey, (req, res) => {
+  try {
+    res.json({ ok: true, scheduled: scheduledMessages.cancel(req.params.id) });
+  } catch (e) {
+    res.status(scheduledErrorStatus(e)).json({ ok: false, error: e?.message || 'unknown' });
+  }
+});
+
+// Campagnes récurrentes (JSON, ou multipart avec image / document)
+function campaignErrorStatus(e) {
+  if (e?.code === 'campaign_invalid') return 400;
+  if (e?.code === 'campaign_not_found' || e?.code === 'session_not_found' || e?.code === 'group_not_found' || e?.status === 404) return 404;
+  return 500;
+}
+
+const campaignUpload = upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'document', maxCount: 1 }
+]);
+
+// Champs de campagne de la requête (seuls les champs fournis, pour PATCH)
+function campaignFields(req) {
+  const body = req.body || {};
+  const fields = {};
+  for (const key of ['name', 'description', 'cron', 'tz', 'text', 'templateKey', 'session', 'groupId']) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  if (body.phones !== undefined) fields.phones = jsonField(body.phones);
+  if (body.params !== undefined) fields.params = jsonField(body.params);
+  if (body.tags !== undefined) fields.tags = jsonField(body.tags);
+  if (body.urgent !== undefined) fields.urgent = parseFlag(body.urgent);
+  if (body.paused !== undefined) fields.paused = parseFlag(body.paused);
+  if (body.removeAttachments !== undefined) fields.removeAttachments = parseFlag(body.removeAttachments);
+  fields.files = [];
+  for (const kind of ['image', 'document']) {
+    const f = req.files?.[kind]?.[0];
+    if (f) fields.files.push({ kind, ...f });
+  }
+  return fields;
+}
+
+app.post('/api/campaigns', requireApiKey, campaignUpload, async (req, res) => {
+  const fields = campaignFields(req);
+  try {
+    res.status(201).json({ ok: true, campaign: await campaigns.create(fields) });
+  } catch (e) {
+    discardUploads(fields.files);
+    res.status(campaignErrorStatus(e)).json({ ok: false, error: e?.message || 'unknown' });
+  }
+});
+
+app.get('/api/campaigns', requireApiKey, (req, res) => {
+  res.json({ ok: true, campaigns: campaigns.list({ status: req.query.status }) });
+});
+
+app.get('/api/campaigns/:id', requireApiKey, (req, res) => {
+  const campaign = campaigns.get(req.params.id);
+  if (!campaign) return res.status(404).json({ ok: false, error: 'campaign_not_found' });
+  res.json({ ok: true, campaign });
+});
+
+app.patch('/api/campaigns/:id', requireApiKey, campaignUpload, async (req, res) => {
+  const fields = campaignFields(req);
+  try {
+    res.json({ ok: true, campaign: await campaigns.update(req.params.id, fields) });
+  } catch (e) {
+    discardUploads(fields.files);
+    res.status(campaignErrorStatus(e)).json({ ok: false, error: e?.message || 'unknown' });
+  }
+});
+
+app.delete('/api/campaigns/:id', requireApiKey, (req, res) => {
+  if (!campaigns.remove(req.params.id)) return res.status(404).json({ ok: false, error: 'campaign_not_found' });
+  res.json({ ok: true });
+});
+
+for (const [action, paused] of [['pause', true], ['resume', false]]) {
+  app.post(`/api/campaigns/:id/${action}`, requireApiKey, (req, res) => {
+    const campaign = campaigns.setPaused(req.params.id, paused);
+    if (!campaign) return res.status(404).json({ ok: false, error: 'campaign_not_found' });
+    res.json({ ok: true, campaign });
+  });
+}
 
-    // Exclure les numéros de la liste d'exclusion
-    messages = messages.filter(msg => !isExcluded(msg.tel));
-    errors = errors.filter(err => !isExcluded(err.request?.tel));
+// Exécution immédiate (même en pause), hors planning
+app.post('/api/campaigns/:id/run', requireApiKey, async (req, res) => {
+  try {
+    const run = await campaigns.trigger(req.params.id);
+    if (!run) return res.status(404).json({ ok: false, error: 'campaign_not_found' });
+    res.status(202).json({ ok: true, run });
+  } catch (e) {
+    res.status(campaignErrorStatus(e)).json({ ok: false, error: e?.message || 'unknown' });
+  }
+});
+
+app.get('/api/campaigns/:id/runs', requireApiKey, (req, res) => {
+  const campaign = campaigns.get(req.params.id);
+  if (!campaign) return res.status(404).json({ ok: false, error: 'campaign_not_found' });
+  res.json({ ok: true, runs: campaign.runs });
+});
+
+// Templates locaux (CRUD + aperçu)
+function templateErrorStatus(e) {
+  if (e?.code === 'template_invalid') return 400;
+  if (e?.code === 'template_exists') return 409;
+  return 500;
+}
+
+app.get('/api/templates', requireApiKey, (_req, res) => {
+  res.json({ ok: true, templates: listTemplates() });
+});
+
+// Aperçu d'un texte non enregistré: { body, params }
+app.post('/api/templates/preview', requireApiKey, (req, res) => {
+  try {
+    const { body, params } = req.body || {};
+    if (!body) return res.status(400).json({ ok: false, error: 'body_required' });
+    res.json({ ok: true, ...renderTemplate(body, params || {}) });
+  } catch (e) {
+    res.status(templateErrorStatus(e)).json({ ok: false, error: e?.message || 'unknown' });
+  }
+});
+
+app.get('/api/templates/:key', requireApiKey, (req, res) => {
+  const template = getTemplate(req.params.key);
+  if (!template) return res.status(404).json({ ok: false, error: 'template_not_found' });
+  res.json({ ok: true, template });
+});
+
+app.post('/api/templates', requireApiKey, (req, res) => {
+  try {
+    const { key, body, description } = req.body || {};
+    const template = saveTemplate({ key, body, description }, { create: true });
+    res.status(201).json({ ok: true, template });
+  } catch (e) {
+    res.status(templateErrorStatus(e)).json({ ok: false, error: e?.message || 'unknown' });
+  }
+});
+
+app.put('/api/templates/:key', requireApiKey, (req, res) => {
+  try {
+    const { body, description } = req.body || {};
+    const template = saveTemplate({ key: req.params.key, body, description });
+    res.json({ ok: true, template });
+  } catch (e) {
+    res.status(templateErrorStatus(e)).json({ ok: false, error: e?.message || 'unknown' });
+  }
+});
+
+app.delete('/api/templates/:key', requireApiKey, (req, res) => {
+  if (!deleteTemplate(req.params.key)) return res.status(404).json({ ok: false, error: 'template_not_found' });
+  res.json({ ok: true });
+});
+
+// Rendu d'un template (local, ou sirh-back en repli) sans envoi: { params }
+app.post('/api/templates/:key/preview', requireApiKey, async (req, res) => {
+  try {
+    const rendered = await renderTemplateText(req.params.key, req.body?.params || {});
+    res.json({ ok: true, ...rendered });
+  } catch (e) {
+    res.status(e?.status || templateErrorStatus(e)).json({ ok: false, error: e?.message || 'unknown' });
+  }
+});
+
+// Webhooks sortants (admin)
+function webhookErrorStatus(e) {
+  if (e?.code === 'webhook_invalid') return 400;
+  return 500;
+}
+
+app.get('/api/webhooks', requireApiKey, (_req, res) => {
+  res.json({ ok: true, webhooks: webhooks.list() });
+});
+
+app.post('/api/webhooks', requireApiKey, (req, res) => {
+  try {
+    const { url, events, secret, description } = req.body || {};
+    const webhook = webhooks.create({ url, events, secret, description });
+    res.status(201).json({ ok: true, webhook });
+  } catch (e) {
+    res.status(webhookErrorStatus(e)).json({ ok: false, error: e?.message || 'unknown' });
+  }
+});
+
+app.get('/api/webhooks/deliveries', requireApiKey, (req, res) => {
+  const { subscriptionId, status, event, limit } = req.query;
+  res.json({
+    ok: true,
+    deliveries: webhooks.listDeliveries({ subscriptionId, status, event, limit: limit ? parseInt(limit) : 100 }),
+  });
+});
+
+app.post('/api/webhooks/deliveries/:id/retry', requireApiKey, (req, res) => {
+  const result = webhooks.redeliver(req.params.id);
+  if (!result.ok) {
+    const status = result.error.endsWith('_not_found') ? 404 : 409;
+    return res.status(status).json(result);
+  }
+  res.json(result);
+});
+
+app.get('/api/webhooks/:id', requireApiKey, (req, res) => {
+  const webhook = webhooks.get(req.params.id);
+  if (!webhook) return res.status(404).json({ ok: false, error: 'webhook_not_found' });
+  res.json({ ok: true, webhook, deliveries: webhooks.listDeliveries({ subscriptionId: req.params.id, limit: 20 }) });
+});
+
+app.put('/api/webhooks/:id', requireApiKey, (req, res) => {
+  try {
+    const { url, events, secret, description, enabled } = req.body || {};
+    const webhook = webhooks.update(req.params.id, { url, events, secret, description, enabled });
+    if (!webhook) return res.status(404).json({ ok: false, error: 'webhook_not_found' });
+    res.json({ ok: true, webhook });
+  } catch (e) {
+    res.status(webhookErrorStatus(e)).json({ ok: false, error: e?.message || 'unknown' });
+  }
+});
 
-    // Calculer les statistiques (uniquement messages et erreurs, après filtres)
-    const today = new Date().toISOString().split('T')[0];
-    const todayMessages = messages.filter(msg => msg.timestamp && msg.timestamp.startsWith(today));
-    const todayErrors = errors.filter(err => err.timestamp && err.timestamp.startsWith(today));
+app.delete('/api/webhooks/:id', requireApiKey, (req, res) => {
+  if (!webhooks.remove(req.params.id)) return res.status(404).json({ ok: false, error: 'webhook_not_found' });
+  res.json({ ok: true });
+});
+
+app.post('/api/webhooks/:id/test', requireApiKey, (req, res) => {
+  const delivery = webhooks.test(req.params.id);
+  if (!delivery) return res.status(404).json({ ok: false, error: 'webhook_not_found' });
+  res.status(202).json({ ok: true, deliveryId: delivery.id });
+});
+
+// Registre opt-out (admin)
+app.get('/api/opt-outs', requireApiKey, (_req, res) => {
+  const entries = optOut.list();
+  res.json({ ok: true, optOuts: entries, total: entries.length });
+});
+
+app.get('/api/opt-outs/:phone', requireApiKey, (req, res) => {
+  const entry = optOut.get(req.params.phone);
+  res.json({ ok: true, optedOut: !!entry, entry });
+});
+
+app.post('/api/opt-outs', requireApiKey, (req, res) => {
+  const { phone, reason } = req.body || {};
+  if (!phone || !normalizePhone(phone)) return res.status(400).json({ ok: false, error: 'phone requis' });
+  const { entry, created } = optOut.add(phone, { source: 'admin', reason: reason || null });
+  res.status(created ? 201 : 200).json({ ok: true, created, entry });
+});
+
+app.delete('/api/opt-outs/:phone', requireApiKey, (req, res) => {
+  if (!optOut.remove(req.params.phone)) return res.status(404).json({ ok: false, error: 'opt_out_not_found' });
+  res.json({ ok: true });
+});
+
+// Validation des numéros (mêmes règles que les envois ; utilisée par l'interface web)
+const PHONES_BATCH_MAX = 10000;
+
+app.post('/api/phones/normalize', (req, res) => {
+  const { phone, phones, country } = req.body || {};
+  const list = Array.isArray(phones) ? phones : phone !== undefined ? [phone] : null;
+  if (!list) return res.status(400).json({ ok: false, error: 'phone_or_phones_required' });
+  if (list.length > PHONES_BATCH_MAX) return res.status(400).json({ ok: false, error: 'too_many_phones', max: PHONES_BATCH_MAX });
+  const options = country ? { country: String(country).toUpperCase() } : undefined;
+  if (options && !isSupportedCountry(options.country)) return res.status(400).json({ ok: false, error: 'invalid_country' });
+
+  const results = list.map((p) => {
+    const parsed = parsePhone(p, options);
+    return { ...parsed, jid: parsed.valid ? `${parsed.digits}@c.us` : null };
+  });
+  const valid = results.filter((r) => r.valid).length;
+  res.json({ ok: true, results, valid, invalid: results.length - valid });
+});
+
+// Inscription sur WhatsApp (cache partagé avec la file d'envoi ; utilisée par l'interface web)
+const PHONES_CHECK_MAX = parseInt(process.env.PHONES_CHECK_MAX || '20', 10);
+
+app.post('/api/phones/check', requireApiKey, async (req, res) => {
+  const { phone, phones, country, session, refresh } = req.body || {};
+  const list = Array.isArray(phones) ? phones : phone !== undefined ? [phone] : null;
+  if (!list) return res.status(400).json({ ok: false, error: 'phone_or_phones_required' });
+  if (list.length > PHONES_CHECK_MAX) return res.status(400).json({ ok: false, error: 'too_many_phones', max: PHONES_CHECK_MAX });
+  const options = country ? { country: String(country).toUpperCase() } : undefined;
+  if (options && !isSupportedCountry(options.country)) return res.status(400).json({ ok: false, error: 'invalid_country' });
+
+  const parsed = list.map((p) => parsePhone(p, options));
+  try {
+    const checks = await numberRegistry.checkMany(
+      session,
+      parsed.filter((p) => p.valid).map((p) => p.digits),
+      { refresh: refresh === true || refresh === 'true' }
+    );
+    const results = parsed.map((p) => {
+      const base = { input: p.input, valid: p.valid, digits: p.digits, reason: p.reason, message: p.message };
+      if (!p.valid) return { ...base, registered: null, jid: null };
+      const check = checks.get(p.digits);
+      if (check.error) return { ...base, registered: null, jid: null, error: check.error };
+      return { ...base, registered: check.registered, jid: check.jid, cached: check.cached, checkedAt: check.checkedAt };
+    });
+    res.json({
+      ok: true,
+      results,
+      registered: results.filter((r) => r.registered === true).length,
+      notRegistered: results.filter((r) => r.registered === false).length,
+      invalid: results.filter((r) => !r.valid).length,
+      unchecked: results.filter((r) => r.valid && r.registered === null).length,
+    });
+  } catch (e) {
+    const status = e?.code === 'session_not_found' ? 404 : e?.code === 'session_not_ready' ? 503 : 500;
+    res.status(status).json({ ok: false, error: e?.message || 'unknown' });
+  }
+});
+
+// Plage d'envoi en vigueur et prochaine ouverture
+app.get('/api/delivery-window', requireApiKey, (_req, res) => {
+  res.json({ ok: true, ...deliveryWindow.describe() });
+});
 
+// Suivi des jobs de la file d'envoi (ID retourné par /send-*, bulk, socket)
+app.get('/api/queue', requireApiKey, (req, res) => {
+  const { status, session, limit } = req.query;
+  const jobs = sendQueue.list({ status, session, limit: limit ? parseInt(limit) : 100 });
+  res.json({
+    ok: true,
+    stats: sendQueue.stats({ session }),
+    ready: sessions.isReady(session),
+    limits: rateLimiter.status(session || sessions.defaultName),
+    jobs,
+  });
+});
+
+app.get('/api/queue/:id', requireApiKey, (req, res) => {
+  const job = sendQueue.get(req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: 'job_not_found' });
+  res.json({ ok: true, job });
+});
+
+// Endpoints pour les logs
+const LOGS_MAX_PAGE_SIZE = 1000;
+
+function pageParam(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * Filtres communs de /api/logs et /api/logs/messages (query string)
+ * @returns {{ filters: Object }|{ error: string }}
+ */
+function parseLogFilters(query) {
+  const { date, from, to, tel, exclude, session, source, endpoint, taskId, templateKey, q, sort, order } = query;
+  for (const value of [from, to]) {
+    if (value && !DateTime.fromISO(String(value)).isValid) return { error: 'invalid_date_range' };
+  }
+  if (sort && !LOG_SORT_FIELDS.includes(sort)) return { error: 'invalid_sort' };
+  if (order && !['asc', 'desc'].includes(String(order).toLowerCase())) return { error: 'invalid_order' };
+  return {
+    filters: {
+      date,
+      from,
+      to,
+      tel,
+      excludeTels: exclude ? exclude.split(',').map((n) => n.trim()).filter(Boolean) : [],
+      session,
+      defaultSession: sessions.defaultName,
+      source,
+      endpoint,
+      taskId,
+      templateKey,
+      q: q ? String(q).trim() : undefined,
+      sort,
+      order,
+    },
+  };
+}
+
+function pagination(offset, limit, total) {
+  return { offset, limit, total, hasMore: offset + limit < total };
+}
+
+app.get('/api/logs', async (req, res) => {
+  try {
+    const { filters, error } = parseLogFilters(req.query);
+    if (error) return res.status(400).json({ ok: false, error });
+
+    const { status } = req.query;
+    const limit = Math.min(pageParam(req.query.limit, 100), LOGS_MAX_PAGE_SIZE);
+    const offset = pageParam(req.query.offset, 0);
+    const errorsLimit = Math.min(pageParam(req.query.errorsLimit, 20), LOGS_MAX_PAGE_SIZE);
+    const errorsOffset = pageParam(req.query.errorsOffset, 0);
+    const today = DateTime.now().setZone(REMINDER_TZ).toISODate();
+
+    const messageFilters = { ...filters, status };
+    const errorFilters = { ...filters, types: ['reminder_error', 'error'] };
+
+    const [messages, errors, messageCounts, errorCounts] = await Promise.all([
+      getSentMessages({ ...messageFilters, limit, offset }),
+      getLogs({ ...errorFilters, limit: errorsLimit, offset: errorsOffset }),
+      countLogs({ ...messageFilters, type: 'reminder_success', today }),
+      countLogs({ ...errorFilters, today }),
+    ]);
+
+    // Statistiques sur l'ensemble filtré (pas seulement la page)
     const stats = {
-      totalMessages: messages.length,
-      totalErrors: errors.length,
-      todayMessages: todayMessages.length,
-      todayErrors: todayErrors.length,
-      total: messages.length + errors.length,
-      today: todayMessages.length + todayErrors.length
+      totalMessages: messageCounts.total,
+      totalErrors: errorCounts.total,
+      todayMessages: messageCounts.today,
+      todayErrors: errorCounts.today,
+      total: messageCounts.total + errorCounts.total,
+      today: messageCounts.today + errorCounts.today,
+      delivered: messageCounts.delivered,
+      read: messageCounts.read,
+      failedAcks: messageCounts.failed
     };
 
-    // Limiter les résultats après calcul des stats
-    const limitedMessages = limit ? messages.slice(0, parseInt(limit)) : messages.slice(0, 100);
-    const limitedErrors = errors.slice(0, 20);
-
     res.json({ 
       ok: true, 
-      errors: limitedErrors,
-      messages: limitedMessages, 
+      errors,
+      messages, 
       stats,
+      pagination: {
+        messages: pagination(offset, limit, messageCounts.total),
+        errors: pagination(errorsOffset, errorsLimit, errorCounts.total),
+      },
       filters: {
-        date: date || null,
-        tel: tel || null,
-        excluded: excludedNumbers,
-        limit: limit || 100
+        date: filters.date || null,
+        from: filters.from || null,
+        to: filters.to || null,
+        tel: filters.tel || null,
+        status: status || null,
+        session: filters.session || null,
+        source: filters.source || null,
+        endpoint: filters.endpoint || null,
+        taskId: filters.taskId || null,
+        templateKey: filters.templateKey || null,
+        q: filters.q || null,
+        sort: filters.sort || 'timestamp',
+        order: filters.order || 'desc',
+        excluded: filters.excludeTels,
+        limit
       }
     });
   } catch (e) {
@@ -428,32 +1300,114 @@ app.get('/api/logs', async (req, res) => {
 
 app.get('/api/logs/messages', async (req, res) => {
   try {
-    const { limit, date } = req.query;
-    const options = {};
-    
-    if (limit) options.limit = parseInt(limit);
-    if (date) options.date = date;
+    const { filters, error } = parseLogFilters(req.query);
+    if (error) return res.status(400).json({ ok: false, error });
 
-    const messages = getSentMessages(options);
+    const messageFilters = { ...filters, status: req.query.status };
+    const limit = Math.min(pageParam(req.query.limit, 100), LOGS_MAX_PAGE_SIZE);
+    const offset = pageParam(req.query.offset, 0);
 
-    res.json({ ok: true, messages, total: messages.length });
+    const [messages, counts] = await Promise.all([
+      getSentMessages({ ...messageFilters, limit, offset }),
+      countLogs({ ...messageFilters, type: 'reminder_success' }),
+    ]);
+
+    res.json({ ok: true, messages, total: counts.total, ...pagination(offset, limit, counts.total) });
   } catch (e) {
     console.error('[logs] Error:', e);
     res.status(500).json({ ok: false, error: e?.message || 'unknown' });
   }
 });
 
-// Endpoint statistiques désactivé - travail uniquement avec nouveaux messages JSON
-// app.get('/api/logs/stats', ...);
+// Export CSV / XLSX (mêmes filtres que /api/logs, plus type), écrit au fil de la lecture
+app.get('/api/logs/export', async (req, res) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) return res.status(400).json({ ok: false, error: 'invalid_format' });
+  const { filters, error } = parseLogFilters(req.query);
+  if (error) return res.status(400).json({ ok: false, error });
+
+  // Le statut de remise ne concerne que les messages envoyés
+  const { status } = req.query;
+  const type = req.query.type || (status ? 'reminder_success' : undefined);
+  const filename = `logs-${DateTime.now().setZone(REMINDER_TZ).toFormat('yyyyLLdd-HHmm')}.${format}`;
+  res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  try {
+    await writeLogsExport({ format, logs: iterateLogs({ ...filters, type, status }), stream: res });
+  } catch (e) {
+    console.error('[logs] Export error:', e);
+    // En-têtes déjà envoyés: on coupe la réponse pour signaler un fichier incomplet
+    if (res.headersSent) res.destroy(e);
+    else res.status(500).json({ ok: false, error: e?.message || 'unknown' });
+  }
+});
+
+// Messages reçus (même accès que les logs)
+app.get('/api/inbox', async (req, res) => {
+  try {
+    const { phone, tel, date, taskId, session, limit } = req.query;
+    const result = await inbox.list({
+      phone: phone || tel,
+      date,
+      taskId,
+      session,
+      limit: limit ? parseInt(limit) : 100,
+    });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error('[inbox] Error:', e);
+    res.status(500).json({ ok: false, error: e?.message || 'unknown' });
+  }
+});
+
+// Statistiques d'envoi (mêmes filtres que /api/logs), 30 derniers jours par défaut
+const STATS_MAX_BUCKETS = 1000;
+const STATS_MAX_TOP = 100;
+
+app.get('/api/logs/stats', async (req, res) => {
+  try {
+    const { filters, error } = parseLogFilters(req.query);
+    if (error) return res.status(400).json({ ok: false, error });
+    const granularity = String(req.query.granularity || 'day').toLowerCase();
+    if (!LOG_STATS_GRANULARITIES.includes(granularity)) return res.status(400).json({ ok: false, error: 'invalid_granularity' });
+
+    // Jours couverts par la série (la période par défaut se termine aujourd'hui)
+    const day = (value) => (value ? DateTime.fromISO(String(value), { zone: REMINDER_TZ }).startOf('day') : null);
+    const lastDay = day(filters.to || filters.date) || DateTime.now().setZone(REMINDER_TZ).startOf('day');
+    const firstDay = day(filters.from || filters.date) || lastDay.minus({ days: granularity === 'hour' ? 0 : 29 });
+    if (firstDay > lastDay) return res.status(400).json({ ok: false, error: 'invalid_date_range' });
+    const buckets = (Math.round(lastDay.diff(firstDay, 'days').days) + 1) * (granularity === 'hour' ? 24 : 1);
+    if (buckets > STATS_MAX_BUCKETS) return res.status(400).json({ ok: false, error: 'range_too_large', maxBuckets: STATS_MAX_BUCKETS });
+
+    const top = Math.min(pageParam(req.query.top, 10) || 10, STATS_MAX_TOP);
+    const from = filters.from || firstDay.toISODate();
+    const to = filters.to || lastDay.toISODate();
+    const stats = await getLogStatistics({
+      ...filters,
+      from,
+      to,
+      granularity,
+      top,
+      firstDay: firstDay.toISODate(),
+      lastDay: lastDay.toISODate(),
+    });
+
+    res.json({ ok: true, from, to, granularity, tz: REMINDER_TZ, ...stats });
+  } catch (e) {
+    console.error('[logs] Stats error:', e);
+    res.status(500).json({ ok: false, error: e?.message || 'unknown' });
+  }
+});
 
 // Endpoint backfill désactivé - travail uniquement avec JSON
 // app.post('/api/logs/backfill-reminders', requireApiKey, async (req, res) => {
 //   res.status(410).json({ ok: false, error: 'endpoint_disabled', message: 'Backfill désactivé - travail uniquement avec JSON' });
 // });
 
-app.delete('/api/logs', requireApiKey, (req, res) => {
+app.delete('/api/logs', requireApiKey, async (req, res) => {
   try {
-    const result = clearLogs();
+    const result = await clearLogs();
     res.json({ ok: true, cleared: result });
   } catch (e) {
     console.error('[logs] Error:', e);
@@ -461,196 +1415,300 @@ app.delete('/api/logs', requireApiKey, (req, res) => {
   }
 });
 
-// Test endpoint to manually trigger reminders - DÉSACTIVÉ
-// app.post('/api/send-reminder-test', requireApiKey, async (req, res) => {
-//   res.status(410).json({ ok: false, error: 'reminders_disabled', message: 'Les reminders automatiques sont désactivés' });
-// });
+// Administration des plannings de rappels
+app.get('/api/reminders/schedules', requireApiKey, requireReminders, (_req, res) => {
+  res.json({ ok: true, source: REMINDER_SOURCE, tz: REMINDER_TZ, schedules: reminderScheduler.list() });
+});
+
+app.get('/api/reminders/schedules/:name', requireApiKey, requireReminders, (req, res) => {
+  const schedule = reminderScheduler.get(req.params.name);
+  if (!schedule) return res.status(404).json({ ok: false, error: 'schedule_not_found' });
+  res.json({ ok: true, schedule });
+});
+
+// Déclenchement manuel: ?wait=true attend la fin du run, sinon réponse 202 immédiate
+app.post('/api/reminders/schedules/:name/run', requireApiKey, requireReminders, async (req, res) => {
+  try {
+    const started = reminderScheduler.trigger(req.params.name);
+    if (!started.ok) return res.status(started.error === 'schedule_not_found' ? 404 : 409).json(started);
+    if (String(req.query.wait || '').toLowerCase() === 'true') {
+      const result = await started.promise;
+      return res.json({ ok: true, result });
+    }
+    res.status(202).json({ ok: true, started: true, schedule: reminderScheduler.get(req.params.name) });
+  } catch (e) {
+    console.error('[reminders] Error:', e);
+    res.status(500).json({ ok: false, error: e?.message || 'unknown' });
+  }
+});
+
+for (const [action, enabled] of [['enable', true], ['disable', false]]) {
+  app.post(`/api/reminders/schedules/:name/${action}`, requireApiKey, requireReminders, (req, res) => {
+    const result = reminderScheduler.setEnabled(req.params.name, enabled);
+    if (!result.ok) return res.status(404).json(result);
+    res.json(result);
+  });
+}
+
+// Destinataires aux variables manquantes listés dans les réponses (le total est dans missingCount)
+const MISSING_LIST_MAX = 100;
 
 // Endpoint pour l'envoi en masse avec support image/document
-app.post('/api/send-bulk', upload.fields([
+app.post('/api/send-bulk', requireApiKey, upload.fields([
   { name: 'image', maxCount: 1 },
   { name: 'document', maxCount: 1 }
 ]), async (req, res) => {
   try {
-    // Vérifier l'état de WhatsApp
-    let state = 'UNKNOWN';
-    try { state = await client.getState(); } catch (_) {}
-    const connected = isClientReady && (state === 'CONNECTED' || lastState === 'CONNECTED');
-    
-    if (!connected) {
-      return res.status(503).json({ 
-        ok: false, 
-        error: 'wa_not_ready', 
-        state, 
-        lastState, 
-        isClientReady,
-        message: 'WhatsApp client is not ready. Please scan QR code first.' 
-      });
-    }
-
     // Récupérer les données
-    const { message, phones } = req.body;
+    const { message, phones, recipients, groupId, tags, session, urgent } = req.body;
     
-    if (!message || !phones) {
+    if (!message || (!phones && !recipients && !groupId && !tags)) {
       return res.status(400).json({ ok: false, error: 'message_and_phones_required' });
     }
+    if (session && !sessions.has(session)) {
+      const err = new Error('session_not_found');
+      err.status = 404;
+      throw err;
+    }
 
-    // Parser les numéros de téléphone
-    let phoneList;
-    try {
-      phoneList = JSON.parse(phones);
-    } catch (e) {
-      return res.status(400).json({ ok: false, error: 'invalid_phones_format', message: 'phones must be a JSON array' });
+    // Destinataires: numéros seuls (phones), lignes CSV avec leurs variables (recipients)
+    let entries = [];
+    if (phones) {
+      let phoneList;
+      try {
+        phoneList = JSON.parse(phones);
+      } catch (e) {
+        return res.status(400).json({ ok: false, error: 'invalid_phones_format', message: 'phones must be a JSON array' });
+      }
+      if (!Array.isArray(phoneList)) {
+        return res.status(400).json({ ok: false, error: 'phones_must_be_array' });
+      }
+      entries = phoneList.map((phone) => ({ phone }));
+    }
+    if (recipients) {
+      const list = jsonField(recipients);
+      if (!Array.isArray(list) || list.some((r) => !r || typeof r !== 'object' || !r.phone)) {
+        return res.status(400).json({ ok: false, error: 'invalid_recipients_format', message: 'recipients must be a JSON array of { phone, variables }' });
+      }
+      entries.push(...list.map((r) => ({ phone: r.phone, variables: r.variables })));
     }
 
-    if (!Array.isArray(phoneList) || phoneList.length === 0) {
-      return res.status(400).json({ ok: false, error: 'phones_must_be_array' });
+    // Groupe et / ou tags du carnet de contacts: nom et champs du contact comme variables
+    if (groupId || tags) {
+      try {
+        const target = contactBook.resolve({ groupId, tags: jsonField(tags) });
+        entries.push(...target.map((c) => ({ phone: c.phone, variables: { ...c.fields, name: c.name, nom: c.name } })));
+      } catch (e) {
+        return res.status(contactErrorStatus(e)).json({ ok: false, error: e?.message || 'unknown' });
+      }
     }
 
-    console.log(`[bulk-send] Starting bulk send to ${phoneList.length} numbers...`);
+    if (entries.length === 0) {
+      return res.status(400).json({ ok: false, error: phones ? 'phones_must_be_array' : 'no_recipients' });
+    }
 
-    // Préparer les fichiers média si présents
-    let imageMedia = null;
-    let documentMedia = null;
+    // Numéros invalides écartés (et renvoyés avec leur motif) ; un numéro en double garde sa première ligne
+    const invalid = [];
+    const byPhone = new Map();
+    for (const entry of entries) {
+      const parsed = parsePhone(entry.phone);
+      if (!parsed.valid) invalid.push({ phone: String(entry.phone), reason: parsed.reason, message: parsed.message });
+      else if (!byPhone.has(parsed.digits)) byPhone.set(parsed.digits, entry);
+    }
+    if (byPhone.size === 0) {
+      return res.status(400).json({ ok: false, error: 'no_valid_phones', invalid });
+    }
+    const phoneList = [...byPhone.values()].map((entry) => entry.phone);
+    const variables = [...byPhone.values()].map((entry) => entry.variables || null);
 
+    // Le job tourne en arrière-plan: progression via Socket.IO (bulk_progress) et GET /api/jobs/:id
+    const files = [];
     if (req.files && req.files['image'] && req.files['image'][0]) {
       const imageFile = req.files['image'][0];
-      // Créer MessageMedia avec mimetype explicite pour images
-      imageMedia = new MessageMedia(
-        imageFile.mimetype,
-        fs.readFileSync(imageFile.path, { encoding: 'base64' }),
-        imageFile.originalname
-      );
+      files.push({ kind: 'image', ...imageFile });
       console.log(`[bulk-send] Image attached: ${imageFile.originalname} (${imageFile.mimetype})`);
     }
-
     if (req.files && req.files['document'] && req.files['document'][0]) {
       const documentFile = req.files['document'][0];
-      documentMedia = new MessageMedia(
-        documentFile.mimetype,
-        fs.readFileSync(documentFile.path, { encoding: 'base64' }),
-        documentFile.originalname
-      );
+      files.push({ kind: 'document', ...documentFile });
       console.log(`[bulk-send] Document attached: ${documentFile.originalname}`);
     }
 
-    // Envoyer les messages
-    const results = {
-      sent: 0,
-      failed: 0,
-      errors: []
-    };
+    const job = bulkJobs.create({ message, phones: phoneList, variables, files, session: session || null, urgent: parseFlag(urgent) });
 
-    for (const phone of phoneList) {
-      try {
-        const jid = normalizeToJid(phone);
-        
-        // Vérifier que le numéro existe sur WhatsApp
-        try {
-          const numberId = await client.getNumberId(jid.replace('@c.us', ''));
-          if (!numberId) {
-            throw new Error('Number not registered on WhatsApp');
-          }
-        } catch (checkError) {
-          console.warn(`[bulk-send] Invalid number ${phone}:`, checkError.message);
-          results.failed++;
-          results.errors.push({ phone, error: 'not_on_whatsapp' });
-          continue;
-        }
-
-        // Envoyer le message texte
-        const sentMsg = await client.sendMessage(jid, message);
-        
-        // Envoyer l'image comme média (séparé)
-        if (imageMedia) {
-          await client.sendMessage(jid, imageMedia);
-        }
-        
-        // Envoyer le document si présent
-        if (documentMedia) {
-          await client.sendMessage(jid, documentMedia, { caption: 'Document joint' });
-        }
-
-        results.sent++;
-        if ((process.env.BULK_VERBOSE_LOGS || 'false').toLowerCase() === 'true') {
-          console.log(`[bulk-send] Sent to ${phone}`);
-        }
-
-        // Logger le succès
-        logReminder({
-          type: 'reminder_success',
-          date: new Date().toISOString().split('T')[0],
-          request: { 
-            tel: phone, 
-            message: message, 
-            source: 'bulk_send',
-            hasImage: !!imageMedia,
-            hasDocument: !!documentMedia
-          },
-          response: { success: true, jid, messageId: sentMsg?.id?._serialized }
-        });
+    res.status(202).json({
+      ok: true,
+      jobId: job.id,
+      status: job.status,
+      total: job.total,
+      personalized: job.personalized,
+      invalid,
+      // Hors plage d'envoi: les messages partiront à la prochaine ouverture
+      heldUntil: job.urgent || deliveryWindow.isOpen() ? null : deliveryWindow.nextOpening()
+    });
 
-        // Petit délai pour éviter de surcharger WhatsApp
-        await new Promise(resolve => setTimeout(resolve, 1000));
-
-      } catch (error) {
-        console.error(`[bulk-send] Failed to send to ${phone}:`, error.message);
-        results.failed++;
-        results.errors.push({ phone, error: error.message });
-
-        // Logger l'erreur
-        logReminder({
-          type: 'reminder_error',
-          date: new Date().toISOString().split('T')[0],
-          request: { 
-            tel: phone, 
-            message: message, 
-            source: 'bulk_send' 
-          },
-          response: { success: false },
-          error: error.message
-        });
-      }
+  } catch (e) {
+    console.error('[bulk-send] Error:', e);
+    
+    // Nettoyer les fichiers temporaires en cas d'erreur
+    discardUploads(Object.values(req.files || {}).flat());
+    
+    // Message mal formé, ou variables absentes pour certains destinataires
+    if (e?.code === 'template_invalid') return res.status(400).json({ ok: false, error: 'template_invalid', message: e.message });
+    if (e?.code === 'missing_variables') {
+      return res.status(400).json({ ok: false, error: 'missing_variables', missing: e.missing.slice(0, MISSING_LIST_MAX), missingCount: e.missing.length });
     }
+    res.status(e?.status || 500).json({ ok: false, error: e?.message || 'unknown' });
+  }
+});
 
-    // Nettoyer les fichiers temporaires
-    if (req.files) {
-      if (req.files['image'] && req.files['image'][0]) {
-        fs.unlinkSync(req.files['image'][0].path);
-      }
-      if (req.files['document'] && req.files['document'][0]) {
-        fs.unlinkSync(req.files['document'][0].path);
-      }
+// Personnalisation des envois en masse (interface web): lecture du CSV et aperçu des messages rendus
+app.post('/api/send-bulk/csv', requireApiKey, upload.single('file'), (req, res) => {
+  try {
+    let text = req.body?.csv || '';
+    if (req.file) {
+      text = fs.readFileSync(req.file.path, 'utf8');
     }
+    if (!text) return res.status(400).json({ ok: false, error: 'csv_required' });
+    res.json({ ok: true, ...recipientsFromCsv(text) });
+  } catch (e) {
+    res.status(e?.code === 'csv_phone_column_required' ? 400 : 500).json({ ok: false, error: e?.code || 'unknown', message: e?.message });
+  } finally {
+    if (req.file) discardUploads([req.file]);
+  }
+});
 
-    console.log(`[bulk-send] Completed: ${results.sent} sent, ${results.failed} failed`);
-
+app.post('/api/send-bulk/preview', requireApiKey, (req, res) => {
+  const { message, recipients, limit } = req.body || {};
+  if (!message) return res.status(400).json({ ok: false, error: 'message_required' });
+  if (!Array.isArray(recipients)) return res.status(400).json({ ok: false, error: 'recipients_must_be_array' });
+  try {
+    const list = recipients.map((r) => ({ phone: String(r?.phone || ''), variables: normalizeVariables(r?.variables) }));
+    const { texts, missing } = personalize(message, list);
+    const count = Math.min(Math.max(parseInt(limit, 10) || 3, 0), 20);
     res.json({
       ok: true,
-      sent: results.sent,
-      failed: results.failed,
-      total: phoneList.length,
-      errors: results.errors
+      previews: list.slice(0, count).map((r, i) => ({ phone: r.phone, text: texts[i] })),
+      missing: missing.slice(0, MISSING_LIST_MAX),
+      missingCount: missing.length,
     });
+  } catch (e) {
+    res.status(e?.code === 'template_invalid' ? 400 : 500).json({ ok: false, error: e?.code || 'unknown', message: e?.message });
+  }
+});
+
+// Suivi et contrôle des envois en masse
+app.get('/api/jobs', (req, res) => {
+  res.json({ ok: true, jobs: bulkJobs.list({ status: req.query.status }) });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = bulkJobs.get(req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: 'job_not_found' });
+  res.json({ ok: true, job });
+});
+
+for (const action of ['pause', 'resume', 'cancel']) {
+  app.post(`/api/jobs/:id/${action}`, requireApiKey, (req, res) => {
+    const result = bulkJobs[action](req.params.id);
+    if (!result.ok) return res.status(result.error === 'job_not_found' ? 404 : 409).json(result);
+    res.json(result);
+  });
+}
+
+// Carnet de contacts et groupes (clé API, y compris en lecture: noms, numéros et champs personnels)
+function contactErrorStatus(e) {
+  if (e?.code === 'contact_invalid') return 400;
+  if (e?.code === 'contact_not_found' || e?.code === 'group_not_found') return 404;
+  if (e?.code === 'contact_exists' || e?.code === 'group_exists') return 409;
+  return 500;
+}
+
+// Route JSON du carnet: le résultat de `fn`, ou l'erreur avec son statut
+function contactRoute(fn, notFound = 'contact_not_found') {
+  return (req, res) => {
+    try {
+      const result = fn(req);
+      if (result === null) return res.status(404).json({ ok: false, error: notFound });
+      res.json({ ok: true, ...result });
+    } catch (e) {
+      res.status(contactErrorStatus(e)).json({ ok: false, error: e?.message || 'unknown' });
+    }
+  };
+}
+
+app.get('/api/contacts', requireApiKey, contactRoute((req) => {
+  const { q, tags, groupId } = req.query;
+  return { contacts: contactBook.list({ q, tags, groupId }) };
+}));
 
+app.get('/api/contacts/tags', requireApiKey, contactRoute(() => ({ tags: contactBook.tagCounts() })));
+
+app.post('/api/contacts', requireApiKey, (req, res) => {
+  try {
+    res.status(201).json({ ok: true, contact: contactBook.create(req.body || {}) });
   } catch (e) {
-    console.error('[bulk-send] Error:', e);
-    
-    // Nettoyer les fichiers temporaires en cas d'erreur
-    if (req.files) {
-      if (req.files['image'] && req.files['image'][0]) {
-        try { fs.unlinkSync(req.files['image'][0].path); } catch (_) {}
-      }
-      if (req.files['document'] && req.files['document'][0]) {
-        try { fs.unlinkSync(req.files['document'][0].path); } catch (_) {}
-      }
+    res.status(contactErrorStatus(e)).json({ ok: false, error: e?.message || 'unknown' });
+  }
+});
+
+// Import CSV: fichier multipart `file`, ou JSON { csv }
+app.post('/api/contacts/import', requireApiKey, upload.single('file'), (req, res) => {
+  try {
+    let text = req.body?.csv || '';
+    if (req.file) {
+      text = fs.readFileSync(req.file.path, 'utf8');
     }
-    
-    res.status(500).json({ ok: false, error: e?.message || 'unknown' });
+    if (!text) return res.status(400).json({ ok: false, error: 'csv_required' });
+    const { mode, tags, groupId } = req.body || {};
+    res.json({ ok: true, ...contactBook.importCsv(text, { mode: mode || 'merge', tags: jsonField(tags), groupId: groupId || null }) });
+  } catch (e) {
+    res.status(contactErrorStatus(e)).json({ ok: false, error: e?.message || 'unknown' });
+  } finally {
+    if (req.file) discardUploads([req.file]);
   }
 });
 
-client.initialize();
+app.get('/api/contacts/:id', requireApiKey, contactRoute((req) => {
+  const contact = contactBook.get(req.params.id);
+  return contact && { contact };
+}));
+
+app.patch('/api/contacts/:id', requireApiKey, contactRoute((req) => ({ contact: contactBook.update(req.params.id, req.body || {}) })));
+
+app.delete('/api/contacts/:id', requireApiKey, contactRoute((req) => (contactBook.remove(req.params.id) ? {} : null)));
+
+app.get('/api/contact-groups', requireApiKey, contactRoute(() => ({ groups: contactBook.listGroups() })));
+
+app.post('/api/contact-groups', requireApiKey, (req, res) => {
+  try {
+    res.status(201).json({ ok: true, group: contactBook.createGroup(req.body || {}) });
+  } catch (e) {
+    res.status(contactErrorStatus(e)).json({ ok: false, error: e?.message || 'unknown' });
+  }
+});
+
+app.get('/api/contact-groups/:id', requireApiKey, contactRoute((req) => {
+  const group = contactBook.getGroup(req.params.id);
+  return group && { group };
+}, 'group_not_found'));
+
+app.patch('/api/contact-groups/:id', requireApiKey, contactRoute((req) => ({ group: contactBook.updateGroup(req.params.id, req.body || {}) })));
+
+app.delete('/api/contact-groups/:id', requireApiKey, contactRoute((req) => (contactBook.removeGroup(req.params.id) ? {} : null), 'group_not_found'));
+
+// Membres: { contactIds } et / ou { phones } (contacts créés au besoin)
+app.post('/api/contact-groups/:id/members', requireApiKey, contactRoute((req) => ({ group: contactBook.addMembers(req.params.id, req.body || {}) })));
+
+app.delete('/api/contact-groups/:id/members', requireApiKey, contactRoute((req) => ({ group: contactBook.removeMembers(req.params.id, req.body || {}) })));
+
+sessions.start();
+sendQueue.start();
+scheduledMessages.start();
+campaigns.start();
+webhooks.start();
+bulkJobs.start();
+if (reminderScheduler) reminderScheduler.start();
 
 const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || '127.0.0.1';